@@ -0,0 +1,99 @@
+/* batch-manifest.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/*
+ * The manifest of a batch transcription, kept next to the batch list as
+ * <list>.manifest.json (or as charm-transcribe.manifest.json for files and
+ * directories given directly) and rewritten after every change:
+ *
+ *   { "batch_file": "/abs/list.txt", "updated_at": "...",
+ *     "files": { "<path as listed>": {
+ *         "sha256": "...", "output": "...", "output_format": "doc.json", "model": "...",
+ *         "status": "running" | "done" | "partial" | "failed" | "submitted",
+ *         "job_id": "...", "pages_total": 12, "pages_converted": 12,
+ *         "started_at": "...", "finished_at": "...", "duration_ms": 81234, "error": null } } }
+ *
+ * "partial" is a failure written out as a placeholder by --continue-on-failure.
+ * Jobs detached at Ctrl-C become "submitted", like --no-wait ones.
+ */
+
+export function manifestPathFor(batchFile) {
+  return `${batchFile}.manifest.json`;
+}
+
+/**
+ * Load a manifest, or start an empty one if there is none (or it is
+ * unreadable).  source says what the batch came from: { batch_file } for a
+ * list, { inputs } for files and directories given on the command line.
+ */
+export function loadManifest(manifestPath, source) {
+  const empty = { ...source, updated_at: null, files: {} };
+  if (!fs.existsSync(manifestPath)) {
+    return empty;
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    if (data && typeof data.files === 'object' && data.files !== null) {
+      return { ...empty, ...data };
+    }
+  } catch (err) {
+    console.error(`[WARN] Ignoring unreadable manifest ${manifestPath}: ${err.message}`);
+    return empty;
+  }
+  console.error(`[WARN] Ignoring malformed manifest ${manifestPath}.`);
+  return empty;
+}
+
+/** Merge fields into a file's entry and rewrite the manifest (atomically). */
+export function updateManifestEntry(manifestPath, manifest, file, fields) {
+  manifest.files[file] = { ...manifest.files[file], ...fields };
+  manifest.updated_at = new Date().toISOString();
+  const tmpPath = `${manifestPath}.tmp`;
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+  fs.renameSync(tmpPath, manifestPath);
+}
+
+/**
+ * Mark the running entries of detached jobs as "submitted", so a rerun skips
+ * them until "charm jobs" has collected them.  Returns the files marked.
+ */
+export function markDetached(manifestPath, manifest, jobIds) {
+  const detached = new Set(jobIds);
+  const files = Object.keys(manifest.files).filter(file => {
+    const entry = manifest.files[file];
+    return entry.status === 'running' && entry.job_id && detached.has(entry.job_id);
+  });
+  for (const file of files) {
+    updateManifestEntry(manifestPath, manifest, file, { status: 'submitted' });
+  }
+  return files;
+}
+
+export function fileSha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Whether a file can be skipped on a rerun.  Returns null to run it, or
+ * { reason: 'done' | 'failed' | 'submitted', entry } to skip it.  A file is
+ * only skipped when its output exists (or, for --no-wait submissions, its
+ * job is outstanding) and its sha256, model and output path are unchanged.
+ */
+export function skipReason(entry, { sha256, model, outputPath, retryFailed }) {
+  if (!entry || !sha256) return null;
+  if (entry.sha256 !== sha256 || entry.model !== model || entry.output !== outputPath) return null;
+  const outputExists = fs.existsSync(outputPath);
+  if (entry.status === 'submitted') {
+    // Collected by "charm jobs" if the output was written after submission.
+    const collected = outputExists && fs.statSync(outputPath).mtimeMs >= Date.parse(entry.started_at || 0);
+    return { reason: collected ? 'done' : 'submitted', entry };
+  }
+  if (!outputExists) return null;
+  if (entry.status === 'done') return { reason: 'done', entry };
+  if ((entry.status === 'partial' || entry.status === 'failed') && !retryFailed) return { reason: 'failed', entry };
+  return null;
+}
@@ -2,14 +2,16 @@
 
 /* charm.mjs (the main entry point) */
 
-import fs from 'fs';
 import path from 'path';
-import os from 'os';
 import { fileURLToPath } from 'url';
 
 import { commandRun } from './commands/run.mjs';
+import { commandRunBatch } from './commands/run-batch.mjs';
+import { commandCompare } from './commands/compare.mjs';
+import { commandEval } from './commands/eval.mjs';
 import { commandChat } from './commands/chat.mjs';
 import { commandTranscribe } from './commands/transcribe.mjs';
+import { commandRetranscribe } from './commands/retranscribe.mjs';
 import { commandExtractMarkdown } from './commands/extract-markdown.mjs';
 import { commandConvertServerConfig } from './commands/convert-server-config.mjs';
 import { commandChunk } from './commands/chunk.mjs';
@@ -17,35 +19,12 @@ import { commandSummarize } from './commands/summarize.mjs';
 import { commandList } from './commands/list.mjs';
 import { commandMergeTranscriptions } from './commands/merge-transcriptions.mjs'; // <-- ADDED
 import { commandConvert } from './commands/convert.mjs';
+import { commandJobs } from './commands/jobs.mjs';
+import { commandSessions } from './commands/sessions.mjs';
+import { commandPrompts } from './commands/prompts.mjs';
 
 import { showHelp } from './help.mjs';
-
-// Helper to load user config from ~/.config/charm/config.json
-function loadUserConfig() {
-  const configPath = path.join(os.homedir(), '.config', 'charm', 'config.json');
-  let userConfig = {};
-  try {
-    if (fs.existsSync(configPath)) {
-      const text = fs.readFileSync(configPath, 'utf-8');
-      userConfig = JSON.parse(text);
-    }
-  } catch (err) {
-    console.warn(`[WARN] Could not parse config at ${configPath}:`, err.message);
-  }
-  return userConfig;
-}
-
-// Default config
-const defaultConfig = {
-  port: 5002,
-  hostname: 'localhost',
-  baseUrlPrefix: '/charm',
-  model: 'gpt-4o-mini'
-};
-
-// Merge user config
-const userConfig = loadUserConfig();
-const mergedConfig = { ...defaultConfig, ...userConfig };
+import { loadUserConfig, resolveProfile, applyCommandDefaults } from './config.mjs';
 
 // Parse CLI args
 function parseArgs(argv) {
@@ -78,6 +57,38 @@ function parseArgs(argv) {
       case '--hostname':
         parsed._global.hostname = args.shift();
         break;
+      case '--profile':
+        parsed._global.profile = args.shift();
+        break;
+      case '--scheme':
+        parsed._global.scheme = args.shift();
+        break;
+      case '--base-url':
+        parsed._global.baseUrl = args.shift();
+        break;
+      case '--header': {
+        const header = args.shift() || '';
+        const sep = header.indexOf(':');
+        if (sep <= 0) {
+          console.error(`[ERROR] --header expects "Name: value", got: ${header}`);
+          process.exit(1);
+        }
+        parsed._global.headers = parsed._global.headers || {};
+        parsed._global.headers[header.slice(0, sep).trim()] = header.slice(sep + 1).trim();
+        break;
+      }
+      case '--ca-file':
+        parsed._global.caFile = args.shift();
+        break;
+      case '--retries':
+        parsed._global.retries = parseInt(args.shift(), 10);
+        break;
+      case '--connect-timeout':
+        parsed._global.connectTimeout = parseFloat(args.shift());
+        break;
+      case '--read-timeout':
+        parsed._global.readTimeout = parseFloat(args.shift());
+        break;
       default:
         console.error(`Unknown global flag: ${flag}`);
         process.exit(1);
@@ -92,12 +103,34 @@ function parseArgs(argv) {
 
 const parsed = parseArgs(process.argv);
 
+// Resolve the selected profile (--profile, then $CHARM_PROFILE, then config's defaultProfile)
+const userConfig = loadUserConfig();
+let resolvedProfile;
+try {
+  resolvedProfile = resolveProfile(userConfig, parsed._global.profile || process.env.CHARM_PROFILE);
+} catch (err) {
+  console.error(`[ERROR] ${err.message}`);
+  process.exit(1);
+}
+const mergedConfig = resolvedProfile.settings;
+
 // Merge final global flags
 const finalGlobalFlags = {
   port: mergedConfig.port,
   hostname: mergedConfig.hostname,
   baseUrlPrefix: mergedConfig.baseUrlPrefix,
-  model: mergedConfig.model
+  model: mergedConfig.model,
+  profile: resolvedProfile.name,
+  scheme: mergedConfig.scheme,
+  baseUrl: mergedConfig.baseUrl,
+  apiKey: mergedConfig.apiKey,
+  apiKeyHeader: mergedConfig.apiKeyHeader,
+  headers: mergedConfig.headers,
+  caFile: mergedConfig.caFile,
+  retries: mergedConfig.retries,
+  connectTimeout: mergedConfig.connectTimeout,
+  readTimeout: mergedConfig.readTimeout,
+  explicitModel: false
 };
 if (typeof parsed._global.port === 'number') {
   finalGlobalFlags.port = parsed._global.port;
@@ -110,10 +143,44 @@ if (typeof parsed._global.baseUrlPrefix === 'string') {
 }
 if (typeof parsed._global.model === 'string') {
   finalGlobalFlags.model = parsed._global.model;
+  finalGlobalFlags.explicitModel = true;
+}
+if (typeof parsed._global.scheme === 'string') {
+  finalGlobalFlags.scheme = parsed._global.scheme;
+}
+if (typeof parsed._global.baseUrl === 'string') {
+  finalGlobalFlags.baseUrl = parsed._global.baseUrl;
+} else if (['port', 'hostname', 'baseUrlPrefix', 'scheme'].some(k => parsed._global[k] !== undefined)) {
+  // Host-level flags on the command line take precedence over a configured full base URL.
+  finalGlobalFlags.baseUrl = undefined;
+}
+if (parsed._global.headers) {
+  finalGlobalFlags.headers = { ...finalGlobalFlags.headers, ...parsed._global.headers };
+}
+if (typeof parsed._global.caFile === 'string') {
+  finalGlobalFlags.caFile = parsed._global.caFile;
+}
+for (const key of ['retries', 'connectTimeout', 'readTimeout']) {
+  const value = parsed._global[key];
+  if (value === undefined) continue;
+  if (isNaN(value) || value < 0) {
+    console.error(`[ERROR] Invalid value for --${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}.`);
+    process.exit(1);
+  }
+  finalGlobalFlags[key] = value;
+}
+// The client reads a missing timeout as the default, so 0 cannot mean "none".
+for (const key of ['connectTimeout', 'readTimeout']) {
+  const value = finalGlobalFlags[key];
+  if (value !== undefined && value !== null && !(Number(value) > 0)) {
+    console.error(`[ERROR] --${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())} (config "${key}") ` +
+      'must be a number of seconds greater than 0.');
+    process.exit(1);
+  }
 }
 
 const command = parsed.command || 'help';
-const cmdArgs = parsed.commandArgs;
+const cmdArgs = applyCommandDefaults(command, parsed.commandArgs, resolvedProfile.commandDefaults[command]);
 
 // Main driver
 async function main() {
@@ -126,12 +193,24 @@ async function main() {
     case 'run':
       await commandRun(finalGlobalFlags, cmdArgs);
       break;
+    case 'run-batch':
+      await commandRunBatch(finalGlobalFlags, cmdArgs);
+      break;
+    case 'compare':
+      await commandCompare(finalGlobalFlags, cmdArgs);
+      break;
+    case 'eval':
+      await commandEval(finalGlobalFlags, cmdArgs);
+      break;
     case 'chat':
       await commandChat(finalGlobalFlags, cmdArgs);
       break;
     case 'transcribe':
       await commandTranscribe(finalGlobalFlags, cmdArgs);
       break;
+    case 'retranscribe':
+      await commandRetranscribe(finalGlobalFlags, cmdArgs);
+      break;
     case 'extract-markdown':
       await commandExtractMarkdown(finalGlobalFlags, cmdArgs);
       break;
@@ -153,6 +232,15 @@ async function main() {
     case 'convert':
       await commandConvert(finalGlobalFlags, cmdArgs);
       break;
+    case 'jobs':
+      await commandJobs(finalGlobalFlags, cmdArgs);
+      break;
+    case 'sessions':
+      await commandSessions(finalGlobalFlags, cmdArgs);
+      break;
+    case 'prompts':
+      await commandPrompts(finalGlobalFlags, cmdArgs);
+      break;
     default:
       console.error(`[ERROR] Unknown command: ${command}`);
       showHelp();
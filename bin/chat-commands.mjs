@@ -0,0 +1,264 @@
+/* chat-commands.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import { makeImageAttachment, estimateTokens } from './utils.mjs';
+import { saveSession } from './sessions.mjs';
+import { composeInEditor } from './chat-input.mjs';
+import { estimateContext } from './chat-compaction.mjs';
+
+/*
+ * Slash commands for "charm chat".  Each handler receives the chat state
+ *   { model, systemText, transcript, summary, compaction, session, input,
+ *     pending: { attachments, files } }
+ * and the rest of the line.  A handler may return { resend: removed } to have
+ * the loop send the transcript as it now stands, putting the removed messages
+ * back if that fails (used by /retry), 'compact' to have it fold older turns
+ * into the summary, or { message } to send a message as if it had been typed
+ * (used by /edit).
+ */
+
+const COMMANDS = {
+  help: {
+    usage: '/help',
+    description: 'List the slash commands',
+    run: () => {
+      console.log('Commands:');
+      for (const cmd of Object.values(COMMANDS)) {
+        console.log(`  ${cmd.usage.padEnd(22)} ${cmd.description}`);
+      }
+      console.log(`  ${'exit | quit'.padEnd(22)} Leave the chat`);
+      console.log('Start a message with "//" to send a literal leading "/".');
+    }
+  },
+
+  model: {
+    usage: '/model [name]',
+    description: 'Show or switch the model',
+    run: (chat, arg) => {
+      if (!arg) {
+        console.log(`Model: ${chat.model}`);
+        return;
+      }
+      chat.model = arg;
+      console.log(`Switched model to ${arg}.`);
+    }
+  },
+
+  system: {
+    usage: '/system [file|off]',
+    description: 'Show, load/replace (from a file) or remove the system prompt',
+    run: (chat, arg) => {
+      if (!arg) {
+        console.log(chat.systemText ? chat.systemText : '(no system prompt)');
+        return;
+      }
+      if (arg === 'off' && !fs.existsSync(arg)) {
+        chat.systemText = null;
+        console.log('Removed the system prompt.');
+        return;
+      }
+      try {
+        chat.systemText = fs.readFileSync(arg, 'utf-8');
+        console.log(`Loaded system prompt from ${arg} (~${estimateTokens(chat.systemText)} tokens).`);
+      } catch (err) {
+        console.error(`[ERROR] Could not read system prompt file: ${arg}`, err.message);
+      }
+    }
+  },
+
+  edit: {
+    usage: '/edit [text]',
+    description: 'Compose a message in $EDITOR, then send it',
+    run: (chat, arg) => {
+      const text = composeInEditor(chat.input, arg ? arg + '\n' : '');
+      if (text === null) return;
+      if (!text.trim()) {
+        console.log('Empty message; nothing sent.');
+        return;
+      }
+      return { message: text.replace(/\s+$/, '') };
+    }
+  },
+
+  attach: {
+    usage: '/attach <image>',
+    description: 'Attach an image to your next message',
+    run: (chat, arg) => {
+      if (!arg) {
+        console.error('[ERROR] /attach requires an image path.');
+        return;
+      }
+      let attachment;
+      try {
+        attachment = makeImageAttachment(arg);
+      } catch (err) {
+        console.error(`[ERROR] Could not read image: ${arg}`, err.message);
+        return;
+      }
+      if (!attachment) {
+        return;
+      }
+      chat.pending.attachments.push(attachment);
+      console.log(`Attached ${arg}; it will be sent with your next message.`);
+    }
+  },
+
+  file: {
+    usage: '/file <path>',
+    description: 'Include a text file in your next message',
+    run: (chat, arg) => {
+      if (!arg) {
+        console.error('[ERROR] /file requires a file path.');
+        return;
+      }
+      let text;
+      try {
+        text = fs.readFileSync(arg, 'utf-8');
+      } catch (err) {
+        console.error(`[ERROR] Could not read file: ${arg}`, err.message);
+        return;
+      }
+      chat.pending.files.push({ name: path.basename(arg), text });
+      console.log(`Added ${arg} (~${estimateTokens(text)} tokens); it will be sent with your next message.`);
+    }
+  },
+
+  retry: {
+    usage: '/retry',
+    description: 'Regenerate the last answer',
+    run: chat => {
+      const messages = chat.transcript.messages;
+      let lastUser = messages.length - 1;
+      while (lastUser >= 0 && messages[lastUser].role !== 'user') lastUser--;
+      if (lastUser < 0) {
+        console.error('[ERROR] Nothing to retry yet.');
+        return;
+      }
+      return { resend: messages.splice(lastUser + 1) };
+    }
+  },
+
+  undo: {
+    usage: '/undo',
+    description: 'Drop the last exchange (your message and its answer)',
+    run: chat => {
+      const messages = chat.transcript.messages;
+      let lastUser = messages.length - 1;
+      while (lastUser >= 0 && messages[lastUser].role !== 'user') lastUser--;
+      if (lastUser < 0) {
+        console.error('[ERROR] Nothing to undo.');
+        return;
+      }
+      const removed = messages.splice(lastUser);
+      console.log(`Removed the last exchange (${removed.length} messages).`);
+      persist(chat);
+    }
+  },
+
+  save: {
+    usage: '/save [file]',
+    description: 'Write the transcript to a file (or save the session)',
+    run: (chat, arg) => {
+      if (!arg) {
+        if (!chat.session) {
+          console.error('[ERROR] Not in a session; use /save <file>.');
+          return;
+        }
+        if (persist(chat)) console.log(`Saved session "${chat.session.name}".`);
+        return;
+      }
+      try {
+        fs.writeFileSync(arg, JSON.stringify(chat.transcript, null, 2), 'utf-8');
+        console.log(`Wrote transcript (${chat.transcript.messages.length} messages) to ${arg}`);
+      } catch (err) {
+        console.error(`[ERROR] Could not write transcript: ${arg}`, err.message);
+      }
+    }
+  },
+
+  clear: {
+    usage: '/clear',
+    description: 'Start over (keeps model and system prompt)',
+    run: chat => {
+      chat.transcript.messages.length = 0;
+      chat.summary = null;
+      chat.pending.attachments.length = 0;
+      chat.pending.files.length = 0;
+      console.log('Cleared the conversation.');
+      persist(chat);
+    }
+  },
+
+  compact: {
+    usage: '/compact',
+    description: 'Fold older turns into a summary now',
+    run: () => 'compact'
+  },
+
+  tokens: {
+    usage: '/tokens',
+    description: 'Show the approximate size of the context',
+    run: chat => {
+      const size = estimateContext(chat);
+      const pendingTokens = chat.pending.files.reduce((n, f) => n + estimateTokens(f.text), 0);
+      console.log(`~${size.total} of ${chat.compaction.contextLimit} tokens ` +
+        `(system ~${size.system}, ` +
+        (chat.summary ? `summary ~${size.summary}, ` : '') +
+        `${chat.transcript.messages.length} messages ~${size.messages}` +
+        (size.images ? `, ${size.images} image(s)` : '') + ')' +
+        (pendingTokens ? `; ~${pendingTokens} more queued for the next message` : ''));
+    }
+  }
+};
+
+// Save the session, if there is one.  Returns false when saving failed.
+export function persist(chat) {
+  if (!chat.session) return true;
+  chat.session.model = chat.model;
+  chat.session.system = chat.systemText;
+  chat.session.summary = chat.summary;
+  chat.session.transcript = chat.transcript;
+  try {
+    saveSession(chat.session);
+    return true;
+  } catch (err) {
+    console.error(`[WARN] Could not save session "${chat.session.name}": ${err.message}`);
+    return false;
+  }
+}
+
+/** Is this input line a slash command (as opposed to a message)? */
+export function isSlashCommand(line) {
+  return line.startsWith('/') && !line.startsWith('//') && !line.includes('\n');
+}
+
+/** Run a slash command line; returns the handler's action, if any (see above). */
+export function runSlashCommand(chat, line) {
+  const match = line.trim().match(/^\/(\S+)\s*([\s\S]*)$/);
+  const name = match ? match[1].toLowerCase() : '';
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`[ERROR] Unknown command: /${name}. Type /help for the list.`);
+    return undefined;
+  }
+  return command.run(chat, match[2].trim());
+}
+
+/**
+ * Build the content of a user message from typed text plus anything queued
+ * with /file and /attach, then clear the queue.
+ */
+export function takeUserContent(chat, text) {
+  let body = text.startsWith('//') ? text.slice(1) : text;
+  for (const file of chat.pending.files) {
+    body += `\n\nContents of ${file.name}:\n\`\`\`\n${file.text.replace(/\s+$/, '')}\n\`\`\``;
+  }
+  const attachments = chat.pending.attachments;
+  chat.pending.files = [];
+  chat.pending.attachments = [];
+  if (attachments.length === 0) {
+    return body;
+  }
+  return body ? [body, ...attachments] : attachments;
+}
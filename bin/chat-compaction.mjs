@@ -0,0 +1,101 @@
+/* chat-compaction.mjs */
+
+import { apiJson } from './client.mjs';
+import { contentToText, estimateTokens } from './utils.mjs';
+
+/*
+ * Context-window management for "charm chat".  When the estimated context
+ * nears the limit, every turn but the most recent few is folded into a
+ * running summary (chat.summary), which is sent as part of the system prompt
+ * from then on.  The system prompt itself is never folded.
+ */
+
+// Rough allowance for an image attachment; providers bill images very differently.
+const IMAGE_TOKENS = 1000;
+
+export const DEFAULT_CONTEXT_LIMIT = 32000;
+export const DEFAULT_KEEP_TURNS = 4;
+// Compact once the estimate passes this share of the limit.
+const COMPACT_AT = 0.8;
+
+/** Approximate token counts of what a chat sends with each request. */
+export function estimateContext(chat) {
+  const system = estimateTokens(chat.systemText);
+  const summary = estimateTokens(chat.summary);
+  let messages = 0;
+  let images = 0;
+  for (const msg of chat.transcript.messages) {
+    messages += estimateTokens(contentToText(msg.content));
+    if (Array.isArray(msg.content)) {
+      images += msg.content.filter(s => s && s.type === 'image').length;
+    }
+  }
+  return { system, summary, messages, images, total: system + summary + messages + images * IMAGE_TOKENS };
+}
+
+/** Text of the summary section added to the system prompt. */
+export function summarySection(summary) {
+  return `Summary of the earlier part of this conversation:\n${summary}`;
+}
+
+// Index of the first message of the last `keepTurns` user turns.
+function keepFrom(messages, keepTurns) {
+  let turns = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'user' && ++turns === keepTurns) return i;
+  }
+  return 0;
+}
+
+/** Can anything be folded into the summary? */
+export function canCompact(chat) {
+  return keepFrom(chat.transcript.messages, chat.compaction.keepTurns) > 0;
+}
+
+/** Is the context close enough to the limit that it should be compacted? */
+export function needsCompaction(chat, extraTokens = 0) {
+  const { total } = estimateContext(chat);
+  return total + extraTokens >= chat.compaction.contextLimit * COMPACT_AT && canCompact(chat);
+}
+
+/**
+ * Fold all but the last keepTurns turns into chat.summary, asking the chat's
+ * model to write the summary.  Returns the number of messages folded; throws
+ * (leaving the chat unchanged) if the summary request fails.
+ */
+export async function compactChat(globalFlags, chat) {
+  const messages = chat.transcript.messages;
+  const cut = keepFrom(messages, chat.compaction.keepTurns);
+  if (cut === 0) return 0;
+
+  const older = messages.slice(0, cut).map(msg => `[${msg.role}]\n${contentToText(msg.content)}`).join('\n\n');
+  let request = 'Update the summary of a conversation between a user and an assistant.\n\n';
+  if (chat.summary) {
+    request += `Summary so far:\n${chat.summary}\n\n`;
+  }
+  request += `Conversation to add to it:\n${older}\n\n` +
+    'Write the updated summary. Keep every fact, figure, decision, open question and page ' +
+    'citation that later questions might depend on; leave out pleasantries. Reply with the summary only.';
+
+  const payload = {
+    model: chat.model,
+    transcript: { messages: [{ role: 'user', content: request }] },
+    options: { stream: false }
+  };
+  if (chat.systemText) {
+    payload.system = `The conversation was held under this system prompt:\n${chat.systemText}`;
+  }
+  const result = await apiJson(globalFlags, '/api/charmonator/v1/transcript/extension', { method: 'POST', json: payload });
+  const summary = (result.messages || [])
+    .filter(m => m.role === 'assistant')
+    .map(m => contentToText(m.content))
+    .join('\n')
+    .trim();
+  if (!summary) {
+    throw new Error('the model returned an empty summary');
+  }
+
+  chat.summary = summary;
+  messages.splice(0, cut);
+  return cut;
+}
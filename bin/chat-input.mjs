@@ -0,0 +1,191 @@
+/* chat-input.mjs */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { spawnSync } from 'child_process';
+import { charmConfigDir } from './config.mjs';
+
+/*
+ * Line input for "charm chat".
+ *
+ * A message normally ends at the end of the line, but:
+ *   - a line containing only """ starts a block that runs until the next """;
+ *   - text pasted into a terminal is kept together (bracketed paste), and is
+ *     sent with the next Enter.
+ * Single-line inputs are kept in ~/.config/charm/chat_history and offered
+ * with the arrow keys in later chats.
+ */
+
+const BLOCK_DELIMITER = '"""';
+const HISTORY_SIZE = 500;
+
+export function historyPath() {
+  return path.join(charmConfigDir(), 'chat_history');
+}
+
+function loadHistory() {
+  try {
+    // The file is oldest-first, like a shell history; readline wants newest-first.
+    return fs.readFileSync(historyPath(), 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .slice(-HISTORY_SIZE)
+      .reverse();
+  } catch {
+    return [];
+  }
+}
+
+function saveHistory(history) {
+  try {
+    const p = historyPath();
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, [...history].reverse().join('\n') + '\n', 'utf-8');
+  } catch (err) {
+    console.error(`[WARN] Could not save chat history: ${err.message}`);
+  }
+}
+
+/**
+ * Create the chat's input reader.  read() resolves to the next complete
+ * message, or null once input has ended (Ctrl-D, or the end of piped input).
+ */
+export function createChatInput() {
+  const terminal = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+  // historySize 0 stops readline recording each raw line; remember() keeps
+  // the history instead, so lines of a multi-line message don't end up in it.
+  const history = loadHistory();
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal,
+    history,
+    historySize: 0
+  });
+
+  const queued = [];
+  let waiting = null;
+  let closed = false;
+  let inPaste = false;
+  let pasted = [];
+
+  function deliver(line) {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(line);
+    } else {
+      queued.push(line);
+    }
+  }
+
+  rl.on('line', line => {
+    if (inPaste) {
+      pasted.push(line);
+      return;
+    }
+    if (pasted.length > 0) {
+      line = [...pasted, line].join('\n');
+      pasted = [];
+    }
+    deliver(line);
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (pasted.length > 0) {
+      deliver(pasted.join('\n'));
+      pasted = [];
+    }
+    if (waiting) deliver(null);
+  });
+
+  const onKeypress = (s, key) => {
+    if (!key) return;
+    if (key.name === 'paste-start') inPaste = true;
+    if (key.name === 'paste-end') inPaste = false;
+  };
+  if (terminal) {
+    process.stdin.on('keypress', onKeypress);
+    process.stdout.write('\x1b[?2004h');
+  }
+
+  function nextLine(prompt) {
+    if (queued.length > 0) return Promise.resolve(queued.shift());
+    if (closed) return Promise.resolve(null);
+    rl.setPrompt(prompt);
+    rl.prompt();
+    return new Promise(resolve => { waiting = resolve; });
+  }
+
+  function remember(text) {
+    if (!text.trim() || text.includes('\n')) return;
+    const existing = history.indexOf(text);
+    if (existing !== -1) history.splice(existing, 1);
+    history.unshift(text);
+    history.splice(HISTORY_SIZE);
+    saveHistory(history);
+  }
+
+  return {
+    async read() {
+      const first = await nextLine('> ');
+      if (first === null) return null;
+      if (first.trim() !== BLOCK_DELIMITER) {
+        remember(first);
+        return first;
+      }
+      const block = [];
+      while (true) {
+        const line = await nextLine('... ');
+        if (line === null || line.trim() === BLOCK_DELIMITER) break;
+        block.push(line);
+      }
+      return block.join('\n');
+    },
+
+    /** Hand the terminal to another program (an editor) while fn runs. */
+    suspend(fn) {
+      rl.pause();
+      if (terminal) process.stdin.setRawMode(false);
+      try {
+        return fn();
+      } finally {
+        if (terminal) process.stdin.setRawMode(true);
+        rl.resume();
+      }
+    },
+
+    close() {
+      if (terminal) {
+        process.stdout.write('\x1b[?2004l');
+        process.stdin.off('keypress', onKeypress);
+      }
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Open $VISUAL / $EDITOR (falling back to vi) on a temporary file holding
+ * initialText, and return what was saved, or null if the editor failed.
+ */
+export function composeInEditor(input, initialText = '') {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const tmpFile = path.join(os.tmpdir(), `charm-message-${process.pid}-${Date.now()}.md`);
+  fs.writeFileSync(tmpFile, initialText, 'utf-8');
+  try {
+    const result = input.suspend(() =>
+      spawnSync(`${editor} "${tmpFile}"`, { shell: true, stdio: 'inherit' })
+    );
+    if (result.error || result.status !== 0) {
+      console.error(`[ERROR] Editor "${editor}" failed` +
+        (result.error ? `: ${result.error.message}` : ` with exit code ${result.status}.`));
+      return null;
+    }
+    return fs.readFileSync(tmpFile, 'utf-8');
+  } finally {
+    fs.rmSync(tmpFile, { force: true });
+  }
+}
@@ -0,0 +1,491 @@
+/* client.mjs */
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import fetch from 'node-fetch';
+import { sleep } from './utils.mjs';
+
+// Defaults for the request policy; profiles and global flags may override them.
+const DEFAULT_RETRIES = 4;
+const DEFAULT_CONNECT_TIMEOUT = 30;   // seconds to establish the TCP/TLS connection
+const DEFAULT_READ_TIMEOUT = 600;     // seconds to receive the complete response
+const BACKOFF_BASE = 0.5;             // seconds before the first retry
+const BACKOFF_CAP = 30;               // longest single wait between retries
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+/**
+ * Error raised for any failed server call.
+ *
+ * kind is one of:
+ *   'http'     - the server answered with a non-2xx status (see status, body)
+ *   'timeout'  - connect or read timeout
+ *   'network'  - connection refused/reset, DNS failure, etc.
+ *   'response' - the body could not be parsed as expected
+ */
+export class ApiError extends Error {
+  constructor(message, { kind, method, path, status = null, body = null, attempts = 1, cause = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.body = body;
+    this.attempts = attempts;
+    if (cause) this.cause = cause;
+  }
+
+  toJSON() {
+    return {
+      error: this.kind,
+      message: this.message,
+      method: this.method,
+      path: this.path,
+      status: this.status,
+      body: this.body,
+      attempts: this.attempts
+    };
+  }
+}
+
+/** Base URL of the charm server, e.g. "https://charm.example.org/charm". */
+export function serverBaseUrl(globalFlags) {
+  if (globalFlags.baseUrl) {
+    return globalFlags.baseUrl.replace(/\/+$/, '');
+  }
+  const scheme = globalFlags.scheme || 'http';
+  let prefix = globalFlags.baseUrlPrefix || '';
+  if (prefix && !prefix.startsWith('/')) {
+    prefix = '/' + prefix;
+  }
+  return `${scheme}://${globalFlags.hostname}:${globalFlags.port}${prefix.replace(/\/+$/, '')}`;
+}
+
+/** Full URL for an API path such as "/api/charmonator/v1/models". */
+export function apiUrl(globalFlags, apiPath) {
+  return serverBaseUrl(globalFlags) + apiPath;
+}
+
+/** Headers sent with every request: credentials plus any configured extras. */
+export function apiHeaders(globalFlags, extra = {}) {
+  const headers = { ...(globalFlags.headers || {}) };
+  if (globalFlags.apiKey) {
+    const headerName = globalFlags.apiKeyHeader || 'Authorization';
+    headers[headerName] = headerName.toLowerCase() === 'authorization'
+      ? `Bearer ${globalFlags.apiKey}`
+      : globalFlags.apiKey;
+  }
+  return { ...headers, ...extra };
+}
+
+// Wrap an agent's createConnection so that a socket which has not connected
+// within `connectTimeout` seconds is destroyed with an ETIMEDOUT error.
+function withConnectTimeout(AgentClass, connectEvent) {
+  return class extends AgentClass {
+    constructor(options, connectTimeout) {
+      super(options);
+      this.connectTimeout = connectTimeout;
+    }
+
+    createConnection(options, callback) {
+      const socket = super.createConnection(options, callback);
+      const timer = setTimeout(() => {
+        const err = new Error(`connect timeout after ${this.connectTimeout}s`);
+        err.code = 'ETIMEDOUT';
+        socket.destroy(err);
+      }, this.connectTimeout * 1000);
+      socket.once(connectEvent, () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+      return socket;
+    }
+  };
+}
+
+const HttpTimeoutAgent = withConnectTimeout(http.Agent, 'connect');
+const HttpsTimeoutAgent = withConnectTimeout(https.Agent, 'secureConnect');
+
+const agentCache = new Map();
+
+/** Agent selector applying the connect timeout and any custom CA bundle. */
+export function apiAgent(globalFlags) {
+  const connectTimeout = globalFlags.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+  const key = `${globalFlags.caFile || ''}|${connectTimeout}`;
+  if (!agentCache.has(key)) {
+    const httpsOptions = {};
+    if (globalFlags.caFile) {
+      try {
+        httpsOptions.ca = fs.readFileSync(globalFlags.caFile);
+      } catch (err) {
+        throw new Error(`Could not read CA bundle at ${globalFlags.caFile}: ${err.message}`);
+      }
+    }
+    agentCache.set(key, {
+      http: new HttpTimeoutAgent({}, connectTimeout),
+      https: new HttpsTimeoutAgent(httpsOptions, connectTimeout)
+    });
+  }
+  const agents = agentCache.get(key);
+  return parsedUrl => (parsedUrl.protocol === 'https:' ? agents.https : agents.http);
+}
+
+// The fetch() behind every server call; tests put a stub in its place.
+let fetchImpl = fetch;
+
+/** Send server calls through fn instead of fetch().  Returns a function undoing it. */
+export function setFetch(fn) {
+  const previous = fetchImpl;
+  fetchImpl = fn;
+  return () => {
+    fetchImpl = previous;
+  };
+}
+
+/**
+ * Plain fetch() against the charm server with credentials, CA bundle and
+ * connect timeout applied, but no retries or read timeout.  Prefer
+ * apiRequest()/apiJson(); this is for callers that consume the body themselves.
+ */
+export function apiFetch(globalFlags, apiPath, init = {}) {
+  return fetchImpl(apiUrl(globalFlags, apiPath), {
+    ...init,
+    headers: apiHeaders(globalFlags, init.headers),
+    agent: apiAgent(globalFlags)
+  });
+}
+
+/** Seconds to wait before retry number `attempt` (1-based): exponential with jitter. */
+export function backoffDelay(attempt, retryAfterHeader) {
+  const retryAfter = parseFloat(retryAfterHeader);
+  if (!isNaN(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter, BACKOFF_CAP);
+  }
+  const ceiling = Math.min(BACKOFF_CAP, BACKOFF_BASE * 2 ** (attempt - 1));
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+function truncate(text, max = 2000) {
+  return text && text.length > max ? text.slice(0, max) + '...' : text;
+}
+
+/**
+ * Make a request to the charm server and read its body.
+ *
+ * options:
+ *   method       - HTTP method (default GET)
+ *   json         - object to send as a JSON body
+ *   body/headers - raw body (e.g. a FormData) and extra headers
+ *   responseType - 'json' (default), 'text' or 'buffer'
+ *   idempotent   - retry this request on transient failures; defaults to true
+ *                  for GET/HEAD/PUT/DELETE/OPTIONS and false otherwise
+ *
+ * Resolves to { status, headers, data }.  Throws ApiError on failure.
+ */
+export async function apiRequest(globalFlags, apiPath, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const responseType = options.responseType || 'json';
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.has(method);
+  const retries = idempotent ? (globalFlags.retries ?? DEFAULT_RETRIES) : 0;
+  const readTimeout = globalFlags.readTimeout || DEFAULT_READ_TIMEOUT;
+
+  const headers = { ...(options.headers || {}) };
+  let body = options.body;
+  if (options.json !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(options.json);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), readTimeout * 1000);
+    let failure;
+    let retryAfter;
+
+    try {
+      const resp = await apiFetch(globalFlags, apiPath, { method, headers, body, signal: controller.signal });
+      if (!resp.ok) {
+        const errBody = truncate(await resp.text());
+        failure = new ApiError(`${method} ${apiPath} => HTTP ${resp.status} => ${errBody}`, {
+          kind: 'http', method, path: apiPath, status: resp.status, body: errBody, attempts: attempt
+        });
+        retryAfter = resp.headers.get('retry-after');
+        if (!RETRYABLE_STATUSES.has(resp.status)) throw failure;
+      } else {
+        let data;
+        if (responseType === 'text') {
+          data = await resp.text();
+        } else if (responseType === 'buffer') {
+          data = Buffer.from(await resp.arrayBuffer());
+        } else {
+          const text = await resp.text();
+          try {
+            data = text ? JSON.parse(text) : null;
+          } catch (err) {
+            throw new ApiError(`${method} ${apiPath} => invalid JSON in response: ${err.message}`, {
+              kind: 'response', method, path: apiPath, status: resp.status, body: truncate(text), attempts: attempt
+            });
+          }
+        }
+        return { status: resp.status, headers: resp.headers, data };
+      }
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      if (err.name === 'AbortError') {
+        failure = new ApiError(`${method} ${apiPath} => no complete response within ${readTimeout}s`, {
+          kind: 'timeout', method, path: apiPath, attempts: attempt, cause: err
+        });
+      } else if (err.code === 'ETIMEDOUT') {
+        failure = new ApiError(`${method} ${apiPath} => ${err.message}`, {
+          kind: 'timeout', method, path: apiPath, attempts: attempt, cause: err
+        });
+      } else {
+        failure = new ApiError(`${method} ${apiPath} => ${err.message}`, {
+          kind: 'network', method, path: apiPath, attempts: attempt, cause: err
+        });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (attempt > retries) {
+      if (attempt > 1) failure.message += ` (gave up after ${attempt} attempts)`;
+      throw failure;
+    }
+    const delay = backoffDelay(attempt, retryAfter);
+    console.warn(`[WARN] ${failure.message}; retrying in ${delay.toFixed(1)}s (attempt ${attempt + 1}/${retries + 1})...`);
+    await sleep(delay);
+  }
+}
+
+/** apiRequest() returning just the parsed JSON body. */
+export async function apiJson(globalFlags, apiPath, options = {}) {
+  const { data } = await apiRequest(globalFlags, apiPath, options);
+  return data;
+}
+
+/*
+ * Charmonizer jobs.
+ *
+ * Long-running endpoints (conversions/documents, chunkings, summaries) share
+ * one protocol: POST to the collection returns a job_id, GET <collection>/<id>
+ * reports status, and GET <collection>/<id>/result returns the output.
+ */
+
+export function isJobComplete(statusRes) {
+  return statusRes.status === 'complete' || statusRes.status === 'completed';
+}
+
+export function isJobFailed(statusRes) {
+  return statusRes.status === 'error' || statusRes.status === 'failed';
+}
+
+/** Submit a job (JSON body or FormData) and return its job_id. */
+export async function submitJob(globalFlags, jobsPath, { json, form } = {}) {
+  const options = { method: 'POST' };
+  if (form) {
+    options.body = form;
+    options.headers = { ...form.getHeaders(), 'Content-Length': form.getLengthSync() };
+  } else {
+    options.json = json;
+  }
+  const result = await apiJson(globalFlags, jobsPath, options);
+  if (!result || !result.job_id) {
+    throw new ApiError(`POST ${jobsPath} => no job_id returned by the server`, {
+      kind: 'response', method: 'POST', path: jobsPath, body: JSON.stringify(result)
+    });
+  }
+  return result.job_id;
+}
+
+export function getJobStatus(globalFlags, jobsPath, jobId) {
+  return apiJson(globalFlags, `${jobsPath}/${jobId}`);
+}
+
+/**
+ * Poll a job until it completes or fails, calling onProgress(statusRes) for
+ * each intermediate status.  Resolves to the final status object; callers
+ * decide what a failed job means for them.
+ */
+export async function waitForJob(globalFlags, jobsPath, jobId, { pollInterval = 3, onProgress } = {}) {
+  while (true) {
+    await sleep(pollInterval);
+    const statusRes = await getJobStatus(globalFlags, jobsPath, jobId);
+    if (isJobComplete(statusRes) || isJobFailed(statusRes)) {
+      return statusRes;
+    }
+    if (onProgress) onProgress(statusRes);
+  }
+}
+
+/**
+ * Fetch a finished job's result.  Resolves to { status, data }; a 202 means
+ * the server is still producing it and data is whatever it sent.
+ */
+export async function fetchJobResult(globalFlags, jobsPath, jobId) {
+  const { status, data } = await apiRequest(globalFlags, `${jobsPath}/${jobId}/result`);
+  return { status, data };
+}
+
+/*
+ * Streaming.
+ *
+ * With options.stream set, /transcript/extension may answer with server-sent
+ * events (text/event-stream) or newline-delimited JSON.  Each event is one of:
+ *   { delta: "text" } / { delta: { content: "text" } } / { type: "delta", content|text: "text" }
+ *   { message: {...} }       a complete message
+ *   { messages: [...] }      the final transcript extension (may carry usage)
+ *   { error: "..." }
+ * and "[DONE]" ends an SSE stream.  Servers that ignore the stream option and
+ * answer with plain JSON are handled too.
+ */
+
+function deltaText(event) {
+  if (typeof event.delta === 'string') return event.delta;
+  if (event.delta && typeof event.delta.content === 'string') return event.delta.content;
+  if (event.delta && typeof event.delta.text === 'string') return event.delta.text;
+  if (/delta$/.test(event.type || '') || event.type === 'content') {
+    if (typeof event.content === 'string') return event.content;
+    if (typeof event.text === 'string') return event.text;
+  }
+  return null;
+}
+
+/**
+ * POST a JSON body and consume a streamed response, calling onDelta(text) for
+ * each piece of assistant text as it arrives.  The read timeout applies to the
+ * gap between chunks rather than the whole response.  Resolves to the same
+ * shape as a non-streamed call: { messages: [...], usage?, streamed }.
+ * Streams are never retried.
+ */
+export async function apiStream(globalFlags, apiPath, { json, onDelta }) {
+  const method = 'POST';
+  const readTimeout = globalFlags.readTimeout || DEFAULT_READ_TIMEOUT;
+  const controller = new AbortController();
+  let timer = null;
+  const armTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), readTimeout * 1000);
+  };
+
+  const fail = (message, extra = {}) => new ApiError(`${method} ${apiPath} => ${message}`, {
+    method, path: apiPath, ...extra
+  });
+
+  armTimer();
+  try {
+    let resp;
+    try {
+      resp = await apiFetch(globalFlags, apiPath, {
+        method,
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream, application/x-ndjson, application/json' },
+        body: JSON.stringify(json),
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw fail(`no response within ${readTimeout}s`, { kind: 'timeout', cause: err });
+      throw fail(err.message, { kind: err.code === 'ETIMEDOUT' ? 'timeout' : 'network', cause: err });
+    }
+    if (!resp.ok) {
+      const errBody = truncate(await resp.text());
+      throw fail(`HTTP ${resp.status} => ${errBody}`, { kind: 'http', status: resp.status, body: errBody });
+    }
+
+    const contentType = resp.headers.get('content-type') || '';
+    const isSse = contentType.includes('text/event-stream');
+    const isNdjson = contentType.includes('ndjson') || contentType.includes('jsonl');
+    if (!isSse && !isNdjson) {
+      // Not streamed after all: one JSON document.
+      const text = await resp.text();
+      try {
+        return { ...JSON.parse(text), streamed: false };
+      } catch (err) {
+        throw fail(`invalid JSON in response: ${err.message}`, { kind: 'response', status: resp.status, body: truncate(text) });
+      }
+    }
+
+    let assembled = '';
+    let finalResult = null;
+    const completeMessages = [];
+    let usage;
+    let done = false;
+
+    const handlePayload = payload => {
+      if (!payload || done) return;
+      if (payload === '[DONE]') {
+        done = true;
+        return;
+      }
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (err) {
+        throw fail(`invalid stream event: ${truncate(payload, 200)}`, { kind: 'response', status: resp.status });
+      }
+      if (event.error) {
+        throw fail(`stream error => ${typeof event.error === 'string' ? event.error : JSON.stringify(event.error)}`, {
+          kind: 'http', status: resp.status, body: JSON.stringify(event.error)
+        });
+      }
+      const text = deltaText(event);
+      if (text) {
+        assembled += text;
+        if (onDelta) onDelta(text);
+      }
+      if (event.message && event.message.role) completeMessages.push(event.message);
+      if (Array.isArray(event.messages)) finalResult = event;
+      if (event.usage) usage = event.usage;
+    };
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const flushSseEvent = block => {
+      const data = block.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      handlePayload(data.trim());
+    };
+
+    try {
+      for await (const chunk of resp.body) {
+        armTimer();
+        buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+        if (isSse) {
+          let idx;
+          while ((idx = buffer.indexOf('\n\n')) !== -1) {
+            flushSseEvent(buffer.slice(0, idx));
+            buffer = buffer.slice(idx + 2);
+          }
+        } else {
+          let idx;
+          while ((idx = buffer.indexOf('\n')) !== -1) {
+            handlePayload(buffer.slice(0, idx).trim());
+            buffer = buffer.slice(idx + 1);
+          }
+        }
+        if (done) break;
+      }
+    } catch (err) {
+      if (err instanceof ApiError) throw err;
+      if (err.name === 'AbortError') throw fail(`stream stalled for ${readTimeout}s`, { kind: 'timeout', cause: err });
+      throw fail(`stream interrupted: ${err.message}`, { kind: 'network', cause: err });
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      if (isSse) flushSseEvent(buffer);
+      else handlePayload(buffer.trim());
+    }
+
+    if (finalResult) {
+      return { ...finalResult, usage: finalResult.usage || usage, streamed: true };
+    }
+    const messages = completeMessages.length > 0
+      ? completeMessages
+      : [{ role: 'assistant', content: assembled }];
+    return { messages, usage, streamed: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
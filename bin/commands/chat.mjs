@@ -1,16 +1,68 @@
 /* commands/chat.mjs */
 import fs from 'fs';
-import fetch from 'node-fetch';
-import readline from 'readline';
-import { questionAsync } from '../utils.mjs';
+import { printMessageContent, contentToText, estimateTokens } from '../utils.mjs';
+import { apiJson, apiStream } from '../client.mjs';
+import { sessionExists, loadSession, newSession } from '../sessions.mjs';
+import { createChatInput } from '../chat-input.mjs';
+import {
+  DEFAULT_CONTEXT_LIMIT,
+  DEFAULT_KEEP_TURNS,
+  estimateContext,
+  summarySection,
+  needsCompaction,
+  canCompact,
+  compactChat
+} from '../chat-compaction.mjs';
+import { loadDocChunks, selectChunks, formatDocContext, describeChunks } from '../doc-context.mjs';
+import { isSlashCommand, runSlashCommand, takeUserContent, persist } from '../chat-commands.mjs';
 
 export async function commandChat(globalFlags, cmdArgs) {
   let systemFile = null;
+  let stream = false;
+  let sessionName = null;
+  const docPaths = [];
+  let docChunkGroup = 'pages';
+  let docTokenBudget = 4000;
+  let contextLimit = DEFAULT_CONTEXT_LIMIT;
+  let keepTurns = DEFAULT_KEEP_TURNS;
   const localArgs = [...cmdArgs];
   while (localArgs.length > 0) {
     if (localArgs[0] === '--system') {
       localArgs.shift();
       systemFile = localArgs.shift();
+    } else if (localArgs[0] === '--stream') {
+      localArgs.shift();
+      stream = true;
+    } else if (localArgs[0] === '--session') {
+      localArgs.shift();
+      sessionName = localArgs.shift();
+    } else if (localArgs[0] === '--doc') {
+      localArgs.shift();
+      docPaths.push(localArgs.shift());
+    } else if (localArgs[0] === '--doc-chunk-group') {
+      localArgs.shift();
+      docChunkGroup = localArgs.shift();
+    } else if (localArgs[0] === '--doc-token-budget') {
+      localArgs.shift();
+      docTokenBudget = parseInt(localArgs.shift(), 10);
+      if (!(docTokenBudget > 0)) {
+        console.error('[ERROR] --doc-token-budget must be a positive number of tokens.');
+        process.exit(1);
+      }
+    } else if (localArgs[0] === '--context-limit') {
+      localArgs.shift();
+      contextLimit = parseInt(localArgs.shift(), 10);
+      if (!(contextLimit > 0)) {
+        console.error('[ERROR] --context-limit must be a positive number of tokens.');
+        process.exit(1);
+      }
+    } else if (localArgs[0] === '--keep-turns') {
+      localArgs.shift();
+      keepTurns = parseInt(localArgs.shift(), 10);
+      if (!(keepTurns >= 1)) {
+        console.error('[ERROR] --keep-turns must be at least 1.');
+        process.exit(1);
+      }
     } else {
       console.error(`[ERROR] Unknown flag for "chat": ${localArgs[0]}`);
       process.exit(1);
@@ -27,67 +79,208 @@ export async function commandChat(globalFlags, cmdArgs) {
     }
   }
 
-  const transcript = { messages: [] };
+  let docChunks = null;
+  if (docPaths.length > 0) {
+    docChunks = [];
+    try {
+      docPaths.forEach((docPath, i) => docChunks.push(...loadDocChunks(docPath, docChunkGroup, i)));
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`Loaded ${docChunks.length} "${docChunkGroup}" chunks from ${docPaths.length} document(s); ` +
+      `up to ~${docTokenBudget} tokens of them accompany each question.`);
+  }
 
-  console.log('Entering chat mode. Type "exit" or "quit" to end.\n');
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let model = globalFlags.model;
+  let transcript = { messages: [] };
+  let summary = null;
+  let session = null;
+  if (sessionName) {
+    try {
+      if (sessionExists(sessionName)) {
+        session = loadSession(sessionName);
+        transcript = session.transcript;
+        summary = session.summary || null;
+        if (systemText === null) {
+          systemText = session.system;
+        } else if (session.system && session.system !== systemText) {
+          console.log(`[INFO] Replacing the system prompt of session "${sessionName}" with ${systemFile}.`);
+        }
+        // An explicit --model switches the session's model; otherwise keep the one it last used.
+        if (!globalFlags.explicitModel && session.model) {
+          model = session.model;
+        } else if (session.model && session.model !== model) {
+          console.log(`[INFO] Session "${sessionName}" switches from model ${session.model} to ${model}.`);
+        }
+        console.log(`Resuming session "${sessionName}" (${transcript.messages.length} messages` +
+          (summary ? ' after a summary of earlier turns' : '') + `, model ${model}).`);
+      } else {
+        session = newSession(sessionName, { model, system: systemText });
+        session.transcript = transcript;
+        console.log(`Starting new session "${sessionName}".`);
+      }
+    } catch (err) {
+      console.error(`[ERROR] Could not open session "${sessionName}": ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  const chat = {
+    model,
+    systemText,
+    transcript,
+    session,
+    input: createChatInput(),
+    summary,
+    compaction: { contextLimit, keepTurns },
+    docs: docChunks && { chunks: docChunks, tokenBudget: docTokenBudget },
+    pending: { attachments: [], files: [] }
+  };
+
+  console.log('Entering chat mode. Type /help for commands, "exit" or "quit" to end.');
+  console.log('For a multi-line message, put """ on its own line before and after it.\n');
 
   while (true) {
-    const userInput = await questionAsync(rl, '> ');
+    const userInput = await chat.input.read();
+    if (userInput === null) {
+      console.log('\nExiting chat.');
+      break;
+    }
     if (!userInput.trim()) continue;
     if (userInput.toLowerCase() === 'exit' || userInput.toLowerCase() === 'quit') {
       console.log('Exiting chat.');
       break;
     }
 
-    transcript.messages.push({ role: 'user', content: userInput });
+    let messageText = userInput;
+    if (isSlashCommand(userInput)) {
+      const action = runSlashCommand(chat, userInput);
+      if (action && action.resend) {
+        if (!await sendTranscript(globalFlags, chat, stream)) {
+          // Keep the answer being retried rather than lose it to a failed request.
+          chat.transcript.messages.push(...action.resend);
+          persist(chat);
+        }
+      } else if (action === 'compact') {
+        if (!await compact(globalFlags, chat)) console.log('Nothing to compact.');
+      }
+      if (!action || !action.message) continue;
+      messageText = action.message;
+    }
+
+    const userMessage = { role: 'user', content: takeUserContent(chat, messageText) };
+    chat.transcript.messages.push(userMessage);
+    if (!await sendTranscript(globalFlags, chat, stream)) {
+      // Drop the unanswered message so the transcript (and any session) stays well-formed.
+      const index = chat.transcript.messages.lastIndexOf(userMessage);
+      if (index !== -1) chat.transcript.messages.splice(index);
+    }
+  }
+
+  chat.input.close();
+}
+
+/**
+ * Ask the model to extend the transcript, print the reply and append it.
+ * Compacts the transcript first when it nears the context limit.  Returns
+ * false if the request failed.
+ */
+async function sendTranscript(globalFlags, chat, stream) {
+  let docContext = null;
+  if (chat.docs) {
+    // Retrieve for the latest question; the excerpts go in the system prompt
+    // so they are not stored in the transcript.
+    const lastUser = [...chat.transcript.messages].reverse().find(m => m.role === 'user');
+    const query = lastUser ? contentToText(lastUser.content) : '';
+    const chosen = selectChunks(chat.docs.chunks, query, chat.docs.tokenBudget);
+    if (chosen.length > 0) {
+      console.log(`(context: ${describeChunks(chosen)})`);
+      docContext = formatDocContext(chosen);
+    }
+  }
+
+  if (needsCompaction(chat, estimateTokens(docContext))) {
+    await compact(globalFlags, chat);
+  }
 
+  const endpoint = '/api/charmonator/v1/transcript/extension';
+  let resultJson;
+  let printedText = false;
+  for (let attempt = 1; ; attempt++) {
     const payload = {
-      model: globalFlags.model,
-      transcript,
-      options: { stream: false }
+      model: chat.model,
+      transcript: chat.transcript,
+      options: { stream }
     };
-    if (systemText) {
-      payload.system = systemText;
+    const system = [
+      chat.systemText,
+      chat.summary && summarySection(chat.summary),
+      docContext
+    ].filter(Boolean).join('\n\n');
+    if (system) {
+      payload.system = system;
     }
 
-    const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonator/v1/transcript/extension`;
-    let resultJson;
     try {
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      if (!response.ok) {
-        const errBody = await response.text();
-        console.error(`[ERROR] HTTP ${response.status} => ${errBody}`);
-        continue;
-      }
-      resultJson = await response.json();
-    } catch (err) {
-      console.error('[ERROR] Failed to call /transcript/extension:', err.message);
-      continue;
-    }
-
-    const assistantMessages = (resultJson.messages || []).filter(m => m.role === 'assistant');
-    for (const msg of assistantMessages) {
-      transcript.messages.push(msg);
-      if (typeof msg.content === 'string') {
-        console.log(msg.content);
-      } else if (Array.isArray(msg.content)) {
-        msg.content.forEach(segment => {
-          if (typeof segment === 'string') {
-            console.log(segment);
-          } else {
-            console.log(`[Attachment returned: ${JSON.stringify(segment)}]`);
+      if (stream) {
+        resultJson = await apiStream(globalFlags, endpoint, {
+          json: payload,
+          onDelta: text => {
+            process.stdout.write(text);
+            printedText = true;
           }
         });
       } else {
-        console.log(String(msg.content));
+        resultJson = await apiJson(globalFlags, endpoint, { method: 'POST', json: payload });
       }
+      break;
+    } catch (err) {
+      if (printedText) process.stdout.write('\n');
+      // The estimate is only approximate: if the server says the context is
+      // too long, compact and try once more.
+      if (attempt === 1 && !printedText && isContextOverflow(err) && canCompact(chat)) {
+        console.error('[WARN] The server rejected the request as too long for the model.');
+        if (await compact(globalFlags, chat)) continue;
+      }
+      console.error('[ERROR] Failed to call /transcript/extension:', err.message);
+      return false;
     }
   }
+  if (printedText) {
+    process.stdout.write('\n');
+  }
 
-  rl.close();
+  const assistantMessages = (resultJson.messages || []).filter(m => m.role === 'assistant');
+  for (const msg of assistantMessages) {
+    chat.transcript.messages.push(msg);
+    printMessageContent(msg, { skipText: printedText });
+  }
+  persist(chat);
+  return true;
+}
+
+function isContextOverflow(err) {
+  if (err.kind !== 'http' || ![400, 413, 422].includes(err.status)) return false;
+  const body = typeof err.body === 'string' ? err.body : JSON.stringify(err.body || '');
+  return /context|token|too (long|large)|maximum length/i.test(`${err.message} ${body}`);
+}
+
+/** Fold older turns into the summary and tell the user.  Returns true if anything was folded. */
+async function compact(globalFlags, chat) {
+  const before = estimateContext(chat).total;
+  let folded;
+  try {
+    folded = await compactChat(globalFlags, chat);
+  } catch (err) {
+    console.error(`[WARN] Could not summarize earlier turns: ${err.message}`);
+    return false;
+  }
+  if (folded === 0) return false;
+  const after = estimateContext(chat).total;
+  console.log(`[INFO] Folded ${folded} earlier messages into a summary to stay within the context limit ` +
+    `(~${before} -> ~${after} of ${chat.compaction.contextLimit} tokens; the last ` +
+    `${chat.compaction.keepTurns} turns are kept verbatim).`);
+  persist(chat);
+  return true;
 }
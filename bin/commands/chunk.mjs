@@ -1,8 +1,9 @@
 /* commands/chunk.mjs */
 import fs from 'fs';
 import path from 'path';
-import fetch from 'node-fetch';
-import { sleep } from '../utils.mjs';
+import { submitJob, waitForJob, fetchJobResult, isJobFailed } from '../client.mjs';
+import { recordJob, updateJob, printDetachedJob } from '../ledger.mjs';
+import { trackJob, untrackJob } from '../interrupt.mjs';
 
 export async function commandChunk(globalFlags, cmdArgs) {
   let inputPath = null;
@@ -13,6 +14,8 @@ export async function commandChunk(globalFlags, cmdArgs) {
   let inline = false;
   let outputPath = null;
   let pollInterval = 3;
+  let noWait = false;
+  let noWaitJson = false;
 
   const localArgs = [...cmdArgs];
   while (localArgs.length > 0) {
@@ -33,6 +36,11 @@ export async function commandChunk(globalFlags, cmdArgs) {
       outputPath = localArgs.shift();
     } else if (token === '--poll-interval') {
       pollInterval = parseFloat(localArgs.shift());
+    } else if (token === '--no-wait') {
+      noWait = true;
+    } else if (token === '--no-wait-json') {
+      noWait = true;
+      noWaitJson = true;
     } else {
       console.error(`[ERROR] Unknown flag for "chunk": ${token}`);
       process.exit(1);
@@ -76,76 +84,72 @@ export async function commandChunk(globalFlags, cmdArgs) {
     chunk_group: inputChunkGroupName
   };
 
-  const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonizer/v1/chunkings`;
+  const jobsPath = '/api/charmonizer/v1/chunkings';
   let jobId;
   try {
-    const resp = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    if (!resp.ok) {
-      const errText = await resp.text();
-      console.error(`[ERROR] chunking job request => HTTP ${resp.status} => ${errText}`);
-      process.exit(1);
-    }
-    const json = await resp.json();
-    jobId = json.job_id;
-    if (!jobId) {
-      console.error('[ERROR] Server did not return a job_id.');
-      process.exit(1);
+    jobId = await submitJob(globalFlags, jobsPath, { json: body });
+    if (!noWait) {
+      console.log(`Chunking job started. job_id=${jobId}`);
     }
-    console.log(`Chunking job started. job_id=${jobId}`);
   } catch (err) {
     console.error('[ERROR] Failed to submit chunking job:', err.message);
     process.exit(1);
   }
+  const ledgerEntry = recordJob(globalFlags, {
+    jobId,
+    kind: 'chunk',
+    jobsPath,
+    input: inputPath,
+    output: outputPath,
+    finish: { outputChunkGroupName, inline }
+  });
+  if (noWait) {
+    printDetachedJob(ledgerEntry, noWaitJson);
+    return;
+  }
+  trackJob(globalFlags, ledgerEntry);
 
-  const statusUrl = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonizer/v1/chunkings/${jobId}`;
-  const resultUrl = `${statusUrl}/result`;
-
-  while (true) {
-    await sleep(pollInterval);
-
-    let statusRes;
-    try {
-      const resp = await fetch(statusUrl);
-      if (!resp.ok) {
-        const errText = await resp.text();
-        console.error(`[ERROR] Poll => HTTP ${resp.status} => ${errText}`);
-        process.exit(1);
-      }
-      statusRes = await resp.json();
-    } catch (err) {
-      console.error('[ERROR] Polling chunking job failed:', err.message);
-      process.exit(1);
-    }
-
-    if (statusRes.status === 'error') {
-      console.error('[ERROR] Chunking job failed:', statusRes.error || '(Unknown error)');
-      process.exit(1);
-    } else if (statusRes.status === 'complete') {
-      console.log('Chunking job complete! Fetching final result...');
-      break;
-    } else {
-      console.log(`Status: ${statusRes.status}, progress=${statusRes.progress || 0}%`);
-    }
+  let statusRes;
+  try {
+    statusRes = await waitForJob(globalFlags, jobsPath, jobId, {
+      pollInterval,
+      onProgress: s => console.log(`Status: ${s.status}, progress=${s.progress || 0}%`)
+    });
+  } catch (err) {
+    console.error('[ERROR] Polling chunking job failed:', err.message);
+    process.exit(1);
+  } finally {
+    untrackJob(jobId);
+  }
+  if (isJobFailed(statusRes)) {
+    updateJob(jobId, { status: 'failed', error: statusRes.error || null });
+    console.error('[ERROR] Chunking job failed:', statusRes.error || '(Unknown error)');
+    process.exit(1);
   }
+  console.log('Chunking job complete! Fetching final result...');
 
   let finalResult;
   try {
-    const resp = await fetch(resultUrl);
-    if (!resp.ok) {
-      const errText = await resp.text();
-      console.error(`[ERROR] Could not get final chunk result => HTTP ${resp.status} => ${errText}`);
-      process.exit(1);
-    }
-    finalResult = await resp.json();
+    ({ data: finalResult } = await fetchJobResult(globalFlags, jobsPath, jobId));
   } catch (err) {
     console.error('[ERROR] Failed to retrieve chunk result:', err.message);
     process.exit(1);
   }
 
+  try {
+    writeChunkGroup(docObj, finalResult, { outputChunkGroupName, inline, outputPath });
+  } catch (err) {
+    console.error('[ERROR] Could not write output file:', err.message);
+    process.exit(1);
+  }
+  updateJob(jobId, { status: 'collected' });
+}
+
+/**
+ * Turn a chunking job's result into a chunk group on `docObj` and write it,
+ * either back into the document (inline) or as a new document at outputPath.
+ */
+export function writeChunkGroup(docObj, finalResult, { outputChunkGroupName, inline, outputPath }) {
   const topLevelOrigFilename = docObj.metadata?.originating_filename;
   const newChunkArray = (finalResult.chunks || []).map((item, idx) => {
     const childMetadata = {
@@ -168,13 +172,8 @@ export async function commandChunk(globalFlags, cmdArgs) {
       docObj.chunks = {};
     }
     docObj.chunks[outputChunkGroupName] = newChunkArray;
-    try {
-      fs.writeFileSync(outputPath, JSON.stringify(docObj, null, 2), 'utf-8');
-      console.log(`Wrote updated doc (with new chunk group "${outputChunkGroupName}") to: ${outputPath}`);
-    } catch (err) {
-      console.error('[ERROR] Could not write output file:', err.message);
-      process.exit(1);
-    }
+    fs.writeFileSync(outputPath, JSON.stringify(docObj, null, 2), 'utf-8');
+    console.log(`Wrote updated doc (with new chunk group "${outputChunkGroupName}") to: ${outputPath}`);
   } else {
     const newDoc = {
       id: docObj.id,
@@ -183,12 +182,7 @@ export async function commandChunk(globalFlags, cmdArgs) {
       chunks: {}
     };
     newDoc.chunks[outputChunkGroupName] = newChunkArray;
-    try {
-      fs.writeFileSync(outputPath, JSON.stringify(newDoc, null, 2), 'utf-8');
-      console.log(`Wrote new JSON document with chunk group "${outputChunkGroupName}" to: ${outputPath}`);
-    } catch (err) {
-      console.error('[ERROR] Could not write output file:', err.message);
-      process.exit(1);
-    }
+    fs.writeFileSync(outputPath, JSON.stringify(newDoc, null, 2), 'utf-8');
+    console.log(`Wrote new JSON document with chunk group "${outputChunkGroupName}" to: ${outputPath}`);
   }
 }
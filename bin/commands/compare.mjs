@@ -0,0 +1,355 @@
+/* commands/compare.mjs */
+import fs from 'fs';
+import { parseRunArgs, buildRunRequest, executeRun, runFlagValueCount } from './run.mjs';
+import { contentToText } from '../utils.mjs';
+
+/**
+ * Send one run request to several models at once and report the answers
+ * side by side.
+ *
+ * Usage:
+ *   charm compare --models <a,b,c> [--format text|markdown|json] [--output <file>]
+ *                 [--judge <model>] [--judge-criteria <text>] [run flags] [message]
+ *
+ * Every run flag is accepted (--prompt, templates, --attach, --system, ...).
+ * With --judge, the judge model sees the prompt and the anonymized answers
+ * and ranks them.
+ */
+export async function commandCompare(globalFlags, cmdArgs) {
+  const { models, format, outputPath, judgeModel, judgeCriteria, runArgs } = parseCompareArgs(cmdArgs);
+  if (models.length < 2) {
+    console.error('[ERROR] compare requires --models with at least two comma-separated model names.');
+    process.exit(1);
+  }
+  if (new Set(models).size !== models.length) {
+    console.error('[ERROR] --models lists the same model more than once.');
+    process.exit(1);
+  }
+
+  const options = parseRunArgs(runArgs);
+  if (options.toolsFile && !options.yes) {
+    console.error('[ERROR] compare cannot ask before each tool call; pass --yes with --tools.');
+    process.exit(1);
+  }
+  let request;
+  try {
+    request = await buildRunRequest(globalFlags, { ...options, stream: false });
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+
+  console.error(`Sending to ${models.length} models: ${models.join(', ')}`);
+  const entries = await Promise.all(models.map(model => runModel(globalFlags, request, model, options)));
+
+  let judgement = null;
+  if (judgeModel) {
+    const answered = entries.filter(e => e.status === 'ok');
+    if (answered.length < 2) {
+      console.error('[WARN] Fewer than two models answered; skipping the judge.');
+    } else {
+      console.error(`Asking ${judgeModel} to rank the answers...`);
+      try {
+        judgement = await judgeAnswers(globalFlags, judgeModel, judgeCriteria, request, answered);
+        for (const r of judgement.ranking) {
+          const entry = entries.find(e => e.model === r.model);
+          entry.rank = r.rank;
+          entry.judge_reason = r.reason;
+        }
+      } catch (err) {
+        console.error(`[WARN] The judge failed: ${err.message}`);
+        judgement = { model: judgeModel, error: typeof err.toJSON === 'function' ? err.toJSON() : { error: 'response', message: err.message } };
+      }
+    }
+  }
+
+  const report = { prompt: promptText(request), results: entries };
+  if (judgement) report.judge = judgement;
+
+  let text;
+  if (format === 'json') {
+    text = JSON.stringify(report, null, 2) + '\n';
+  } else if (format === 'markdown') {
+    text = markdownReport(report);
+  } else {
+    text = textReport(report, outputPath ? 120 : (process.stdout.columns || 120));
+  }
+  if (outputPath) {
+    try {
+      fs.writeFileSync(outputPath, text, 'utf-8');
+    } catch (err) {
+      console.error(`[ERROR] Could not write output file: ${outputPath}`, err.message);
+      process.exit(1);
+    }
+    console.error(`Wrote comparison to ${outputPath}`);
+  } else {
+    process.stdout.write(text);
+  }
+
+  if (entries.some(e => e.status !== 'ok')) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Split compare's own flags from run's.  Run flags keep their values (so a
+ * value like "--output" is not taken for compare's flag), and everything from
+ * the first positional on is the message.  Prints an error and exits on
+ * invalid flags.
+ */
+export function parseCompareArgs(cmdArgs) {
+  let models = [];
+  let format = 'text';
+  let outputPath = null;
+  let judgeModel = null;
+  let judgeCriteria = null;
+  const runArgs = [];
+  const localArgs = [...cmdArgs];
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (token === '--models') {
+      models = (localArgs.shift() || '').split(',').map(m => m.trim()).filter(Boolean);
+    } else if (token === '--format') {
+      format = localArgs.shift();
+      if (!['text', 'markdown', 'json'].includes(format)) {
+        console.error('[ERROR] Invalid --format. Must be "text", "markdown" or "json".');
+        process.exit(1);
+      }
+    } else if (token === '--output') {
+      outputPath = localArgs.shift();
+      if (!outputPath) {
+        console.error('[ERROR] --output requires a file path.');
+        process.exit(1);
+      }
+    } else if (token === '--judge') {
+      judgeModel = localArgs.shift();
+      if (!judgeModel) {
+        console.error('[ERROR] --judge requires a model name.');
+        process.exit(1);
+      }
+    } else if (token === '--judge-criteria') {
+      judgeCriteria = localArgs.shift();
+    } else if (token === '--stream') {
+      // Answers arrive together at the end; accept and ignore.
+    } else if (token === '--output-format' || token === '--save-transcript') {
+      console.error(`[ERROR] ${token} is not supported by compare; use --format and --output.`);
+      process.exit(1);
+    } else if (runFlagValueCount(token) > 0) {
+      runArgs.push(token, ...localArgs.splice(0, runFlagValueCount(token)));
+    } else if (!token.startsWith('--')) {
+      // The message: the rest of the line, flags and all.
+      runArgs.push(token, ...localArgs.splice(0));
+    } else {
+      // Everything else is for run.
+      runArgs.push(token);
+    }
+  }
+  return { models, format, outputPath, judgeModel, judgeCriteria, runArgs };
+}
+
+async function runModel(globalFlags, request, model, options) {
+  const modelRequest = { ...request, model, payload: { ...request.payload, model } };
+  const entry = { model, status: 'ok' };
+  try {
+    const result = await executeRun(globalFlags, modelRequest, {
+      maxAttempts: options.validationAttempts,
+      maxToolRounds: options.maxToolRounds
+    });
+    entry.text = result.text;
+    if ('json' in result) entry.json = result.json;
+    if (result.validation) entry.validation = result.validation;
+    if (result.tool_calls) entry.tool_calls = result.tool_calls;
+    entry.latency_ms = result.timing.duration_ms;
+    entry.output_chars = result.text.length;
+    entry.output_words = result.text.split(/\s+/).filter(Boolean).length;
+    entry.usage = result.usage;
+    if (result.validation && !result.validation.valid) {
+      entry.status = 'error';
+      entry.error = { error: 'validation', message: result.validation.errors.join('; ') };
+    }
+    console.error(`  ${model}: ${entry.status === 'ok' ? 'ok' : 'invalid'} (${entry.latency_ms} ms)`);
+  } catch (err) {
+    entry.status = 'error';
+    entry.error = typeof err.toJSON === 'function' ? err.toJSON() : { error: 'request', message: err.message };
+    console.error(`  ${model}: error: ${entry.error.message}`);
+  }
+  return entry;
+}
+
+/** The text of the request's last user message (images shown as placeholders). */
+function promptText(request) {
+  const users = request.payload.transcript.messages.filter(m => m.role === 'user');
+  return users.length > 0 ? contentToText(users[users.length - 1].content) : '';
+}
+
+const JUDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    ranking: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          answer: { type: 'string' },
+          rank: { type: 'integer', minimum: 1 },
+          reason: { type: 'string' }
+        },
+        required: ['answer', 'rank', 'reason'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['ranking'],
+  additionalProperties: false
+};
+
+/**
+ * Ask the judge model to rank the answers, shown under letters so the model
+ * names don't sway it.  Returns { model, ranking: [{ model, rank, reason }] }.
+ */
+async function judgeAnswers(globalFlags, judgeModel, criteria, request, answered) {
+  const labels = answered.map((_, i) => String.fromCharCode(65 + i));
+  let message = '';
+  if (request.payload.system) {
+    message += `System prompt given to each assistant:\n<<<\n${request.payload.system}\n>>>\n\n`;
+  }
+  message += `User prompt:\n<<<\n${promptText(request)}\n>>>\n\n`;
+  answered.forEach((entry, i) => {
+    message += `Answer ${labels[i]}:\n<<<\n${entry.text}\n>>>\n\n`;
+  });
+  message += `Rank all ${answered.length} answers from best (rank 1) to worst, ` +
+    `giving each a one-sentence reason. Refer to answers by their letter.`;
+
+  let system = 'You are an impartial judge comparing answers from different assistants to the same prompt. ' +
+    'Judge correctness first, then completeness, clarity and concision.';
+  if (criteria) {
+    system += `\nAdditional criteria: ${criteria}`;
+  }
+  const judgeRequest = {
+    payload: {
+      model: judgeModel,
+      system,
+      transcript: { messages: [{ role: 'user', content: message }] },
+      options: {
+        temperature: 0,
+        response_format: { type: 'json_schema', json_schema: { name: 'ranking', schema: JUDGE_SCHEMA } }
+      }
+    },
+    model: judgeModel,
+    schema: JUDGE_SCHEMA,
+    forceFormat: 'json_schema',
+    tools: null
+  };
+  const result = await executeRun(globalFlags, judgeRequest, { maxAttempts: 3 });
+  if (!result.validation.valid) {
+    throw new Error(`the judge's ranking was not valid: ${result.validation.errors.join('; ')}`);
+  }
+  const ranking = [];
+  for (const r of result.json.ranking) {
+    const index = labels.indexOf(String(r.answer).trim().replace(/^Answer\s+/i, '').toUpperCase());
+    if (index >= 0 && !ranking.some(x => x.model === answered[index].model)) {
+      ranking.push({ model: answered[index].model, rank: r.rank, reason: r.reason });
+    }
+  }
+  ranking.sort((a, b) => a.rank - b.rank);
+  return { model: judgeModel, ranking, usage: result.usage };
+}
+
+function summaryRows(report) {
+  return report.results.map(e => ({
+    model: e.model,
+    status: e.status === 'ok' ? 'ok' : `error: ${e.error.message}`,
+    latency: e.latency_ms !== undefined ? `${e.latency_ms} ms` : '-',
+    chars: e.output_chars !== undefined ? String(e.output_chars) : '-',
+    words: e.output_words !== undefined ? String(e.output_words) : '-',
+    tokens: e.usage && e.usage.output_tokens !== undefined ? String(e.usage.output_tokens) : '-',
+    rank: e.rank !== undefined ? String(e.rank) : '-'
+  }));
+}
+
+function markdownReport(report) {
+  const hasRank = Boolean(report.judge && report.judge.ranking);
+  const cell = s => String(s).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  let md = '# Model comparison\n\n';
+  md += '## Prompt\n\n' + fence(report.prompt) + '\n';
+  md += '## Summary\n\n';
+  md += `| Model | Status | Latency | Characters | Words | Output tokens${hasRank ? ' | Rank' : ''} |\n`;
+  md += `|---|---|---|---|---|---${hasRank ? '|---' : ''}|\n`;
+  for (const r of summaryRows(report)) {
+    md += `| ${cell(r.model)} | ${cell(r.status)} | ${r.latency} | ${r.chars} | ${r.words} | ${r.tokens}${hasRank ? ` | ${r.rank}` : ''} |\n`;
+  }
+  md += '\n';
+  if (hasRank) {
+    md += `## Judge (${report.judge.model})\n\n`;
+    for (const r of report.judge.ranking) {
+      md += `${r.rank}. **${r.model}**: ${r.reason}\n`;
+    }
+    md += '\n';
+  }
+  for (const e of report.results) {
+    md += `## ${e.model}\n\n`;
+    md += e.status === 'ok' ? fence(e.text) : `Error: ${e.error.message}\n`;
+    md += '\n';
+  }
+  return md;
+}
+
+function fence(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(s => s.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}\n${text}\n${ticks}\n`;
+}
+
+/** Answers in columns (stacked when the terminal is too narrow), then a summary table. */
+function textReport(report, width) {
+  const results = report.results;
+  const gap = ' | ';
+  const columnWidth = Math.floor((width - gap.length * (results.length - 1)) / results.length);
+  let out = '';
+  if (columnWidth >= 24) {
+    const columns = results.map(e => wrapText(e.status === 'ok' ? e.text : `[error] ${e.error.message}`, columnWidth));
+    const pad = s => s + ' '.repeat(Math.max(0, columnWidth - s.length));
+    out += results.map(e => pad(e.model.slice(0, columnWidth))).join(gap).trimEnd() + '\n';
+    out += results.map(() => '-'.repeat(columnWidth)).join(gap) + '\n';
+    const height = Math.max(...columns.map(c => c.length));
+    for (let i = 0; i < height; i++) {
+      out += columns.map(c => pad(c[i] || '')).join(gap).trimEnd() + '\n';
+    }
+  } else {
+    for (const e of results) {
+      out += `=== ${e.model} ===\n${e.status === 'ok' ? e.text : `[error] ${e.error.message}`}\n\n`;
+    }
+  }
+
+  const rows = summaryRows(report);
+  const headers = { model: 'Model', latency: 'Latency', chars: 'Chars', words: 'Words', tokens: 'Out tokens', rank: 'Rank', status: 'Status' };
+  const keys = Object.keys(headers);
+  const widths = Object.fromEntries(keys.map(k => [k, Math.max(headers[k].length, ...rows.map(r => r[k].length))]));
+  out += '\n' + keys.map(k => headers[k].padEnd(widths[k])).join('  ').trimEnd() + '\n';
+  for (const r of rows) {
+    out += keys.map(k => r[k].padEnd(widths[k])).join('  ').trimEnd() + '\n';
+  }
+  if (report.judge && report.judge.ranking) {
+    out += `\nJudge (${report.judge.model}):\n`;
+    for (const r of report.judge.ranking) {
+      out += `  ${r.rank}. ${r.model}: ${r.reason}\n`;
+    }
+  }
+  return out;
+}
+
+/** Hard-wrap text to lines of at most width characters, breaking at spaces where possible. */
+function wrapText(text, width) {
+  const lines = [];
+  for (const raw of text.replace(/\t/g, '  ').split('\n')) {
+    let line = raw;
+    while (line.length > width) {
+      let cut = line.lastIndexOf(' ', width);
+      if (cut <= 0) cut = width;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut).replace(/^ /, '');
+    }
+    lines.push(line);
+  }
+  return lines;
+}
@@ -2,8 +2,9 @@
 import fs from 'fs';
 import path from 'path';
 import FormData from 'form-data';
-import fetch from 'node-fetch';
-import { sleep } from '../utils.mjs';
+import { submitJob, waitForJob, fetchJobResult, isJobFailed } from '../client.mjs';
+import { recordJob, updateJob } from '../ledger.mjs';
+import { trackJob, untrackJob } from '../interrupt.mjs';
 
 export async function commandConvert(globalFlags, cmdArgs) {
   // Parse command-specific flags
@@ -140,102 +141,76 @@ async function convertDocxToMarkdown(inputPath, outputPath, globalFlags) {
   form.append('file', fileBuffer, path.basename(inputPath));
   form.append('model', globalFlags.model);
 
-  let length;
-  try {
-    length = form.getLengthSync();
-  } catch (err) {
-    throw new Error(`form.getLengthSync() failed: ${err.message}`);
-  }
-
-  const headers = {
-    ...form.getHeaders(),
-    'Content-Length': length
-  };
-
-  const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonizer/v1/conversions/documents`;
+  const jobsPath = '/api/charmonizer/v1/conversions/documents';
   let jobId;
 
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      body: form,
-      headers
-    });
-    if (!response.ok) {
-      const errBody = await response.text();
-      throw new Error(`HTTP ${response.status} => ${errBody}`);
-    }
-    const result = await response.json();
-    if (!result.job_id) {
-      throw new Error('No job_id returned by the server.');
-    }
-    jobId = result.job_id;
+    jobId = await submitJob(globalFlags, jobsPath, { form });
   } catch (err) {
     throw new Error(`Failed to start document conversion: ${err.message}`);
   }
+  const ledgerEntry = recordJob(globalFlags, {
+    jobId,
+    kind: 'convert',
+    jobsPath,
+    input: inputPath,
+    output: outputPath
+  });
+  trackJob(globalFlags, ledgerEntry);
 
-  const statusUrl = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonizer/v1/conversions/documents/${jobId}`;
-  const resultUrl = `${statusUrl}/result`;
-  
   const pollInterval = 3;
 
-  while (true) {
-    await sleep(pollInterval);
-    
-    try {
-      const resp = await fetch(statusUrl);
-      if (!resp.ok) {
-        const errBody = await resp.text();
-        throw new Error(`HTTP ${resp.status} => ${errBody}`);
-      }
-      const statusData = await resp.json();
-      
-      if (statusData.status === 'complete' || statusData.status === 'completed') {
-        break;
-      } else if (statusData.status === 'failed') {
-        throw new Error(`Conversion job failed: ${statusData.error || 'Unknown error'}`);
-      }
-      
-      console.log(`Conversion in progress... (status: ${statusData.status})`);
-    } catch (err) {
-      throw new Error(`Failed to check conversion status: ${err.message}`);
-    }
+  let statusData;
+  try {
+    statusData = await waitForJob(globalFlags, jobsPath, jobId, {
+      pollInterval,
+      onProgress: s => console.log(`Conversion in progress... (status: ${s.status})`)
+    });
+  } catch (err) {
+    throw new Error(`Failed to check conversion status: ${err.message}`);
+  } finally {
+    untrackJob(jobId);
+  }
+  if (isJobFailed(statusData)) {
+    updateJob(jobId, { status: 'failed', error: statusData.error || null });
+    throw new Error(`Conversion job failed: ${statusData.error || 'Unknown error'}`);
   }
 
   try {
-    const resp = await fetch(resultUrl);
-    if (!resp.ok) {
-      const errBody = await resp.text();
-      throw new Error(`HTTP ${resp.status} => ${errBody}`);
-    }
-    const docJson = await resp.json();
-    
-    let markdownContent = '';
+    const { data: docJson } = await fetchJobResult(globalFlags, jobsPath, jobId);
     
-    if (docJson.markdownContent) {
-      markdownContent = docJson.markdownContent;
-    } else if (docJson.content) {
-      markdownContent = docJson.content;
-    } else if (docJson.text) {
-      markdownContent = docJson.text;
-    } else if (docJson.chunks && Array.isArray(docJson.chunks)) {
-      markdownContent = docJson.chunks.map(chunk => {
-        if (typeof chunk === 'string') {
-          return chunk;
-        } else if (chunk.content) {
-          return chunk.content;
-        } else if (chunk.text) {
-          return chunk.text;
-        }
-        return '';
-      }).join('\n\n');
-    } else {
-      throw new Error('Could not find markdown content in the conversion result. Expected fields: markdownContent, content, text, or chunks array.');
-    }
-
-    fs.writeFileSync(outputPath, markdownContent, 'utf-8');
-    console.log(`Converted ${inputPath} to ${outputPath}`);
+    writeConversionMarkdown(docJson, inputPath, outputPath);
   } catch (err) {
     throw new Error(`Failed to retrieve or write conversion result: ${err.message}`);
   }
-}
\ No newline at end of file
+  updateJob(jobId, { status: 'collected' });
+}
+
+/** Write the markdown from a finished .docx conversion job. */
+export function writeConversionMarkdown(docJson, inputPath, outputPath) {
+  let markdownContent = '';
+  
+  if (docJson.markdownContent) {
+    markdownContent = docJson.markdownContent;
+  } else if (docJson.content) {
+    markdownContent = docJson.content;
+  } else if (docJson.text) {
+    markdownContent = docJson.text;
+  } else if (docJson.chunks && Array.isArray(docJson.chunks)) {
+    markdownContent = docJson.chunks.map(chunk => {
+      if (typeof chunk === 'string') {
+        return chunk;
+      } else if (chunk.content) {
+        return chunk.content;
+      } else if (chunk.text) {
+        return chunk.text;
+      }
+      return '';
+    }).join('\n\n');
+  } else {
+    throw new Error('Could not find markdown content in the conversion result. Expected fields: markdownContent, content, text, or chunks array.');
+  }
+
+  fs.writeFileSync(outputPath, markdownContent, 'utf-8');
+  console.log(`Converted ${inputPath} to ${outputPath}`);
+}
@@ -0,0 +1,451 @@
+/* commands/eval.mjs */
+import fs from 'fs';
+import path from 'path';
+import { parseRunArgs, runFlagValueCount, buildRunRequest, executeRun } from './run.mjs';
+import { loadPrompt } from '../prompts.mjs';
+import { makeImageAttachment, runPool, contentToText } from '../utils.mjs';
+import { checkAssertion, checkAssertionShape } from '../eval-assertions.mjs';
+
+/**
+ * Run a suite of prompt test cases, through the same path as "charm run",
+ * against one or more models.
+ *
+ * Usage:
+ *   charm eval <suite.json> [--models <a,b>] [--judge <model>] [--concurrency <n>]
+ *              [--report <file>] [--report-format junit|json] [--case <name>]
+ *              [run flags]
+ *
+ * Suite:
+ *   { "name": "...", "models": [...], "judge": "<model>",
+ *     "defaults": { <case fields> },
+ *     "cases": [ { "name": "...", <case fields>, "assert": [ <assertions> ] } ] }
+ *
+ * Case fields: message, params, attachments, prompt, system, system_template,
+ * input_template, transcript, temperature, response_format, response_schema,
+ * tools.  Paths are relative to the suite file.  See eval-assertions.mjs for
+ * the assertions.
+ */
+export async function commandEval(globalFlags, cmdArgs) {
+  let suiteFile = null;
+  let models = null;
+  let judgeModel = null;
+  let concurrency = 4;
+  let reportPath = null;
+  let reportFormat = null;
+  const caseNames = [];
+  const runArgs = [];
+  const localArgs = [...cmdArgs];
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (token === '--models') {
+      models = (localArgs.shift() || '').split(',').map(m => m.trim()).filter(Boolean);
+      if (models.length === 0) {
+        console.error('[ERROR] --models needs a comma-separated list of model names.');
+        process.exit(1);
+      }
+    } else if (token === '--judge') {
+      judgeModel = (localArgs.shift() || '').trim();
+      if (!judgeModel || judgeModel.startsWith('--')) {
+        console.error('[ERROR] --judge needs a model name.');
+        process.exit(1);
+      }
+    } else if (token === '--concurrency') {
+      concurrency = parseInt(localArgs.shift(), 10);
+      if (!(concurrency >= 1)) {
+        console.error('[ERROR] --concurrency must be at least 1.');
+        process.exit(1);
+      }
+    } else if (token === '--report') {
+      reportPath = localArgs.shift();
+    } else if (token === '--report-format') {
+      reportFormat = localArgs.shift();
+      if (!['junit', 'json'].includes(reportFormat)) {
+        console.error('[ERROR] Invalid --report-format. Must be "junit" or "json".');
+        process.exit(1);
+      }
+    } else if (token === '--case') {
+      caseNames.push(localArgs.shift());
+    } else if (token === '--stream') {
+      // Nothing to show live; accept and ignore.
+    } else if (runFlagValueCount(token) > 0) {
+      runArgs.push(token, ...localArgs.splice(0, runFlagValueCount(token)));
+    } else if (!token.startsWith('--') && suiteFile === null) {
+      suiteFile = token;
+    } else {
+      // Everything else is for run.
+      runArgs.push(token);
+    }
+  }
+  if (!suiteFile) {
+    console.error('[ERROR] eval requires a suite file (JSON).');
+    process.exit(1);
+  }
+  const baseOptions = parseRunArgs(runArgs);
+  if (baseOptions.leftoverMessage || baseOptions.userInputFile || baseOptions.saveTranscriptPath) {
+    console.error('[ERROR] eval takes its messages from the suite; messages, --input-file and --save-transcript are not supported.');
+    process.exit(1);
+  }
+  if (reportPath && !reportFormat) {
+    reportFormat = /\.xml$/i.test(reportPath) ? 'junit' : 'json';
+  }
+
+  let suite;
+  try {
+    suite = loadSuite(suiteFile);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  let cases = suite.cases;
+  if (caseNames.length > 0) {
+    cases = cases.filter(c => caseNames.includes(c.name));
+    const unknown = caseNames.filter(n => !suite.cases.some(c => c.name === n));
+    if (unknown.length > 0) {
+      console.error(`[ERROR] No such case in ${suiteFile}: ${unknown.join(', ')}`);
+      process.exit(1);
+    }
+  }
+  models = models || suite.models || [null];
+  judgeModel = judgeModel || suite.judge || null;
+  if (!judgeModel && cases.some(c => c.assert.some(a => a.type === 'judge' && !a.model))) {
+    console.error('[ERROR] The suite has judge assertions without a "model"; give --judge <model> or a suite "judge".');
+    process.exit(1);
+  }
+  if (!baseOptions.yes && cases.some(c => c.fields.tools || baseOptions.toolsFile)) {
+    console.error('[ERROR] eval cannot ask before each tool call; pass --yes for suites with tools.');
+    process.exit(1);
+  }
+
+  const runs = [];
+  for (const testCase of cases) {
+    for (const model of models) runs.push({ testCase, model });
+  }
+  console.error(`Suite "${suite.name}": ${cases.length} case(s) x ${models.length} model(s) ` +
+    `(${models.map(m => m || 'default').join(', ')}), concurrency ${concurrency}.`);
+
+  const started = Date.now();
+  const outcomes = [];
+  await runPool(runs, concurrency, async ({ testCase, model }) => {
+    const outcome = await runCase(globalFlags, baseOptions, testCase, model, judgeModel);
+    outcome.modelIndex = models.indexOf(model);
+    outcomes.push(outcome);
+    const detail = outcome.status === 'error'
+      ? `ERROR ${outcome.error.message}`
+      : outcome.status.toUpperCase();
+    console.error(`  ${testCase.name} [${outcome.model}]: ${detail}`);
+  });
+  const durationMs = Date.now() - started;
+
+  // Report in suite order, not completion order.  Without --models or suite
+  // "models", each case ran on the model run would pick for it.
+  outcomes.sort((a, b) => a.index - b.index || a.modelIndex - b.modelIndex);
+  const modelNames = models[0] === null ? [...new Set(outcomes.map(o => o.model))] : models;
+  process.stdout.write(summaryTable(cases, modelNames, outcomes));
+
+  if (reportPath) {
+    const report = reportFormat === 'junit'
+      ? junitReport(suite, modelNames, outcomes, durationMs)
+      : JSON.stringify(jsonReport(suite, modelNames, outcomes, durationMs), null, 2) + '\n';
+    try {
+      fs.writeFileSync(reportPath, report, 'utf-8');
+    } catch (err) {
+      console.error(`[ERROR] Could not write report: ${reportPath}`, err.message);
+      process.exit(1);
+    }
+    console.error(`Wrote ${reportFormat} report to ${reportPath}`);
+  }
+
+  if (outcomes.some(o => o.status !== 'pass')) {
+    process.exit(1);
+  }
+}
+
+const CASE_FIELDS = [
+  'message', 'params', 'attachments', 'prompt', 'system', 'system_template', 'input_template',
+  'transcript', 'temperature', 'response_format', 'response_schema', 'tools'
+];
+
+/** Read and check a suite.  Throws with a message naming the bad case. */
+export function loadSuite(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read suite ${file}: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.cases) || data.cases.length === 0) {
+    throw new Error(`Suite ${file} must have a non-empty "cases" array.`);
+  }
+  const baseDir = path.dirname(path.resolve(file));
+  const resolvePath = p => path.resolve(baseDir, p);
+  const defaults = data.defaults || {};
+  const names = new Set();
+  const cases = data.cases.map((raw, index) => {
+    const name = String(raw.name || `case-${index + 1}`);
+    const where = `${file}, case "${name}"`;
+    if (names.has(name)) {
+      throw new Error(`${where}: the name is used twice.`);
+    }
+    names.add(name);
+    const fields = {};
+    for (const key of CASE_FIELDS) {
+      if (key === 'params') {
+        fields.params = { ...defaults.params, ...raw.params };
+      } else if (raw[key] !== undefined) {
+        fields[key] = raw[key];
+      } else if (defaults[key] !== undefined) {
+        fields[key] = defaults[key];
+      }
+    }
+    // A case's own message replaces a default input template, and vice versa.
+    if (raw.message !== undefined && raw.input_template === undefined) delete fields.input_template;
+    if (raw.input_template !== undefined && raw.message === undefined) delete fields.message;
+    const unknown = Object.keys(raw).filter(k => ![...CASE_FIELDS, 'name', 'assert', 'description'].includes(k));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown field(s) ${unknown.join(', ')}.`);
+    }
+    for (const key of ['system', 'system_template', 'input_template', 'transcript', 'response_schema', 'tools']) {
+      if (typeof fields[key] === 'string') fields[key] = resolvePath(fields[key]);
+    }
+    fields.attachments = (fields.attachments || []).map(resolvePath);
+    const assertions = [...(defaults.assert || []), ...(raw.assert || [])];
+    assertions.forEach((a, i) => {
+      checkAssertionShape(a, `${where}, assertion ${i + 1}`);
+      if (a.type === 'json_schema' && typeof a.schema === 'string') {
+        try {
+          a.schema = JSON.parse(fs.readFileSync(resolvePath(a.schema), 'utf-8'));
+        } catch (err) {
+          throw new Error(`${where}, assertion ${i + 1}: could not read schema ${a.schema}: ${err.message}`);
+        }
+      }
+    });
+    return { index, name, description: raw.description || null, fields, assert: assertions };
+  });
+  return {
+    name: data.name || path.basename(file, path.extname(file)),
+    models: Array.isArray(data.models) && data.models.length > 0 ? data.models : null,
+    judge: data.judge || null,
+    cases
+  };
+}
+
+/** The run options for one case: run's command-line flags, overridden by the case. */
+export function caseOptions(baseOptions, fields) {
+  const options = {
+    ...baseOptions,
+    stream: false,
+    // Cases run side by side; none may wait on (or take) stdin.
+    noStdin: true,
+    attachments: [...baseOptions.attachments],
+    inputParamMap: { ...baseOptions.inputParamMap, ...fields.params },
+    systemParamMap: { ...baseOptions.systemParamMap, ...fields.params }
+  };
+  if (fields.message !== undefined) options.leftoverMessage = String(fields.message);
+  if (fields.prompt) options.promptName = fields.prompt;
+  if (fields.system) {
+    options.systemFile = fields.system;
+    options.systemTemplateFile = null;
+  }
+  if (fields.system_template) {
+    options.systemTemplateFile = fields.system_template;
+    options.systemFile = null;
+  }
+  if (fields.input_template) options.inputTemplateFile = fields.input_template;
+  if (fields.transcript) options.transcriptFile = fields.transcript;
+  if (fields.temperature !== undefined) options.temperature = Number(fields.temperature);
+  if (fields.response_format) {
+    options.forceFormat = fields.response_format;
+    options.forceSchemaFile = null;
+  }
+  if (fields.response_schema) {
+    options.forceSchemaFile = fields.response_schema;
+    options.forceFormat = null;
+  }
+  if (fields.tools) options.toolsFile = fields.tools;
+  for (const file of fields.attachments) {
+    const attachment = makeImageAttachment(file);
+    if (!attachment) {
+      throw new Error(`Could not attach file: ${file}`);
+    }
+    options.attachments.push(attachment);
+  }
+  const hasInputTemplate = Boolean(options.inputTemplateFile ||
+    (options.promptName && loadPrompt(options.promptName).inputTemplate));
+  if (!options.leftoverMessage && !hasInputTemplate && !options.transcriptFile && options.attachments.length === 0) {
+    throw new Error('The case has no "message", input template, transcript or attachments.');
+  }
+  return options;
+}
+
+async function runCase(globalFlags, baseOptions, testCase, model, judgeModel) {
+  const outcome = {
+    index: testCase.index,
+    case: testCase.name,
+    model: model || globalFlags.model,
+    status: 'pass',
+    assertions: []
+  };
+  let request;
+  let result;
+  try {
+    const options = caseOptions(baseOptions, testCase.fields);
+    request = await buildRunRequest(globalFlags, options);
+    if (model) {
+      request = { ...request, model, payload: { ...request.payload, model } };
+    }
+    outcome.model = request.model;
+    result = await executeRun(globalFlags, request, {
+      maxAttempts: options.validationAttempts,
+      maxToolRounds: options.maxToolRounds
+    });
+  } catch (err) {
+    outcome.status = 'error';
+    outcome.error = typeof err.toJSON === 'function' ? err.toJSON() : { error: 'request', message: err.message };
+    return outcome;
+  }
+  outcome.text = result.text;
+  if ('json' in result) outcome.json = result.json;
+  outcome.duration_ms = result.timing.duration_ms;
+  outcome.usage = result.usage;
+
+  const judge = (rubric, assertionModel) => judgeReply(globalFlags, assertionModel || judgeModel, rubric, request, result);
+  for (const assertion of testCase.assert) {
+    try {
+      outcome.assertions.push(await checkAssertion(assertion, result, { judge }));
+    } catch (err) {
+      outcome.assertions.push({ type: assertion.type, pass: false, message: `could not check: ${err.message}` });
+    }
+  }
+  if (outcome.assertions.some(a => !a.pass)) {
+    outcome.status = 'fail';
+  }
+  return outcome;
+}
+
+const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    pass: { type: 'boolean' },
+    reason: { type: 'string' }
+  },
+  required: ['pass', 'reason'],
+  additionalProperties: false
+};
+
+/** Ask a judge model whether a reply meets a rubric: { pass, reason }. */
+async function judgeReply(globalFlags, judgeModel, rubric, request, result) {
+  const users = request.payload.transcript.messages.filter(m => m.role === 'user');
+  const promptText = users.length > 0 ? contentToText(users[users.length - 1].content) : '';
+  const message = `User prompt:\n<<<\n${promptText}\n>>>\n\n` +
+    `Assistant reply:\n<<<\n${result.text}\n>>>\n\n` +
+    `Rubric:\n<<<\n${rubric}\n>>>\n\n` +
+    'Does the reply meet the rubric? Answer with pass (true or false) and a one-sentence reason.';
+  const judgeRequest = {
+    payload: {
+      model: judgeModel,
+      system: 'You are a strict grader checking an assistant reply against a rubric.',
+      transcript: { messages: [{ role: 'user', content: message }] },
+      options: {
+        temperature: 0,
+        response_format: { type: 'json_schema', json_schema: { name: 'verdict', schema: VERDICT_SCHEMA } }
+      }
+    },
+    model: judgeModel,
+    schema: VERDICT_SCHEMA,
+    forceFormat: 'json_schema',
+    tools: null
+  };
+  const verdict = await executeRun(globalFlags, judgeRequest, { maxAttempts: 3 });
+  if (!verdict.validation.valid) {
+    throw new Error(`the judge's verdict was not valid: ${verdict.validation.errors.join('; ')}`);
+  }
+  return { pass: verdict.json.pass, reason: verdict.json.reason };
+}
+
+function summaryTable(cases, modelNames, outcomes) {
+  const label = o => (o ? o.status.toUpperCase() : '-');
+  const caseWidth = Math.max('Passed'.length, ...cases.map(c => c.name.length));
+  const widths = modelNames.map(m => Math.max(m.length, 5));
+  let out = '\n' + ['Case'.padEnd(caseWidth), ...modelNames.map((m, i) => m.padEnd(widths[i]))].join('  ').trimEnd() + '\n';
+  for (const c of cases) {
+    const cells = modelNames.map((m, i) => label(outcomes.find(o => o.index === c.index && o.model === m)).padEnd(widths[i]));
+    out += [c.name.padEnd(caseWidth), ...cells].join('  ').trimEnd() + '\n';
+  }
+  const totals = modelNames.map((m, i) => {
+    const mine = outcomes.filter(o => o.model === m);
+    return `${mine.filter(o => o.status === 'pass').length}/${mine.length}`.padEnd(widths[i]);
+  });
+  out += ['Passed'.padEnd(caseWidth), ...totals].join('  ').trimEnd() + '\n';
+
+  const problems = outcomes.filter(o => o.status !== 'pass');
+  if (problems.length > 0) {
+    out += '\nFailures:\n';
+    for (const o of problems) {
+      out += `  ${o.case} [${o.model}]\n`;
+      if (o.status === 'error') {
+        out += `    error: ${o.error.message}\n`;
+      }
+      for (const a of o.assertions.filter(x => !x.pass)) {
+        out += `    ${a.type}: ${a.message}\n`;
+      }
+    }
+  }
+  return out;
+}
+
+function jsonReport(suite, modelNames, outcomes, durationMs) {
+  const count = status => outcomes.filter(o => o.status === status).length;
+  return {
+    suite: suite.name,
+    models: modelNames,
+    duration_ms: durationMs,
+    totals: { cases: outcomes.length, passed: count('pass'), failed: count('fail'), errors: count('error') },
+    results: outcomes.map(({ index, modelIndex, ...rest }) => rest)
+  };
+}
+
+function xmlEscape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Characters XML 1.0 does not allow.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/** One <testsuite> per model, one <testcase> per case. */
+function junitReport(suite, modelNames, outcomes, durationMs) {
+  const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+  const count = (list, status) => list.filter(o => o.status === status).length;
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<testsuites name="${xmlEscape(suite.name)}" tests="${outcomes.length}" ` +
+    `failures="${count(outcomes, 'fail')}" errors="${count(outcomes, 'error')}" time="${seconds(durationMs)}">\n`;
+  for (const model of modelNames) {
+    const mine = outcomes.filter(o => o.model === model);
+    const time = mine.reduce((sum, o) => sum + (o.duration_ms || 0), 0);
+    xml += `  <testsuite name="${xmlEscape(`${suite.name} [${model}]`)}" tests="${mine.length}" ` +
+      `failures="${count(mine, 'fail')}" errors="${count(mine, 'error')}" time="${seconds(time)}">\n`;
+    for (const o of mine) {
+      xml += `    <testcase name="${xmlEscape(o.case)}" classname="${xmlEscape(`${suite.name}.${model}`)}" time="${seconds(o.duration_ms)}"`;
+      if (o.status === 'pass') {
+        xml += '/>\n';
+        continue;
+      }
+      xml += '>\n';
+      if (o.status === 'error') {
+        xml += `      <error message="${xmlEscape(o.error.message)}" type="${xmlEscape(o.error.error || 'error')}"/>\n`;
+      } else {
+        const failed = o.assertions.filter(a => !a.pass);
+        const details = failed.map(a => `${a.type}: ${a.message}`).join('\n');
+        xml += `      <failure message="${xmlEscape(failed.map(a => a.message).join('; '))}" type="assertion">` +
+          `${xmlEscape(details)}</failure>\n`;
+        xml += `      <system-out>${xmlEscape(o.text || '')}</system-out>\n`;
+      }
+      xml += '    </testcase>\n';
+    }
+    xml += '  </testsuite>\n';
+  }
+  xml += '</testsuites>\n';
+  return xml;
+}
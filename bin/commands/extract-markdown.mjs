@@ -1,7 +1,7 @@
 /* commands/extract-markdown.mjs */
 import fs from 'fs';
 import FormData from 'form-data';
-import fetch from 'node-fetch';
+import { apiJson } from '../client.mjs';
 import path from 'path';
 
 export async function commandExtractMarkdown(globalFlags, cmdArgs) {
@@ -42,7 +42,7 @@ export async function commandExtractMarkdown(globalFlags, cmdArgs) {
   const form = new FormData();
   form.append('file', fileBuffer, path.basename(inputPath));
 
-  const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonator/v1/conversion/file`;
+  const endpoint = '/api/charmonator/v1/conversion/file';
   let responseJson;
 
   try {
@@ -52,17 +52,11 @@ export async function commandExtractMarkdown(globalFlags, cmdArgs) {
       'Content-Length': length
     };
 
-    const resp = await fetch(endpoint, {
+    responseJson = await apiJson(globalFlags, endpoint, {
       method: 'POST',
       body: form,
       headers
     });
-    if (!resp.ok) {
-      const errBody = await resp.text();
-      console.error(`[ERROR] /conversion/file => HTTP ${resp.status} => ${errBody}`);
-      process.exit(1);
-    }
-    responseJson = await resp.json();
   } catch (err) {
     console.error('[ERROR] Failed to call /conversion/file:', err.message);
     process.exit(1);
@@ -0,0 +1,408 @@
+/* commands/jobs.mjs */
+import fs from 'fs';
+import { loadLedger, findJob, updateJob, removeJob, ledgerPath } from '../ledger.mjs';
+import { resolveGlobalFlags } from '../config.mjs';
+import {
+  apiRequest,
+  getJobStatus,
+  waitForJob,
+  fetchJobResult,
+  isJobComplete,
+  isJobFailed
+} from '../client.mjs';
+import { finishTranscription } from './transcribe.mjs';
+import { writeChunkGroup } from './chunk.mjs';
+import { writeSummarizedDoc } from './summarize.mjs';
+import { writeConversionMarkdown } from './convert.mjs';
+
+/**
+ * Manage charmonizer jobs recorded in the local ledger.
+ *
+ * Usage:
+ *   charm jobs list [--status <status>] [--json]
+ *   charm jobs status <job-id> [--json]
+ *   charm jobs wait <job-id> [--poll-interval <seconds>]
+ *   charm jobs result <job-id> [--output <file>] [--poll-interval <seconds>]
+ *   charm jobs collect [--kind <kind>] [--wait] [--poll-interval <seconds>]
+ *   charm jobs cancel <job-id>
+ *   charm jobs forget <job-id>
+ *
+ * Job ids may be abbreviated to any unique prefix.
+ */
+export async function commandJobs(globalFlags, cmdArgs) {
+  const subcommand = cmdArgs[0];
+  const localArgs = cmdArgs.slice(1);
+
+  switch (subcommand) {
+    case 'list':
+      return jobsList(localArgs);
+    case 'status':
+      return jobsStatus(globalFlags, localArgs);
+    case 'wait':
+      return jobsWait(globalFlags, localArgs);
+    case 'result':
+      return jobsResult(globalFlags, localArgs);
+    case 'collect':
+      return jobsCollect(globalFlags, localArgs);
+    case 'cancel':
+      return jobsCancel(globalFlags, localArgs);
+    case 'forget':
+      return jobsForget(localArgs);
+    default:
+      console.error(`[ERROR] Unknown or missing subcommand for "jobs": ${subcommand || '(none)'}`);
+      console.error('Usage: charm jobs list|status|wait|result|collect|cancel|forget [<job-id>] [flags]');
+      process.exit(1);
+  }
+}
+
+// Flags of the job subcommands that take a value (which is not the job id).
+const FLAGS_WITH_VALUES = new Set(['--output', '--poll-interval']);
+
+// Split "<job-id> [flags...]" (in any order) into the ledger entry and the
+// remaining flags, which are left in localArgs.
+function takeJob(localArgs, subcommand) {
+  let idArg = null;
+  const rest = [];
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (FLAGS_WITH_VALUES.has(token)) {
+      rest.push(token, localArgs.shift());
+    } else if (token.startsWith('--') || idArg !== null) {
+      rest.push(token);
+    } else {
+      idArg = token;
+    }
+  }
+  localArgs.push(...rest);
+  if (!idArg) {
+    console.error(`[ERROR] "jobs ${subcommand}" requires a job id.`);
+    process.exit(1);
+  }
+  try {
+    return findJob(idArg);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Server settings for a job: its own profile's credentials, and the server it was submitted to.
+function flagsForJob(globalFlags, job) {
+  let flags = globalFlags;
+  if (job.profile && job.profile !== globalFlags.profile) {
+    try {
+      flags = resolveGlobalFlags(job.profile);
+    } catch (err) {
+      console.warn(`[WARN] ${err.message} Using the current settings instead.`);
+    }
+  }
+  return { ...flags, baseUrl: job.server || flags.baseUrl };
+}
+
+function parsePollInterval(localArgs) {
+  let pollInterval = 3;
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (token === '--poll-interval') {
+      pollInterval = parseFloat(localArgs.shift());
+      if (isNaN(pollInterval) || pollInterval <= 0) {
+        console.error('[ERROR] Invalid --poll-interval.');
+        process.exit(1);
+      }
+    } else {
+      return { pollInterval, unknown: token };
+    }
+  }
+  return { pollInterval };
+}
+
+function describeProgress(statusRes) {
+  if (statusRes.pages_total) {
+    return `${statusRes.pages_converted || 0}/${statusRes.pages_total} pages`;
+  }
+  if (statusRes.chunks_total) {
+    return `${statusRes.chunks_completed || 0}/${statusRes.chunks_total} chunks`;
+  }
+  if (statusRes.progress !== undefined) {
+    return `${statusRes.progress}%`;
+  }
+  return '';
+}
+
+function jobsList(localArgs) {
+  let statusFilter = null;
+  let asJson = false;
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (token === '--status') {
+      statusFilter = localArgs.shift();
+    } else if (token === '--json') {
+      asJson = true;
+    } else {
+      console.error(`[ERROR] Unknown flag for "jobs list": ${token}`);
+      process.exit(1);
+    }
+  }
+
+  let jobs = loadLedger();
+  if (statusFilter) {
+    jobs = jobs.filter(j => j.status === statusFilter);
+  }
+  jobs.sort((a, b) => b.submitted_at.localeCompare(a.submitted_at));
+
+  if (asJson) {
+    console.log(JSON.stringify(jobs, null, 2));
+    return;
+  }
+  if (jobs.length === 0) {
+    console.log(`No jobs recorded in ${ledgerPath()}.`);
+    return;
+  }
+  for (const job of jobs) {
+    console.log(`${job.job_id}  ${job.kind.padEnd(12)} ${job.status.padEnd(10)} ${job.submitted_at}`);
+    console.log(`    ${job.input || '(no input)'} => ${job.output || '(no output)'}` +
+      (job.profile ? `  [profile: ${job.profile}]` : ''));
+    if (job.error) {
+      console.log(`    error: ${job.error}`);
+    }
+  }
+}
+
+async function jobsStatus(globalFlags, localArgs) {
+  const job = takeJob(localArgs, 'status');
+  const asJson = localArgs.includes('--json');
+  let statusRes;
+  try {
+    statusRes = await getJobStatus(flagsForJob(globalFlags, job), job.jobs_path, job.job_id);
+  } catch (err) {
+    console.error(`[ERROR] Could not get status of job ${job.job_id}:`, err.message);
+    process.exit(1);
+  }
+  syncLedgerStatus(job, statusRes);
+
+  if (asJson) {
+    console.log(JSON.stringify(statusRes, null, 2));
+    return;
+  }
+  console.log(`Job:       ${job.job_id} (${job.kind})`);
+  console.log(`Status:    ${statusRes.status}`);
+  const progress = describeProgress(statusRes);
+  if (progress) console.log(`Progress:  ${progress}`);
+  if (statusRes.error) console.log(`Error:     ${statusRes.error}`);
+  console.log(`Input:     ${job.input || '(none)'}`);
+  console.log(`Output:    ${job.output || '(none)'}`);
+  console.log(`Submitted: ${job.submitted_at}`);
+}
+
+// Record the server's view of a job, without clobbering our own terminal states.
+function syncLedgerStatus(job, statusRes) {
+  if (job.status === 'collected' || job.status === 'cancelled') return;
+  if (isJobFailed(statusRes)) {
+    updateJob(job.job_id, { status: 'failed', error: statusRes.error || null });
+  } else if (isJobComplete(statusRes)) {
+    updateJob(job.job_id, { status: 'complete' });
+  }
+}
+
+async function waitOrExit(flags, job, pollInterval) {
+  let statusRes;
+  try {
+    statusRes = await waitForJob(flags, job.jobs_path, job.job_id, {
+      pollInterval,
+      onProgress: s => console.log(`Status: ${s.status} ${describeProgress(s)}`.trim())
+    });
+  } catch (err) {
+    console.error(`[ERROR] Polling job ${job.job_id} failed:`, err.message);
+    process.exit(1);
+  }
+  syncLedgerStatus(job, statusRes);
+  if (isJobFailed(statusRes)) {
+    console.error(`[ERROR] Job ${job.job_id} failed:`, statusRes.error || '(Unknown error)');
+    process.exit(1);
+  }
+  return statusRes;
+}
+
+async function jobsWait(globalFlags, localArgs) {
+  const job = takeJob(localArgs, 'wait');
+  const { pollInterval, unknown } = parsePollInterval(localArgs);
+  if (unknown) {
+    console.error(`[ERROR] Unknown flag for "jobs wait": ${unknown}`);
+    process.exit(1);
+  }
+  await waitOrExit(flagsForJob(globalFlags, job), job, pollInterval);
+  console.log(`Job ${job.job_id} is complete.`);
+}
+
+/** Write a job's result the way the command that submitted it would have. */
+export function finishJob(job, data, outputPath) {
+  const finish = job.finish || {};
+  switch (job.kind) {
+    case 'transcribe':
+    case 'retranscribe':
+      finishTranscription(data, job.input, outputPath, finish);
+      break;
+    case 'chunk': {
+      const docObj = JSON.parse(fs.readFileSync(job.input, 'utf-8'));
+      writeChunkGroup(docObj, data, {
+        outputChunkGroupName: finish.outputChunkGroupName || 'rechunked',
+        inline: !!finish.inline,
+        outputPath
+      });
+      break;
+    }
+    case 'summarize':
+      writeSummarizedDoc(data, outputPath);
+      break;
+    case 'convert':
+      writeConversionMarkdown(data, job.input, outputPath);
+      break;
+    default:
+      fs.writeFileSync(outputPath, JSON.stringify(data, null, 2), 'utf-8');
+      console.log(`Wrote job result to: ${outputPath}`);
+  }
+}
+
+/**
+ * Fetch a job's result and finish it.  With `wait`, block until the job ends;
+ * otherwise check once.  Resolves to the job's resulting ledger status
+ * ('collected', 'failed' or still 'submitted'); throws on transport or write errors.
+ */
+async function collectJob(globalFlags, job, { outputPath, wait, pollInterval }) {
+  const flags = flagsForJob(globalFlags, job);
+  let statusRes;
+  if (wait) {
+    statusRes = await waitForJob(flags, job.jobs_path, job.job_id, {
+      pollInterval,
+      onProgress: s => console.log(`Status: ${s.status} ${describeProgress(s)}`.trim())
+    });
+  } else {
+    statusRes = await getJobStatus(flags, job.jobs_path, job.job_id);
+  }
+  syncLedgerStatus(job, statusRes);
+  if (isJobFailed(statusRes)) {
+    throw new Error(`Job ${job.job_id} failed: ${statusRes.error || '(Unknown error)'}`);
+  }
+  if (!isJobComplete(statusRes)) {
+    return 'submitted';
+  }
+
+  const result = await fetchJobResult(flags, job.jobs_path, job.job_id);
+  if (result.status === 202) {
+    return 'submitted';
+  }
+  finishJob(job, result.data, outputPath);
+  updateJob(job.job_id, { status: 'collected', output: outputPath });
+  return 'collected';
+}
+
+async function jobsResult(globalFlags, localArgs) {
+  const job = takeJob(localArgs, 'result');
+  let outputPath = job.output;
+  const rest = [];
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (token === '--output') {
+      outputPath = localArgs.shift();
+    } else {
+      rest.push(token);
+    }
+  }
+  const { pollInterval, unknown } = parsePollInterval(rest);
+  if (unknown) {
+    console.error(`[ERROR] Unknown flag for "jobs result": ${unknown}`);
+    process.exit(1);
+  }
+  if (!outputPath) {
+    console.error(`[ERROR] Job ${job.job_id} has no recorded output path; pass --output <file>.`);
+    process.exit(1);
+  }
+
+  let outcome;
+  try {
+    outcome = await collectJob(globalFlags, job, { outputPath, wait: true, pollInterval });
+  } catch (err) {
+    console.error(`[ERROR] Could not collect job ${job.job_id}:`, err.message);
+    process.exit(1);
+  }
+  if (outcome !== 'collected') {
+    console.error(`[ERROR] Job ${job.job_id} is still producing its result (HTTP 202); try again shortly.`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Collect every outstanding job (e.g. those submitted with --no-wait): finished
+ * ones are written to their output paths, running ones are left alone unless
+ * --wait is given.
+ */
+async function jobsCollect(globalFlags, localArgs) {
+  let kind = null;
+  let wait = false;
+  const rest = [];
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (token === '--kind') {
+      kind = localArgs.shift();
+    } else if (token === '--wait') {
+      wait = true;
+    } else {
+      rest.push(token);
+    }
+  }
+  const { pollInterval, unknown } = parsePollInterval(rest);
+  if (unknown) {
+    console.error(`[ERROR] Unknown flag for "jobs collect": ${unknown}`);
+    process.exit(1);
+  }
+
+  const pending = loadLedger().filter(j =>
+    (j.status === 'submitted' || j.status === 'complete') && (!kind || j.kind === kind)
+  );
+  if (pending.length === 0) {
+    console.log('No outstanding jobs to collect.');
+    return;
+  }
+
+  const counts = { collected: 0, submitted: 0, failed: 0 };
+  for (const job of pending) {
+    console.log(`\n[${job.job_id}] ${job.kind}: ${job.input || ''}`);
+    if (!job.output) {
+      console.error(`[WARN] Job ${job.job_id} has no recorded output path; use "charm jobs result ${job.job_id} --output <file>".`);
+      counts.failed++;
+      continue;
+    }
+    try {
+      const outcome = await collectJob(globalFlags, job, { outputPath: job.output, wait, pollInterval });
+      counts[outcome]++;
+      if (outcome === 'submitted') {
+        console.log('Still running.');
+      }
+    } catch (err) {
+      console.error(`[WARN] ${err.message}`);
+      counts.failed++;
+    }
+  }
+  console.log(`\nCollected ${counts.collected}, still running ${counts.submitted}, failed ${counts.failed}.`);
+  if (counts.failed > 0) {
+    process.exit(1);
+  }
+}
+
+async function jobsCancel(globalFlags, localArgs) {
+  const job = takeJob(localArgs, 'cancel');
+  try {
+    await apiRequest(flagsForJob(globalFlags, job), `${job.jobs_path}/${job.job_id}`, { method: 'DELETE' });
+  } catch (err) {
+    console.error(`[ERROR] Could not cancel job ${job.job_id}:`, err.message);
+    process.exit(1);
+  }
+  updateJob(job.job_id, { status: 'cancelled' });
+  console.log(`Cancelled job ${job.job_id}.`);
+}
+
+function jobsForget(localArgs) {
+  const job = takeJob(localArgs, 'forget');
+  removeJob(job.job_id);
+  console.log(`Removed job ${job.job_id} from ${ledgerPath()}.`);
+}
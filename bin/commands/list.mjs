@@ -1,16 +1,10 @@
 /* commands/list.mjs */
-import fetch from 'node-fetch';
+import { apiJson } from '../client.mjs';
 
 export async function commandList(globalFlags, cmdArgs) {
-  const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonator/v1/models`;
+  const endpoint = '/api/charmonator/v1/models';
   try {
-    const resp = await fetch(endpoint);
-    if (!resp.ok) {
-      const errText = await resp.text();
-      console.error(`[ERROR] GET /models => HTTP ${resp.status} => ${errText}`);
-      process.exit(1);
-    }
-    const data = await resp.json();
+    const data = await apiJson(globalFlags, endpoint);
     if (!data.models) {
       console.log('No model list found in response.');
       return;
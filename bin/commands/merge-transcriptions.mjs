@@ -1,7 +1,7 @@
 /* commands/merge-transcriptions.mjs */
 import fs from 'fs';
-import fetch from 'node-fetch';
 import { sleep } from '../utils.mjs';
+import { apiJson } from '../client.mjs';
 
 /**
  * Merges multiple .doc.json transcripts of the same document into one composite .doc.json.
@@ -149,20 +149,10 @@ Your goal is to merge them into a single best-guess transcription, with inline
       }
     };
 
-    const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonator/v1/transcript/extension`;
+    const endpoint = '/api/charmonator/v1/transcript/extension';
     let mergedPageMarkdown = '';
     try {
-      const resp = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-      if (!resp.ok) {
-        const errText = await resp.text();
-        console.error(`[ERROR] Merging page #${pageIndex + 1} => HTTP ${resp.status} => ${errText}`);
-        process.exit(1);
-      }
-      const resultJson = await resp.json();
+      const resultJson = await apiJson(globalFlags, endpoint, { method: 'POST', json: payload });
       const assistantMsgs = (resultJson.messages || []).filter(m => m.role === 'assistant');
       if (!assistantMsgs.length) {
         console.error(`[ERROR] No assistant message returned for page #${pageIndex + 1}.`);
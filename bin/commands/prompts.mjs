@@ -0,0 +1,184 @@
+/* commands/prompts.mjs */
+import fs from 'fs';
+import path from 'path';
+import {
+  listPrompts,
+  loadPrompt,
+  createPrompt,
+  promptRequiredParams,
+  userPromptsDir,
+  projectPromptsDir,
+  MANIFEST
+} from '../prompts.mjs';
+
+/**
+ * Manage the prompt library (see "charm run --prompt <name>").
+ *
+ * Usage:
+ *   charm prompts list
+ *   charm prompts show <name>
+ *   charm prompts new <name> [--project] [--description <text>] [--model <name>]
+ *                            [--system-file <file>] [--input-file <file>]
+ *                            [--schema-file <file>] [--force]
+ */
+export async function commandPrompts(globalFlags, cmdArgs) {
+  const subcommand = cmdArgs[0];
+  const localArgs = cmdArgs.slice(1);
+
+  switch (subcommand) {
+    case 'list':
+      return promptsList();
+    case 'show':
+      return promptsShow(localArgs);
+    case 'new':
+      return promptsNew(localArgs);
+    default:
+      console.error(`[ERROR] Unknown or missing subcommand for "prompts": ${subcommand || '(none)'}`);
+      console.error('Usage: charm prompts list|show|new [<name>] [flags]');
+      process.exit(1);
+  }
+}
+
+function promptsList() {
+  const prompts = listPrompts();
+  if (prompts.length === 0) {
+    const where = [projectPromptsDir(), userPromptsDir()].filter(Boolean).join(' or ');
+    console.log(`No prompts in ${where}. Create one with "charm prompts new <name>".`);
+    return;
+  }
+  for (const p of prompts) {
+    const notes = [p.scope];
+    if (p.model) notes.push(p.model);
+    if (p.shadowed) notes.push('hidden by the project prompt');
+    console.log(`${p.name.padEnd(24)} ${p.description || '(no description)'}  [${notes.join(', ')}]`);
+  }
+}
+
+function promptsShow(localArgs) {
+  const name = localArgs[0];
+  if (!name) {
+    console.error('[ERROR] "prompts show" requires a prompt name.');
+    process.exit(1);
+  }
+  let prompt;
+  let required;
+  try {
+    prompt = loadPrompt(name);
+    required = promptRequiredParams(prompt);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+
+  console.log(`Prompt:       ${prompt.name} (${prompt.scope})`);
+  console.log(`Location:     ${prompt.dir}`);
+  if (prompt.description) console.log(`Description:  ${prompt.description}`);
+  if (prompt.model) console.log(`Model:        ${prompt.model}`);
+  if (prompt.temperature !== null) console.log(`Temperature:  ${prompt.temperature}`);
+  if (required.length > 0) console.log(`Required:     ${required.join(', ')}`);
+  const defaults = Object.entries(prompt.params);
+  if (defaults.length > 0) {
+    console.log('Defaults:');
+    for (const [key, value] of defaults) {
+      console.log(`  ${key} = ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    }
+  }
+  if (prompt.responseSchema !== null) {
+    console.log(`Schema:       ${typeof prompt.responseSchema === 'string' ? prompt.responseSchema : '(inline)'}`);
+  }
+  for (const [label, file] of [['System template', prompt.systemTemplate], ['Input template', prompt.inputTemplate]]) {
+    if (!file) continue;
+    console.log(`\n--- ${label} (${path.relative(prompt.dir, file)}) ---`);
+    try {
+      process.stdout.write(fs.readFileSync(file, 'utf-8').replace(/\n?$/, '\n'));
+    } catch (err) {
+      console.log(`[could not read: ${err.message}]`);
+    }
+  }
+}
+
+const SYSTEM_SCAFFOLD = `You are a careful assistant.
+`;
+
+const INPUT_SCAFFOLD = `---
+required: [text]
+---
+{{text}}
+`;
+
+function readOrExit(file, flag) {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    console.error(`[ERROR] Could not read ${flag} file: ${file}`, err.message);
+    process.exit(1);
+  }
+}
+
+function promptsNew(localArgs) {
+  let name = null;
+  const rest = [...localArgs];
+  let project = false;
+  let force = false;
+  let description = '';
+  let model = null;
+  let systemFile = null;
+  let inputFile = null;
+  let schemaFile = null;
+  while (rest.length > 0) {
+    const token = rest.shift();
+    if (token === '--project') {
+      project = true;
+    } else if (token === '--force') {
+      force = true;
+    } else if (token === '--description') {
+      description = rest.shift() || '';
+    } else if (token === '--model') {
+      model = rest.shift();
+    } else if (token === '--system-file') {
+      systemFile = rest.shift();
+    } else if (token === '--input-file') {
+      inputFile = rest.shift();
+    } else if (token === '--schema-file') {
+      schemaFile = rest.shift();
+    } else if (!token.startsWith('--') && name === null) {
+      name = token;
+    } else {
+      console.error(`[ERROR] Unknown argument for "prompts new": ${token}`);
+      process.exit(1);
+    }
+  }
+  if (!name) {
+    console.error('[ERROR] "prompts new" requires a prompt name.');
+    process.exit(1);
+  }
+
+  const manifest = { description, system: 'system.md', input: 'input.md', params: {} };
+  if (model) manifest.model = model;
+  const files = {
+    'system.md': systemFile ? readOrExit(systemFile, '--system-file') : SYSTEM_SCAFFOLD,
+    'input.md': inputFile ? readOrExit(inputFile, '--input-file') : INPUT_SCAFFOLD
+  };
+  if (schemaFile) {
+    const schemaText = readOrExit(schemaFile, '--schema-file');
+    try {
+      JSON.parse(schemaText);
+    } catch (err) {
+      console.error(`[ERROR] Could not parse JSON schema from file ${schemaFile}`);
+      process.exit(1);
+    }
+    files['schema.json'] = schemaText;
+    manifest.response_schema = 'schema.json';
+  }
+
+  let promptDir;
+  try {
+    promptDir = createPrompt(name, { project, manifest, files, force });
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  console.log(`Created prompt "${name}" in ${promptDir}`);
+  console.log(`Edit ${path.join(promptDir, MANIFEST)} and the templates, then run:`);
+  console.log(`  charm run --prompt ${name} --input-param text "..."`);
+}
@@ -0,0 +1,218 @@
+/* commands/retranscribe.mjs */
+import fs from 'fs';
+import path from 'path';
+import { fileSha256 } from '../batch-manifest.mjs';
+import { parsePageRanges, formatPageRanges, pdfPageCount, isFailedPage } from '../pdf-pages.mjs';
+import { transcribeSingleFile } from './transcribe.mjs';
+
+/**
+ * Re-run some pages of an existing transcription and splice them back in.
+ *
+ * Usage:
+ *   charm retranscribe <doc.json> (--pages <ranges> | --failed) [--source <pdf>] [--output <file>]
+ *     [--graphic-instructions <text>] [--description <text>] [--intent <text>]
+ *     [--input-document-type medical] [--ocr-threshold <n>] [--no-page-numbering]
+ *     [--poll-interval <seconds>] [--no-wait | --no-wait-json]
+ *
+ * The pages are cut out of the source PDF and transcribed on their own, with
+ * the global --model if given.  The new pages replace the old ones by
+ * page_number, the top-level content is rebuilt, and the run is appended to
+ * metadata.retranscriptions.  The doc.json is rewritten in place unless
+ * --output is given.
+ */
+export async function commandRetranscribe(globalFlags, cmdArgs) {
+  let docPath = null;
+  let pages = [];
+  let failed = false;
+  let sourcePath = null;
+  let outputPath = null;
+  let description = null;
+  let intent = null;
+  let graphicInstructions = null;
+  let inputDocumentType = null;
+  let pageNumbering = true;
+  let ocrThreshold = 1.0;
+  let pollInterval = 3;
+  let noWait = false;
+  let noWaitJson = false;
+
+  const localArgs = [...cmdArgs];
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    switch (token) {
+      case '--pages':
+        try {
+          pages = pages.concat(parsePageRanges(localArgs.shift()));
+        } catch (err) {
+          console.error(`[ERROR] ${err.message}`);
+          process.exit(1);
+        }
+        break;
+      case '--failed':
+        failed = true;
+        break;
+      case '--source':
+        sourcePath = localArgs.shift();
+        break;
+      case '--output':
+        outputPath = localArgs.shift();
+        break;
+      case '--description':
+        description = localArgs.shift();
+        break;
+      case '--intent':
+        intent = localArgs.shift();
+        break;
+      case '--graphic-instructions':
+        graphicInstructions = localArgs.shift();
+        break;
+      case '--input-document-type':
+        inputDocumentType = localArgs.shift();
+        if (!['medical'].includes(inputDocumentType)) {
+          console.error('[ERROR] Invalid --input-document-type. Must be "medical".');
+          process.exit(1);
+        }
+        break;
+      case '--no-page-numbering':
+        pageNumbering = false;
+        break;
+      case '--ocr-threshold':
+        ocrThreshold = localArgs.shift();
+        break;
+      case '--poll-interval':
+        pollInterval = parseFloat(localArgs.shift());
+        if (isNaN(pollInterval) || pollInterval <= 0) {
+          console.error('[ERROR] Invalid --poll-interval.');
+          process.exit(1);
+        }
+        break;
+      case '--no-wait':
+        noWait = true;
+        break;
+      case '--no-wait-json':
+        noWait = true;
+        noWaitJson = true;
+        break;
+      default:
+        if (token.startsWith('--') || docPath) {
+          console.error(`[ERROR] Unknown argument for "retranscribe": ${token}`);
+          process.exit(1);
+        }
+        docPath = token;
+    }
+  }
+  if (!docPath) {
+    console.error('[ERROR] No doc.json specified.');
+    process.exit(1);
+  }
+  if (pages.length === 0 && !failed) {
+    console.error('[ERROR] Say which pages to redo with --pages <ranges> or --failed.');
+    process.exit(1);
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(docPath, 'utf-8'));
+  } catch (err) {
+    console.error(`[ERROR] Could not read ${docPath}: ${err.message}`);
+    process.exit(1);
+  }
+  const meta = doc.metadata || {};
+
+  if (!sourcePath) {
+    sourcePath = findSource(docPath, meta);
+    if (!sourcePath) {
+      console.error(`[ERROR] Could not find the PDF ${docPath} was transcribed from; pass --source <pdf>.`);
+      process.exit(1);
+    }
+  }
+  if (path.extname(sourcePath).toLowerCase() !== '.pdf') {
+    console.error(`[ERROR] Only PDF pages can be re-transcribed (source: ${sourcePath}).`);
+    process.exit(1);
+  }
+  let sourceBuffer;
+  try {
+    sourceBuffer = fs.readFileSync(sourcePath);
+  } catch (err) {
+    console.error(`[ERROR] Could not read source ${sourcePath}: ${err.message}`);
+    process.exit(1);
+  }
+  if (meta.document_sha256 && meta.document_sha256 !== fileSha256(sourcePath)) {
+    console.error(`[ERROR] ${sourcePath} is not the file ${docPath} was transcribed from (sha256 differs).`);
+    process.exit(1);
+  }
+
+  if (failed) {
+    let failedPages = ((doc.chunks && doc.chunks.pages) || [])
+      .filter(isFailedPage)
+      .map(page => page.metadata.page_number);
+    // A document that failed as a whole has a single placeholder for all of it.
+    if (meta.transcription_status === 'failed') {
+      if (Array.isArray(meta.pages_transcribed)) {
+        failedPages = meta.pages_transcribed;
+      } else {
+        let count;
+        try {
+          count = await pdfPageCount(sourceBuffer);
+        } catch (err) {
+          console.error(`[ERROR] Could not read ${sourcePath} as a PDF: ${err.message}`);
+          process.exit(1);
+        }
+        failedPages = Array.from({ length: count }, (_, i) => i + 1);
+      }
+    }
+    pages = pages.concat(failedPages.filter(n => Number.isInteger(n) && n >= 1));
+  }
+  pages = [...new Set(pages)].sort((a, b) => a - b);
+  if (pages.length === 0) {
+    console.log(`No failed pages in ${docPath}; nothing to do.`);
+    return;
+  }
+
+  outputPath = outputPath || docPath;
+  const log = noWait ? console.error : console.log;
+  log(`Re-transcribing page${pages.length > 1 ? 's' : ''} ${formatPageRanges(pages)} of ${sourcePath}` +
+    (globalFlags.model ? ` with ${globalFlags.model}` : '') + '...');
+
+  try {
+    await transcribeSingleFile(sourcePath, {
+      description,
+      intent,
+      graphicInstructions,
+      detectDocBoundaries: false,
+      pageNumbering,
+      ocrThreshold,
+      pollInterval,
+      continueOnFailure: false,
+      outputFormat: 'doc.json',
+      inputDocumentType,
+      noWait,
+      noWaitJson,
+      outputPath,
+      pages,
+      spliceInto: path.resolve(docPath)
+    }, globalFlags);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * The source PDF of a transcription: x.pdf for x.pdf.doc.json (or for
+ * x.pdf.p3-7.doc.json, from --pages), else the originating_filename beside
+ * the doc.json.
+ */
+function findSource(docPath, meta) {
+  const candidates = [];
+  if (/\.doc\.json$/i.test(docPath)) {
+    candidates.push(docPath.replace(/\.doc\.json$/i, ''));
+  }
+  if (/\.p\d[\d,-]*\.doc\.json$/i.test(docPath)) {
+    candidates.push(docPath.replace(/\.p\d[\d,-]*\.doc\.json$/i, ''));
+  }
+  if (meta.originating_filename) {
+    candidates.push(path.join(path.dirname(docPath), meta.originating_filename));
+  }
+  return candidates.find(c => fs.existsSync(c) && fs.statSync(c).isFile()) || null;
+}
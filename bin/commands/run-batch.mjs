@@ -0,0 +1,208 @@
+/* commands/run-batch.mjs */
+import fs from 'fs';
+import path from 'path';
+import { parseRunArgs, runFlagValueCount, buildRunRequest, executeRun } from './run.mjs';
+import { loadPrompt } from '../prompts.mjs';
+import { readRows } from '../rows.mjs';
+import { runPool, createRateLimiter } from '../utils.mjs';
+
+/**
+ * Run a templated prompt once per row of a JSONL or CSV file.
+ *
+ * Usage:
+ *   charm run-batch <rows.jsonl|rows.csv> [--output <results.jsonl>] [--key <field>]
+ *                   [--concurrency <n>] [--rate <requests-per-minute>] [--format jsonl|csv]
+ *                   [run flags: --prompt, --input-template-file, --system-template-file, ...]
+ *
+ * Each row's fields are template parameters for both templates (over any
+ * --input-param/--system-param given).  One JSON line per row is appended to
+ * the output; rows whose key already has an "ok" line there are skipped.
+ */
+export async function commandRunBatch(globalFlags, cmdArgs) {
+  let rowsFile = null;
+  let outputPath = null;
+  let keyField = null;
+  let concurrency = 4;
+  let ratePerMinute = null;
+  let format;
+  const runArgs = [];
+  const localArgs = [...cmdArgs];
+  while (localArgs.length > 0) {
+    const token = localArgs.shift();
+    if (token === '--output') {
+      outputPath = localArgs.shift();
+    } else if (token === '--key') {
+      keyField = localArgs.shift();
+    } else if (token === '--concurrency') {
+      concurrency = parseInt(localArgs.shift(), 10);
+      if (!(concurrency >= 1)) {
+        console.error('[ERROR] --concurrency must be at least 1.');
+        process.exit(1);
+      }
+    } else if (token === '--rate') {
+      ratePerMinute = parseFloat(localArgs.shift());
+      if (!(ratePerMinute > 0)) {
+        console.error('[ERROR] --rate must be a positive number of requests per minute.');
+        process.exit(1);
+      }
+    } else if (token === '--format') {
+      format = localArgs.shift();
+      if (!['jsonl', 'csv'].includes(format)) {
+        console.error('[ERROR] Invalid --format. Must be "jsonl" or "csv".');
+        process.exit(1);
+      }
+    } else if (token === '--stream') {
+      // Nothing to show live in a batch; accept and ignore.
+    } else if (runFlagValueCount(token) > 0) {
+      runArgs.push(token, ...localArgs.splice(0, runFlagValueCount(token)));
+    } else if (!token.startsWith('--') && rowsFile === null) {
+      rowsFile = token;
+    } else {
+      // Everything else is for run.
+      runArgs.push(token);
+    }
+  }
+  if (!rowsFile) {
+    console.error('[ERROR] run-batch requires a JSONL or CSV file of rows.');
+    process.exit(1);
+  }
+
+  const options = parseRunArgs(runArgs);
+  if (options.saveTranscriptPath) {
+    console.error('[ERROR] --save-transcript is not supported by run-batch; results go to --output.');
+    process.exit(1);
+  }
+  if (options.toolsFile && !options.yes) {
+    console.error('[ERROR] run-batch cannot ask before each tool call; pass --yes with --tools.');
+    process.exit(1);
+  }
+  if (options.leftoverMessage || options.userInputFile) {
+    console.error('[ERROR] run-batch takes its messages from the rows; use --input-template-file or --prompt.');
+    process.exit(1);
+  }
+  let hasInputTemplate = Boolean(options.inputTemplateFile);
+  if (!hasInputTemplate && options.promptName) {
+    try {
+      hasInputTemplate = Boolean(loadPrompt(options.promptName).inputTemplate);
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      process.exit(1);
+    }
+  }
+  if (!hasInputTemplate) {
+    console.error('[ERROR] run-batch needs an input template (--input-template-file, or a --prompt that has one).');
+    process.exit(1);
+  }
+
+  let rows;
+  try {
+    rows = readRows(rowsFile, format);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  if (!outputPath) {
+    const parsed = path.parse(rowsFile);
+    outputPath = path.join(parsed.dir, `${parsed.name}.results.jsonl`);
+  }
+
+  const keyOf = (row, index) => {
+    const field = keyField || ('id' in row ? 'id' : null);
+    if (field && row[field] !== undefined && row[field] !== '') return String(row[field]);
+    return String(index + 1);
+  };
+  const keys = rows.map(keyOf);
+  const duplicate = keys.find((k, i) => keys.indexOf(k) !== i);
+  if (duplicate !== undefined) {
+    console.error(`[ERROR] Key "${duplicate}" appears on more than one row; choose a unique --key field.`);
+    process.exit(1);
+  }
+
+  const previous = loadResults(outputPath);
+  const todo = [];
+  rows.forEach((row, index) => {
+    const done = previous.get(keys[index]);
+    if (!done || done.status !== 'ok') todo.push({ row, index, key: keys[index] });
+  });
+  const skipped = rows.length - todo.length;
+  console.error(`${rows.length} rows; ${skipped} already succeeded in ${outputPath}; running ${todo.length} ` +
+    `with concurrency ${concurrency}${ratePerMinute ? ` at up to ${ratePerMinute}/min` : ''}.`);
+
+  const acquire = createRateLimiter(ratePerMinute);
+  const out = fs.openSync(outputPath, 'a');
+  let finished = 0;
+  let failed = 0;
+
+  await runPool(todo, concurrency, async ({ row, index, key }) => {
+    await acquire();
+    const record = await runRow(globalFlags, options, row, index, key);
+    fs.writeSync(out, JSON.stringify(record) + '\n');
+    previous.set(key, record);
+    finished++;
+    if (record.status !== 'ok') failed++;
+    const detail = record.status === 'ok'
+      ? `ok (${record.timing.duration_ms} ms)`
+      : `error: ${record.error.message}`;
+    console.error(`[${finished}/${todo.length}] ${key} ${detail}`);
+  });
+  fs.closeSync(out);
+
+  // Rewrite the file with one line per key (the latest), in row order.
+  const ordered = [...previous.values()].sort((a, b) => a.row - b.row);
+  fs.writeFileSync(outputPath, ordered.map(r => JSON.stringify(r)).join('\n') + (ordered.length ? '\n' : ''), 'utf-8');
+
+  console.error(`Done: ${todo.length - failed} succeeded, ${failed} failed, ${skipped} skipped. Results in ${outputPath}`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+async function runRow(globalFlags, options, row, index, key) {
+  const rowOptions = {
+    ...options,
+    stream: false,
+    inputParamMap: { ...options.inputParamMap, ...row },
+    systemParamMap: { ...options.systemParamMap, ...row }
+  };
+  const record = { key, row: index + 1, status: 'ok' };
+  try {
+    const request = await buildRunRequest(globalFlags, rowOptions);
+    const result = await executeRun(globalFlags, request, {
+      maxAttempts: options.validationAttempts,
+      maxToolRounds: options.maxToolRounds
+    });
+    record.model = result.model;
+    record.text = result.text;
+    if (result.tool_calls) record.tool_calls = result.tool_calls;
+    if ('json' in result) record.json = result.json;
+    if (result.validation) record.validation = result.validation;
+    record.usage = result.usage;
+    record.timing = result.timing;
+    if (result.validation && !result.validation.valid) {
+      record.status = 'error';
+      record.error = { error: 'validation', message: result.validation.errors.join('; ') };
+    }
+  } catch (err) {
+    record.status = 'error';
+    record.error = typeof err.toJSON === 'function' ? err.toJSON() : { error: 'request', message: err.message };
+  }
+  return record;
+}
+
+/** Results already in the output file, by key (later lines win). */
+function loadResults(outputPath) {
+  const results = new Map();
+  if (!fs.existsSync(outputPath)) {
+    return results;
+  }
+  fs.readFileSync(outputPath, 'utf-8').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const record = JSON.parse(line);
+      if (record && record.key !== undefined) results.set(String(record.key), record);
+    } catch {
+      console.error(`[WARN] Ignoring unreadable line ${i + 1} of ${outputPath}.`);
+    }
+  });
+  return results;
+}
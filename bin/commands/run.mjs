@@ -1,47 +1,316 @@
 /* commands/run.mjs */
 import fs from 'fs';
+import readline from 'readline';
 import FormData from 'form-data';
-import fetch from 'node-fetch';
+import { apiJson, apiStream } from '../client.mjs';
 import {
   readAllStdin,
-  makeImageAttachment
+  makeImageAttachment,
+  printMessageContent,
+  questionAsync
 } from '../utils.mjs';
+import { expandTemplateFile, TemplateError } from '../template.mjs';
+import { loadPrompt, promptResponseSchema } from '../prompts.mjs';
+import { compileSchema, validateJsonText } from '../json-schema.mjs';
+import { loadToolsFile, findToolCalls, runTool, toolResponseMessage } from '../tools.mjs';
+
+const ENDPOINT = '/api/charmonator/v1/transcript/extension';
+
+/*
+ * "charm run" is split into three steps so that other commands can reuse it:
+ *   parseRunArgs(cmdArgs)                     -> options (exits on bad flags)
+ *   buildRunRequest(globalFlags, options)     -> { payload, model, ... } (throws)
+ *   executeRun(globalFlags, request, opts)    -> normalized result (throws ApiError)
+ */
 
 export async function commandRun(globalFlags, cmdArgs) {
-  let systemFile = null;
-  let userInputFile = null;
-  let forceFormat = null;
-  let forceSchemaFile = null;
-  let leftoverMessage = null;
+  const options = parseRunArgs(cmdArgs);
 
-  const attachments = [];
-  const localArgs = [...cmdArgs];
+  let request;
+  try {
+    request = await buildRunRequest(globalFlags, options);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  if (request.tools && !options.yes && !process.stdin.isTTY) {
+    console.error('[ERROR] Tool calls need confirmation, but stdin is not a terminal; pass --yes to run them unasked.');
+    process.exit(1);
+  }
+
+  // Stream to stdout only when it is the final text as-is: not for JSON
+  // output, a file, or a reply that may be rejected and re-asked.
+  const validating = Boolean(request.forceFormat && request.forceFormat !== 'text');
+  const toStdout = options.outputFormat === 'text' && !options.outputPath;
+  const liveOut = toStdout && !validating ? process.stdout : process.stderr;
+
+  let result;
+  let printedText = false;
+  try {
+    result = await executeRun(globalFlags, request, {
+      stream: options.stream,
+      maxAttempts: options.validationAttempts,
+      maxToolRounds: options.maxToolRounds,
+      confirmTool: options.yes ? null : confirmToolCall,
+      onToolResult: (call, outcome) => {
+        if (printedText) liveOut.write('\n');
+        printedText = false;
+        const status = outcome.declined ? 'declined' : outcome.ok ? 'ok' : 'failed';
+        console.error(`[tool] ${describeToolCall(call)} -> ${status}`);
+      },
+      onDelta: text => {
+        liveOut.write(text);
+        printedText = true;
+      },
+      onInvalid: (attempt, errors) => {
+        if (printedText) liveOut.write('\n');
+        printedText = false;
+        console.error(`[WARN] Attempt ${attempt} of ${options.validationAttempts} was not valid` +
+          (request.schema ? ' against the JSON schema' : ' JSON') + '; asking again:');
+        errors.forEach(e => console.error(`  - ${e}`));
+      }
+    });
+  } catch (err) {
+    if (printedText) liveOut.write('\n');
+    console.error('[ERROR] Failed to call /transcript/extension:', err.message);
+    if (options.outputFormat === 'json') {
+      const error = typeof err.toJSON === 'function' ? err.toJSON() : { error: 'response', message: err.message };
+      writeRunOutput(options, JSON.stringify({ error }, null, 2) + '\n');
+    }
+    process.exit(1);
+  }
+  if (printedText) {
+    liveOut.write('\n');
+  }
+
+  const invalid = result.validation && !result.validation.valid;
+  if (invalid) {
+    const { attempts, errors } = result.validation;
+    console.error(`[ERROR] The response is still not valid after ${attempts} attempt(s)` +
+      (request.schema ? ' against the JSON schema' : '') + ':');
+    errors.forEach(e => console.error(`  - ${e}`));
+  }
 
-  // Templating
-  let systemTemplateFile = null;
-  const systemParamMap = {};
-  let inputTemplateFile = null;
-  const inputParamMap = {};
+  if (options.saveTranscriptPath && !invalid) {
+    saveTranscript(options.saveTranscriptPath, [...request.payload.transcript.messages, ...result.newMessages]);
+  }
 
-  function expandTemplate(templateText, paramMap) {
-    let result = templateText;
-    for (const [key, val] of Object.entries(paramMap)) {
-      const pattern = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-      result = result.replace(pattern, val);
+  if (options.outputFormat === 'json') {
+    writeRunOutput(options, JSON.stringify(runResultToJson(result), null, 2) + '\n');
+  } else if (invalid) {
+    // Keep the rejected reply off stdout so pipelines don't consume it.
+    console.error('Last response:');
+    console.error(result.text);
+  } else if (result.messages.length === 0) {
+    if (toStdout) {
+      console.log('(No assistant message returned.)');
+    } else {
+      console.error('[WARN] No assistant message returned.');
+      writeRunOutput(options, '');
+    }
+  } else if (toStdout) {
+    for (const msg of result.messages) {
+      printMessageContent(msg, { skipText: printedText && liveOut === process.stdout });
     }
-    return result;
+  } else {
+    writeRunOutput(options, messagesToText(result.messages));
+  }
+  if (invalid) {
+    process.exit(1);
+  }
+}
+
+function describeToolCall(call) {
+  const args = JSON.stringify(call.arguments ?? {});
+  return `${call.toolName}(${args.length > 200 ? args.slice(0, 200) + '...' : args})`;
+}
+
+async function confirmToolCall(call) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await questionAsync(rl, `Run tool ${describeToolCall(call)}? [y/N]: `);
+    return answer.trim().toLowerCase().startsWith('y');
+  } finally {
+    rl.close();
+  }
+}
+
+function writeRunOutput(options, text) {
+  if (!options.outputPath) {
+    process.stdout.write(text);
+    return;
   }
+  try {
+    fs.writeFileSync(options.outputPath, text, 'utf-8');
+  } catch (err) {
+    console.error(`[ERROR] Could not write output file: ${options.outputPath}`, err.message);
+    process.exit(1);
+  }
+  console.error(`Wrote result to ${options.outputPath}`);
+}
+
+function saveTranscript(file, messages) {
+  try {
+    fs.writeFileSync(file, JSON.stringify({ messages }, null, 2) + '\n', 'utf-8');
+  } catch (err) {
+    console.error(`[ERROR] Could not write transcript: ${file}`, err.message);
+    process.exit(1);
+  }
+  console.error(`Wrote transcript (${messages.length} messages) to ${file}`);
+}
+
+/**
+ * Messages of a transcript file: { "messages": [...] } as accepted by
+ * /transcript/extension, or a bare array of messages.  Throws if malformed.
+ */
+export function readTranscriptFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read transcript ${file}: ${err.message}`);
+  }
+  const messages = Array.isArray(data) ? data : data && data.messages;
+  if (!Array.isArray(messages)) {
+    throw new Error(`Transcript ${file} must be {"messages": [...]} or an array of messages.`);
+  }
+  messages.forEach((msg, i) => {
+    if (!msg || typeof msg.role !== 'string' || msg.content === undefined) {
+      throw new Error(`Transcript ${file}: message ${i + 1} needs a "role" and "content".`);
+    }
+  });
+  return messages;
+}
+
+// How many values each of run's flags takes (flags taking none are left out).
+// Commands that pass flags through to run use it to tell values from positionals.
+// It must match parseRunArgs; test/run.test.mjs checks that it does.
+const RUN_FLAG_VALUES = {
+  '--system': 1,
+  '--input-file': 1,
+  '--force-response-format': 1,
+  '--force-response-json-schema': 1,
+  '--temperature': 1,
+  '--prompt': 1,
+  '--output-format': 1,
+  '--transcript': 1,
+  '--save-transcript': 1,
+  '--tools': 1,
+  '--max-tool-rounds': 1,
+  '--validation-attempts': 1,
+  '--output': 1,
+  '--attach': 1,
+  '--system-template-file': 1,
+  '--system-param': 2,
+  '--system-param-file': 2,
+  '--input-template-file': 1,
+  '--input-param': 2,
+  '--input-param-file': 2
+};
+
+/** The number of values run's flag takes, or 0. */
+export function runFlagValueCount(token) {
+  return RUN_FLAG_VALUES[token] || 0;
+}
+
+/** Parse run's flags.  Prints an error and exits on invalid flags. */
+export function parseRunArgs(cmdArgs) {
+  const options = {
+    systemFile: null,
+    userInputFile: null,
+    forceFormat: null,
+    forceSchemaFile: null,
+    leftoverMessage: null,
+    stream: false,
+    attachments: [],
+    systemTemplateFile: null,
+    systemParamMap: {},
+    inputTemplateFile: null,
+    inputParamMap: {},
+    promptName: null,
+    strictTemplates: false,
+    temperature: null,
+    outputFormat: 'text',
+    outputPath: null,
+    validationAttempts: 3,
+    transcriptFile: null,
+    saveTranscriptPath: null,
+    toolsFile: null,
+    yes: false,
+    maxToolRounds: 10
+  };
+  const localArgs = [...cmdArgs];
 
   while (localArgs.length > 0) {
     const token = localArgs.shift();
     if (token === '--system') {
-      systemFile = localArgs.shift();
+      options.systemFile = localArgs.shift();
     } else if (token === '--input-file') {
-      userInputFile = localArgs.shift();
+      options.userInputFile = localArgs.shift();
     } else if (token === '--force-response-format') {
-      forceFormat = localArgs.shift();
+      options.forceFormat = localArgs.shift();
     } else if (token === '--force-response-json-schema') {
-      forceSchemaFile = localArgs.shift();
+      options.forceSchemaFile = localArgs.shift();
+    } else if (token === '--stream') {
+      options.stream = true;
+    } else if (token === '--temperature') {
+      options.temperature = parseFloat(localArgs.shift());
+      if (Number.isNaN(options.temperature)) {
+        console.error('[ERROR] --temperature requires a number.');
+        process.exit(1);
+      }
+    } else if (token === '--prompt') {
+      options.promptName = localArgs.shift();
+      if (!options.promptName) {
+        console.error('[ERROR] --prompt requires a prompt name.');
+        process.exit(1);
+      }
+    } else if (token === '--strict-templates') {
+      options.strictTemplates = true;
+    } else if (token === '--output-format') {
+      options.outputFormat = localArgs.shift();
+      if (!['text', 'json'].includes(options.outputFormat)) {
+        console.error('[ERROR] Invalid --output-format. Must be "text" or "json".');
+        process.exit(1);
+      }
+    } else if (token === '--transcript') {
+      options.transcriptFile = localArgs.shift();
+      if (!options.transcriptFile) {
+        console.error('[ERROR] --transcript requires a file path.');
+        process.exit(1);
+      }
+    } else if (token === '--save-transcript') {
+      options.saveTranscriptPath = localArgs.shift();
+      if (!options.saveTranscriptPath) {
+        console.error('[ERROR] --save-transcript requires a file path.');
+        process.exit(1);
+      }
+    } else if (token === '--tools') {
+      options.toolsFile = localArgs.shift();
+      if (!options.toolsFile) {
+        console.error('[ERROR] --tools requires a JSON file of tool definitions.');
+        process.exit(1);
+      }
+    } else if (token === '--yes') {
+      options.yes = true;
+    } else if (token === '--max-tool-rounds') {
+      options.maxToolRounds = parseInt(localArgs.shift(), 10);
+      if (!(options.maxToolRounds >= 1)) {
+        console.error('[ERROR] --max-tool-rounds must be at least 1.');
+        process.exit(1);
+      }
+    } else if (token === '--validation-attempts') {
+      options.validationAttempts = parseInt(localArgs.shift(), 10);
+      if (!(options.validationAttempts >= 1)) {
+        console.error('[ERROR] --validation-attempts must be at least 1.');
+        process.exit(1);
+      }
+    } else if (token === '--output') {
+      options.outputPath = localArgs.shift();
+      if (!options.outputPath) {
+        console.error('[ERROR] --output requires a file path.');
+        process.exit(1);
+      }
     } else if (token === '--attach') {
       const attachPath = localArgs.shift();
       if (!attachPath) {
@@ -53,11 +322,11 @@ export async function commandRun(globalFlags, cmdArgs) {
         console.error(`[ERROR] Could not attach file: ${attachPath}`);
         process.exit(1);
       }
-      attachments.push(attachObj);
+      options.attachments.push(attachObj);
 
     // Templates
     } else if (token === '--system-template-file') {
-      systemTemplateFile = localArgs.shift();
+      options.systemTemplateFile = localArgs.shift();
     } else if (token === '--system-param') {
       const paramName = localArgs.shift();
       const paramValue = localArgs.shift();
@@ -65,7 +334,7 @@ export async function commandRun(globalFlags, cmdArgs) {
         console.error('[ERROR] --system-param requires <name> <value>.');
         process.exit(1);
       }
-      systemParamMap[paramName] = paramValue;
+      options.systemParamMap[paramName] = paramValue;
     } else if (token === '--system-param-file') {
       const paramName = localArgs.shift();
       const paramFile = localArgs.shift();
@@ -74,14 +343,14 @@ export async function commandRun(globalFlags, cmdArgs) {
         process.exit(1);
       }
       try {
-        systemParamMap[paramName] = fs.readFileSync(paramFile, 'utf-8');
+        options.systemParamMap[paramName] = fs.readFileSync(paramFile, 'utf-8');
       } catch (err) {
         console.error(`[ERROR] Could not read system-param-file for "${paramName}": ${paramFile}`);
         process.exit(1);
       }
 
     } else if (token === '--input-template-file') {
-      inputTemplateFile = localArgs.shift();
+      options.inputTemplateFile = localArgs.shift();
     } else if (token === '--input-param') {
       const paramName = localArgs.shift();
       const paramValue = localArgs.shift();
@@ -89,7 +358,7 @@ export async function commandRun(globalFlags, cmdArgs) {
         console.error('[ERROR] --input-param requires <name> <value>.');
         process.exit(1);
       }
-      inputParamMap[paramName] = paramValue;
+      options.inputParamMap[paramName] = paramValue;
     } else if (token === '--input-param-file') {
       const paramName = localArgs.shift();
       const paramFile = localArgs.shift();
@@ -98,7 +367,7 @@ export async function commandRun(globalFlags, cmdArgs) {
         process.exit(1);
       }
       try {
-        inputParamMap[paramName] = fs.readFileSync(paramFile, 'utf-8');
+        options.inputParamMap[paramName] = fs.readFileSync(paramFile, 'utf-8');
       } catch (err) {
         console.error(`[ERROR] Could not read input-param-file for "${paramName}": ${paramFile}`);
         process.exit(1);
@@ -108,39 +377,102 @@ export async function commandRun(globalFlags, cmdArgs) {
       console.error(`Unknown flag for "run": ${token}`);
       process.exit(1);
     } else {
-      leftoverMessage = token + ' ' + localArgs.join(' ');
+      options.leftoverMessage = token + ' ' + localArgs.join(' ');
       localArgs.length = 0;
     }
   }
 
+  if (options.forceFormat && options.forceSchemaFile) {
+    console.error('[ERROR] Cannot specify both --force-response-format and --force-response-json-schema.');
+    process.exit(1);
+  }
+  if (options.systemTemplateFile && options.systemFile) {
+    console.error('[ERROR] Cannot combine --system-template-file and --system <file>.');
+    process.exit(1);
+  }
+  return options;
+}
+
+/**
+ * Turn parsed options into a /transcript/extension request:
+ *   { payload, model, schema, forceFormat, tools }
+ * Without a message or --input-file the message is read from stdin, unless
+ * options.noStdin is set.  Throws (with a message fit for "[ERROR] ...") on
+ * missing input, unreadable files and template errors.
+ */
+export async function buildRunRequest(globalFlags, options) {
+  const {
+    userInputFile,
+    leftoverMessage,
+    attachments,
+    systemFile,
+    forceFormat,
+    forceSchemaFile
+  } = options;
+  let { systemTemplateFile, inputTemplateFile } = options;
+  const systemParamMap = { ...options.systemParamMap };
+  const inputParamMap = { ...options.inputParamMap };
+  let temperature = options.temperature;
+  // model/temperature from each template's front-matter, keyed by 'system' | 'input'.
+  const templateSettings = {};
+
+  function expandTemplate(templateFile, paramMap, label) {
+    try {
+      const { text, frontMatter } = expandTemplateFile(templateFile, paramMap, { strict: options.strictTemplates });
+      templateSettings[label] = frontMatter;
+      return text;
+    } catch (err) {
+      if (err instanceof TemplateError) throw err;
+      throw new Error(`Could not read/expand ${label} template file: ${templateFile} (${err.message})`);
+    }
+  }
+
+  // A stored prompt fills in whatever the command line leaves unset.
+  let prompt = null;
+  let promptSchema = null;
+  if (options.promptName) {
+    prompt = loadPrompt(options.promptName);
+    promptSchema = promptResponseSchema(prompt);
+    if (!systemTemplateFile && !systemFile) {
+      systemTemplateFile = prompt.systemTemplate;
+    }
+    if (!inputTemplateFile && prompt.inputTemplate) {
+      if (leftoverMessage || userInputFile) {
+        throw new Error(`Prompt "${options.promptName}" has an input template; pass its values with --input-param instead of a message.`);
+      }
+      inputTemplateFile = prompt.inputTemplate;
+    }
+    for (const [key, value] of Object.entries(prompt.params)) {
+      if (systemParamMap[key] === undefined) systemParamMap[key] = value;
+      if (inputParamMap[key] === undefined) inputParamMap[key] = value;
+    }
+  }
+
+  // Earlier turns to continue from, if any.
+  const priorMessages = options.transcriptFile ? readTranscriptFile(options.transcriptFile) : [];
+  const lastPrior = priorMessages[priorMessages.length - 1];
+  const pendingUserTurn = Boolean(lastPrior && lastPrior.role === 'user');
+
   let userMessage = '';
   if (!inputTemplateFile) {
     if (leftoverMessage) {
       userMessage = leftoverMessage.trim();
     } else if (userInputFile) {
       userMessage = fs.readFileSync(userInputFile, 'utf-8');
-    } else {
+    } else if (!options.noStdin) {
       userMessage = await readAllStdin();
     }
-    if (!userMessage && attachments.length === 0) {
-      console.error('[ERROR] No user message and no attachments provided.');
-      process.exit(1);
+    if (!userMessage && attachments.length === 0 && !pendingUserTurn) {
+      throw new Error('No user message and no attachments provided.');
     }
   }
 
   let userContent = '';
   if (inputTemplateFile) {
     if (leftoverMessage || userInputFile) {
-      console.error('[ERROR] Cannot combine --input-template-file with leftover text or --input-file.');
-      process.exit(1);
-    }
-    try {
-      const templateRaw = fs.readFileSync(inputTemplateFile, 'utf-8');
-      userContent = expandTemplate(templateRaw, inputParamMap);
-    } catch (err) {
-      console.error(`[ERROR] Could not read/expand input template file: ${inputTemplateFile}`);
-      process.exit(1);
+      throw new Error('Cannot combine --input-template-file with leftover text or --input-file.');
     }
+    userContent = expandTemplate(inputTemplateFile, inputParamMap, 'input');
   } else {
     userContent = userMessage;
   }
@@ -159,50 +491,62 @@ export async function commandRun(globalFlags, cmdArgs) {
   }
 
   let systemText = null;
-  if (systemTemplateFile && systemFile) {
-    console.error('[ERROR] Cannot combine --system-template-file and --system <file>.');
-    process.exit(1);
-  } else if (systemTemplateFile) {
-    try {
-      const raw = fs.readFileSync(systemTemplateFile, 'utf-8');
-      systemText = expandTemplate(raw, systemParamMap);
-    } catch (err) {
-      console.error(`[ERROR] Could not read/expand system template file: ${systemTemplateFile}`);
-      process.exit(1);
-    }
+  if (systemTemplateFile) {
+    systemText = expandTemplate(systemTemplateFile, systemParamMap, 'system');
   } else if (systemFile) {
     systemText = fs.readFileSync(systemFile, 'utf-8');
   }
 
-  if (forceFormat && forceSchemaFile) {
-    console.error('[ERROR] Cannot specify both --force-response-format and --force-response-json-schema.');
-    process.exit(1);
-  }
   const invocationOptions = {};
+  if (options.stream) {
+    invocationOptions.stream = true;
+  }
+  // Command-line settings beat front-matter; the input template's beat the
+  // system template's, and both beat the stored prompt's.
+  const frontMatter = { ...templateSettings.system, ...templateSettings.input };
+  if (prompt) {
+    if (frontMatter.model === undefined && prompt.model) frontMatter.model = prompt.model;
+    if (frontMatter.temperature === undefined && prompt.temperature !== null) frontMatter.temperature = prompt.temperature;
+  }
+  if (temperature === null && frontMatter.temperature !== undefined) {
+    temperature = Number(frontMatter.temperature);
+  }
+  if (temperature !== null) {
+    invocationOptions.temperature = temperature;
+  }
+  const model = !globalFlags.explicitModel && frontMatter.model
+    ? String(frontMatter.model)
+    : globalFlags.model;
   if (forceFormat) {
     invocationOptions.response_format = { type: forceFormat };
   }
+  let schemaObj = null;
   if (forceSchemaFile) {
     const schemaText = fs.readFileSync(forceSchemaFile, 'utf-8');
-    let schemaObj = null;
     try {
       schemaObj = JSON.parse(schemaText);
     } catch (err) {
-      console.error(`[ERROR] Could not parse JSON schema from file ${forceSchemaFile}`);
-      process.exit(1);
+      throw new Error(`Could not parse JSON schema from file ${forceSchemaFile}`);
     }
+  } else if (promptSchema && !forceFormat) {
+    schemaObj = promptSchema;
+  }
+  if (schemaObj) {
+    compileSchema(schemaObj);
     invocationOptions.response_format = {
       type: 'json_schema',
       json_schema: { name: 'forced-schema', schema: schemaObj }
     };
   }
 
+  // With a transcript that already ends in a user turn, no new message is needed.
+  const hasNewMessage = Array.isArray(userContent) ? userContent.length > 0 : Boolean(userContent);
   const payload = {
-    model: globalFlags.model,
+    model,
     transcript: {
-      messages: [
-        { role: 'user', content: userContent }
-      ]
+      messages: hasNewMessage
+        ? [...priorMessages, { role: 'user', content: userContent }]
+        : priorMessages
     }
   };
   if (systemText) {
@@ -211,42 +555,232 @@ export async function commandRun(globalFlags, cmdArgs) {
   if (Object.keys(invocationOptions).length > 0) {
     payload.options = invocationOptions;
   }
+  const tools = options.toolsFile ? loadToolsFile(options.toolsFile) : null;
+  if (tools) {
+    payload.tools = tools.definitions;
+  }
+  return {
+    payload,
+    model,
+    schema: schemaObj,
+    forceFormat: schemaObj ? 'json_schema' : forceFormat,
+    tools
+  };
+}
 
-  const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonator/v1/transcript/extension`;
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+/**
+ * Send a request built by buildRunRequest.  Returns
+ *   { response, messages, newMessages, text, attachments, tool_calls, json, json_error,
+ *     validation, model, usage, timing }
+ * messages are the final assistant messages; newMessages also include any
+ * tool-call rounds before them.  With request.tools, tool calls are run
+ * locally (after confirmTool(call) resolves true, when given) and their
+ * results sent back, up to maxToolRounds times.
+ * When a JSON response format was forced, the reply is parsed (json) and
+ * checked against the schema, if any (validation: { valid, attempts, errors });
+ * an invalid reply is sent back with the errors, up to maxAttempts requests
+ * in all.  Throws ApiError.
+ */
+export async function executeRun(globalFlags, request, {
+  stream = false,
+  onDelta = null,
+  maxAttempts = 1,
+  onInvalid = null,
+  maxToolRounds = 10,
+  confirmTool = null,
+  onToolResult = null
+} = {}) {
+  const validating = Boolean(request.forceFormat && request.forceFormat !== 'text');
+  let payload = request.payload;
+  for (let attempt = 1; ; attempt++) {
+    const result = await sendWithTools(globalFlags, request, payload, {
+      stream, onDelta, maxToolRounds, confirmTool, onToolResult
     });
-    if (!response.ok) {
-      const errBody = await response.text();
-      console.error(`[ERROR] HTTP ${response.status} => ${errBody}`);
-      process.exit(1);
+    if (!validating) {
+      return result;
     }
-    const resultJson = await response.json();
-    const assistantMessages = (resultJson.messages || []).filter(m => m.role === 'assistant');
-    if (assistantMessages.length === 0) {
-      console.log('(No assistant message returned.)');
-      return;
-    }
-    for (const msg of assistantMessages) {
-      if (typeof msg.content === 'string') {
-        console.log(msg.content);
-      } else if (Array.isArray(msg.content)) {
-        msg.content.forEach(segment => {
-          if (typeof segment === 'string') {
-            console.log(segment);
-          } else {
-            console.log(`[Attachment returned: ${JSON.stringify(segment)}]`);
-          }
-        });
-      } else {
-        console.log(String(msg.content));
+    const check = validateJsonText(result.text, request.schema);
+    result.json = check.value;
+    if (check.parseError) {
+      result.json_error = check.parseError;
+    }
+    result.validation = { valid: check.valid, attempts: attempt, errors: check.errors };
+    if (check.valid || attempt >= maxAttempts) {
+      return result;
+    }
+    if (onInvalid) {
+      onInvalid(attempt, check.errors);
+    }
+    // Re-ask in the same conversation, showing the model what was wrong.
+    payload = {
+      ...payload,
+      transcript: {
+        messages: [
+          ...payload.transcript.messages,
+          ...result.newMessages,
+          { role: 'user', content: repairRequest(check.errors, request.schema) }
+        ]
       }
+    };
+  }
+}
+
+function repairRequest(errors, schema) {
+  let text = 'Your reply was not ' + (schema ? 'valid against the required JSON schema' : 'valid JSON') + ':\n';
+  text += errors.map(e => `- ${e}`).join('\n');
+  text += '\n\nReply again with only the corrected JSON, and nothing else.';
+  return text;
+}
+
+/**
+ * Send the payload, then keep answering tool calls in the reply and sending
+ * the grown transcript until a reply has none.
+ */
+async function sendWithTools(globalFlags, request, basePayload, opts) {
+  const started = Date.now();
+  const newMessages = [];
+  const toolCalls = [];
+  let usage = null;
+  let payload = basePayload;
+  for (let round = 0; ; round++) {
+    const result = await sendRunPayload(globalFlags, request, payload, opts);
+    usage = addUsage(usage, result.usage);
+    const calls = request.tools ? findToolCalls(result.messages) : [];
+    if (calls.length === 0) {
+      result.newMessages = [...newMessages, ...result.messages];
+      result.usage = usage;
+      if (toolCalls.length > 0) {
+        result.tool_calls = toolCalls;
+        result.timing.started_at = new Date(started).toISOString();
+        result.timing.duration_ms = Date.now() - started;
+        delete result.timing.first_token_ms;
+      }
+      return result;
+    }
+    if (round >= opts.maxToolRounds) {
+      throw new Error(`The model was still calling tools after ${opts.maxToolRounds} round(s); see --max-tool-rounds.`);
+    }
+    const outcomes = [];
+    for (const call of calls) {
+      const approved = opts.confirmTool ? await opts.confirmTool(call) : true;
+      const outcome = approved
+        ? await runTool(request.tools, call)
+        : { ok: false, declined: true, response: 'The user declined to run this tool call.' };
+      if (opts.onToolResult) opts.onToolResult(call, outcome);
+      outcomes.push({ call, response: outcome.response });
+      toolCalls.push({
+        round: round + 1,
+        name: call.toolName,
+        call_id: call.callId,
+        arguments: call.arguments,
+        approved,
+        ok: outcome.ok
+      });
+    }
+    const reply = toolResponseMessage(outcomes);
+    newMessages.push(...result.messages, reply);
+    payload = {
+      ...payload,
+      transcript: { messages: [...payload.transcript.messages, ...result.messages, reply] }
+    };
+  }
+}
+
+/** Sum the numeric fields of two usage objects (either may be null). */
+function addUsage(a, b) {
+  if (!a || !b) return b || a;
+  const sum = { ...a };
+  for (const [key, value] of Object.entries(b)) {
+    sum[key] = typeof value === 'number' && typeof sum[key] === 'number' ? sum[key] + value : value;
+  }
+  return sum;
+}
+
+async function sendRunPayload(globalFlags, request, basePayload, { stream, onDelta }) {
+  const started = Date.now();
+  let firstDeltaAt = null;
+  const payload = stream
+    ? { ...basePayload, options: { ...basePayload.options, stream: true } }
+    : basePayload;
+
+  const response = stream
+    ? await apiStream(globalFlags, ENDPOINT, {
+      json: payload,
+      onDelta: text => {
+        if (firstDeltaAt === null) firstDeltaAt = Date.now();
+        if (onDelta) onDelta(text);
+      }
+    })
+    : await apiJson(globalFlags, ENDPOINT, { method: 'POST', json: payload });
+  const finished = Date.now();
+
+  const messages = (response.messages || []).filter(m => m.role === 'assistant');
+  const textParts = [];
+  const attachments = [];
+  for (const msg of messages) {
+    const segments = Array.isArray(msg.content) ? msg.content : [msg.content];
+    for (const segment of segments) {
+      if (typeof segment === 'string') {
+        textParts.push(segment);
+      } else if (segment != null) {
+        attachments.push(segment);
+      }
+    }
+  }
+  const text = textParts.join('\n');
+
+  const result = {
+    response,
+    messages,
+    text,
+    attachments,
+    model: request.model,
+    usage: response.usage || null,
+    timing: {
+      started_at: new Date(started).toISOString(),
+      duration_ms: finished - started
+    }
+  };
+  if (firstDeltaAt !== null) {
+    result.timing.first_token_ms = firstDeltaAt - started;
+  }
+  return result;
+}
+
+/** The --output-format json document for a run result. */
+export function runResultToJson(result) {
+  const out = {
+    model: result.model,
+    text: result.text
+  };
+  if ('json' in result) {
+    out.json = result.json;
+    if (result.json_error) out.json_error = result.json_error;
+  }
+  if (result.validation) {
+    out.validation = result.validation;
+  }
+  if (result.attachments.length > 0) {
+    out.attachments = result.attachments;
+  }
+  if (result.tool_calls) {
+    out.tool_calls = result.tool_calls;
+  }
+  out.usage = result.usage;
+  out.timing = result.timing;
+  out.response = result.response;
+  return out;
+}
+
+/** The text printMessageContent would print, for writing to a file. */
+function messagesToText(messages) {
+  const lines = [];
+  for (const msg of messages) {
+    const segments = Array.isArray(msg.content) ? msg.content : [msg.content];
+    for (const segment of segments) {
+      if (segment == null) continue;
+      lines.push(typeof segment === 'string' ? segment : `[Attachment returned: ${JSON.stringify(segment)}]`);
     }
-  } catch (err) {
-    console.error('[ERROR] Failed to call /transcript/extension:', err.message);
-    process.exit(1);
   }
+  return lines.join('\n') + '\n';
 }
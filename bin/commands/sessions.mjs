@@ -0,0 +1,163 @@
+/* commands/sessions.mjs */
+import fs from 'fs';
+import {
+  listSessions,
+  loadSession,
+  deleteSession,
+  sessionsDir
+} from '../sessions.mjs';
+import { contentToText } from '../utils.mjs';
+
+/**
+ * Manage saved chat sessions (see "charm chat --session <name>").
+ *
+ * Usage:
+ *   charm sessions list
+ *   charm sessions show <name>
+ *   charm sessions delete <name>
+ *   charm sessions export <name> [--format md|json] [--output <file>]
+ */
+export async function commandSessions(globalFlags, cmdArgs) {
+  const subcommand = cmdArgs[0];
+  const localArgs = cmdArgs.slice(1);
+
+  switch (subcommand) {
+    case 'list':
+      return sessionsList();
+    case 'show':
+      return sessionsShow(localArgs);
+    case 'delete':
+      return sessionsDelete(localArgs);
+    case 'export':
+      return sessionsExport(localArgs);
+    default:
+      console.error(`[ERROR] Unknown or missing subcommand for "sessions": ${subcommand || '(none)'}`);
+      console.error('Usage: charm sessions list|show|delete|export [<name>] [flags]');
+      process.exit(1);
+  }
+}
+
+function loadOrExit(name, subcommand) {
+  if (!name) {
+    console.error(`[ERROR] "sessions ${subcommand}" requires a session name.`);
+    process.exit(1);
+  }
+  try {
+    return loadSession(name);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function sessionsList() {
+  const sessions = listSessions();
+  if (sessions.length === 0) {
+    console.log(`No sessions saved in ${sessionsDir()}.`);
+    return;
+  }
+  for (const s of sessions) {
+    const count = s.transcript.messages.length;
+    console.log(`${s.name.padEnd(24)} ${String(count).padStart(4)} messages  ${s.model || '(no model)'}  updated ${s.updated_at}`);
+  }
+}
+
+function sessionsShow(localArgs) {
+  const session = loadOrExit(localArgs[0], 'show');
+  console.log(`Session:  ${session.name}`);
+  console.log(`Model:    ${session.model || '(none)'}` +
+    (session.models_used.length > 1 ? `  (used: ${session.models_used.join(', ')})` : ''));
+  console.log(`Created:  ${session.created_at}`);
+  console.log(`Updated:  ${session.updated_at}`);
+  if (session.system) {
+    console.log(`System:   ${session.system.length > 200 ? session.system.slice(0, 200) + '...' : session.system}`);
+  }
+  if (session.summary) {
+    console.log('');
+    console.log('[summary of earlier turns]');
+    console.log(session.summary);
+  }
+  console.log('');
+  for (const msg of session.transcript.messages) {
+    console.log(`[${msg.role}]`);
+    console.log(contentToText(msg.content));
+    console.log('');
+  }
+}
+
+function sessionsDelete(localArgs) {
+  const name = localArgs[0];
+  if (!name) {
+    console.error('[ERROR] "sessions delete" requires a session name.');
+    process.exit(1);
+  }
+  try {
+    deleteSession(name);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  console.log(`Deleted session "${name}".`);
+}
+
+/** Render a session as a Markdown document. */
+export function sessionToMarkdown(session) {
+  let md = `# Chat session: ${session.name}\n\n`;
+  md += `- Model: ${session.model || '(none)'}\n`;
+  if (session.models_used.length > 1) {
+    md += `- Models used: ${session.models_used.join(', ')}\n`;
+  }
+  md += `- Created: ${session.created_at}\n`;
+  md += `- Updated: ${session.updated_at}\n\n`;
+  if (session.system) {
+    md += `## System\n\n${session.system.trim()}\n\n`;
+  }
+  if (session.summary) {
+    md += `## Summary of earlier turns\n\n${session.summary.trim()}\n\n`;
+  }
+  for (const msg of session.transcript.messages) {
+    const heading = msg.role.charAt(0).toUpperCase() + msg.role.slice(1);
+    md += `## ${heading}\n\n${contentToText(msg.content).trim()}\n\n`;
+  }
+  return md.trim() + '\n';
+}
+
+function sessionsExport(localArgs) {
+  let name = null;
+  let format = 'md';
+  let outputPath = null;
+  const rest = [...localArgs];
+  while (rest.length > 0) {
+    const token = rest.shift();
+    if (token === '--format') {
+      format = rest.shift();
+      if (!['md', 'json'].includes(format)) {
+        console.error('[ERROR] Invalid --format. Must be "md" or "json".');
+        process.exit(1);
+      }
+    } else if (token === '--output') {
+      outputPath = rest.shift();
+    } else if (!token.startsWith('--') && name === null) {
+      name = token;
+    } else {
+      console.error(`[ERROR] Unknown argument for "sessions export": ${token}`);
+      process.exit(1);
+    }
+  }
+  const session = loadOrExit(name, 'export');
+  const text = format === 'json'
+    ? JSON.stringify(session, null, 2) + '\n'
+    : sessionToMarkdown(session);
+
+  if (!outputPath) {
+    process.stdout.write(text);
+    return;
+  }
+  try {
+    fs.writeFileSync(outputPath, text, 'utf-8');
+    console.log(`Exported session "${session.name}" to ${outputPath}`);
+  } catch (err) {
+    console.error('[ERROR] Could not write export:', err.message);
+    process.exit(1);
+  }
+}
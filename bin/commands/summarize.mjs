@@ -1,7 +1,8 @@
 /* commands/summarize.mjs */
 import fs from 'fs';
-import fetch from 'node-fetch';
-import { sleep } from '../utils.mjs';
+import { submitJob, waitForJob, fetchJobResult, isJobFailed } from '../client.mjs';
+import { recordJob, updateJob, printDetachedJob } from '../ledger.mjs';
+import { trackJob, untrackJob } from '../interrupt.mjs';
 
 export async function commandSummarize(globalFlags, cmdArgs) {
   let inputPath = null;
@@ -21,6 +22,8 @@ export async function commandSummarize(globalFlags, cmdArgs) {
   let inline = false;
   let outputFile = null;
   let pollInterval = 3;
+  let noWait = false;
+  let noWaitJson = false;
 
   const localArgs = [...cmdArgs];
   while (localArgs.length > 0) {
@@ -135,6 +138,13 @@ export async function commandSummarize(globalFlags, cmdArgs) {
       case '--poll-interval':
         pollInterval = parseFloat(localArgs.shift());
         break;
+      case '--no-wait':
+        noWait = true;
+        break;
+      case '--no-wait-json':
+        noWait = true;
+        noWaitJson = true;
+        break;
       default:
         console.error(`[ERROR] Unknown flag for "summarize": ${token}`);
         process.exit(1);
@@ -186,87 +196,77 @@ export async function commandSummarize(globalFlags, cmdArgs) {
     }
   }
 
-  const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonizer/v1/summaries`;
+  let targetPath = outputFile || inputPath;
+  if (inline) {
+    if (!outputFile) {
+      targetPath = inputPath;
+    }
+  }
+
+  const jobsPath = '/api/charmonizer/v1/summaries';
   let jobId;
   try {
-    const resp = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    if (!resp.ok) {
-      const errText = await resp.text();
-      console.error(`[ERROR] Summarization job => HTTP ${resp.status} => ${errText}`);
-      process.exit(1);
-    }
-    const json = await resp.json();
-    jobId = json.job_id;
-    if (!jobId) {
-      console.error('[ERROR] Server did not return a job_id.');
-      process.exit(1);
+    jobId = await submitJob(globalFlags, jobsPath, { json: body });
+    if (!noWait) {
+      console.log(`Summarization job started. job_id=${jobId}`);
     }
-    console.log(`Summarization job started. job_id=${jobId}`);
   } catch (err) {
     console.error('[ERROR] Failed to submit summarization job:', err.message);
     process.exit(1);
   }
+  const ledgerEntry = recordJob(globalFlags, {
+    jobId,
+    kind: 'summarize',
+    jobsPath,
+    input: inputPath,
+    output: targetPath
+  });
+  if (noWait) {
+    printDetachedJob(ledgerEntry, noWaitJson);
+    return;
+  }
+  trackJob(globalFlags, ledgerEntry);
 
-  const statusUrl = `${endpoint}/${jobId}`;
-  const resultUrl = `${statusUrl}/result`;
-  while (true) {
-    await sleep(pollInterval);
-    let statusRes;
-    try {
-      const resp = await fetch(statusUrl);
-      if (!resp.ok) {
-        const errText = await resp.text();
-        console.error(`[ERROR] Poll => HTTP ${resp.status} => ${errText}`);
-        process.exit(1);
-      }
-      statusRes = await resp.json();
-    } catch (err) {
-      console.error('[ERROR] Polling summarization job failed:', err.message);
-      process.exit(1);
-    }
-    if (statusRes.status === 'error') {
-      console.error('[ERROR] Summarization job failed:', statusRes.error || '(No error detail)');
-      process.exit(1);
-    } else if (statusRes.status === 'complete') {
-      console.log('Summarization job complete! Fetching final result...');
-      break;
-    } else {
-      console.log(
-        `Status: ${statusRes.status}, chunks_completed=${statusRes.chunks_completed || 0}/` +
-        `${statusRes.chunks_total || 0}...`
-      );
-    }
+  let statusRes;
+  try {
+    statusRes = await waitForJob(globalFlags, jobsPath, jobId, {
+      pollInterval,
+      onProgress: s => console.log(
+        `Status: ${s.status}, chunks_completed=${s.chunks_completed || 0}/` +
+        `${s.chunks_total || 0}...`
+      )
+    });
+  } catch (err) {
+    console.error('[ERROR] Polling summarization job failed:', err.message);
+    process.exit(1);
+  } finally {
+    untrackJob(jobId);
+  }
+  if (isJobFailed(statusRes)) {
+    updateJob(jobId, { status: 'failed', error: statusRes.error || null });
+    console.error('[ERROR] Summarization job failed:', statusRes.error || '(No error detail)');
+    process.exit(1);
   }
+  console.log('Summarization job complete! Fetching final result...');
 
   let finalDoc;
   try {
-    const resp = await fetch(resultUrl);
-    if (!resp.ok) {
-      const errText = await resp.text();
-      console.error(`[ERROR] Could not get final summary => HTTP ${resp.status} => ${errText}`);
-      process.exit(1);
-    }
-    finalDoc = await resp.json();
+    ({ data: finalDoc } = await fetchJobResult(globalFlags, jobsPath, jobId));
   } catch (err) {
     console.error('[ERROR] Failed to retrieve summarization result:', err.message);
     process.exit(1);
   }
 
-  let targetPath = outputFile || inputPath;
-  if (inline) {
-    if (!outputFile) {
-      targetPath = inputPath;
-    }
-  }
   try {
-    fs.writeFileSync(targetPath, JSON.stringify(finalDoc, null, 2), 'utf-8');
-    console.log(`Wrote summarized doc to: ${targetPath}`);
+    writeSummarizedDoc(finalDoc, targetPath);
   } catch (err) {
     console.error('[ERROR] Could not write output file:', err.message);
     process.exit(1);
   }
+  updateJob(jobId, { status: 'collected' });
+}
+
+export function writeSummarizedDoc(finalDoc, targetPath) {
+  fs.writeFileSync(targetPath, JSON.stringify(finalDoc, null, 2), 'utf-8');
+  console.log(`Wrote summarized doc to: ${targetPath}`);
 }
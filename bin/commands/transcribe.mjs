@@ -1,17 +1,34 @@
 /* commands/transcribe.mjs */
 import fs from 'fs';
 import FormData from 'form-data';
-import fetch from 'node-fetch';
+import { ApiError, submitJob, waitForJob, fetchJobResult, isJobFailed } from '../client.mjs';
+import { recordJob, updateJob, printDetachedJob } from '../ledger.mjs';
+import { trackJob, untrackJob, onInterruptCheckpoint, activeJobEntries } from '../interrupt.mjs';
+import { runPool } from '../utils.mjs';
+import { expandInputs, commonBaseDir, DEFAULT_INCLUDE } from '../input-files.mjs';
+import {
+  parsePageRanges,
+  formatPageRanges,
+  extractPdfPages,
+  pdfPageCount,
+  renumberPages,
+  adoptSubsetDoc,
+  splicePages,
+  isFailedPage
+} from '../pdf-pages.mjs';
+import {
+  manifestPathFor,
+  loadManifest,
+  updateManifestEntry,
+  fileSha256,
+  skipReason,
+  markDetached
+} from '../batch-manifest.mjs';
 import path from 'path';
-import { sleep } from '../utils.mjs';
 import crypto from 'crypto';
 
 export async function commandTranscribe(globalFlags, cmdArgs) {
-  if (cmdArgs.length === 0) {
-    console.error('[ERROR] No file specified. Expecting a .pdf or .docx file.');
-    process.exit(1);
-  }
-  const inputFile = cmdArgs[0];
+  const inputs = [];
 
   let description = null;
   let intent = null;
@@ -24,10 +41,22 @@ export async function commandTranscribe(globalFlags, cmdArgs) {
   let outputFormat = 'doc.json';
   let inputDocumentType = null;
   let batchMode = false;
+  let noWait = false;
+  let noWaitJson = false;
+  let jobs = 1;
+  let maxPagesInFlight = null;
+  let force = false;
+  let retryFailed = false;
+  let outputDir = null;
+  let manifestOverride = null;
+  let recursive = true;
+  let pages = null;
+  const include = [];
+  const exclude = [];
 
   let outputPath;
 
-  const localArgs = cmdArgs.slice(1);
+  const localArgs = [...cmdArgs];
   while (localArgs.length > 0) {
     const token = localArgs.shift();
     switch (token) {
@@ -79,22 +108,88 @@ export async function commandTranscribe(globalFlags, cmdArgs) {
       case '--batch':
         batchMode = true;
         break;
+      case '--no-wait':
+        noWait = true;
+        break;
+      case '--no-wait-json':
+        noWait = true;
+        noWaitJson = true;
+        break;
+      case '--jobs':
+        jobs = parseInt(localArgs.shift(), 10);
+        if (!(jobs >= 1)) {
+          console.error('[ERROR] --jobs must be at least 1.');
+          process.exit(1);
+        }
+        break;
+      case '--force':
+        force = true;
+        break;
+      case '--output-dir':
+        outputDir = localArgs.shift();
+        break;
+      case '--manifest':
+        manifestOverride = localArgs.shift();
+        break;
+      case '--include':
+        include.push(localArgs.shift());
+        break;
+      case '--exclude':
+        exclude.push(localArgs.shift());
+        break;
+      case '--no-recursive':
+        recursive = false;
+        break;
+      case '--pages':
+        try {
+          pages = parsePageRanges(localArgs.shift());
+        } catch (err) {
+          console.error(`[ERROR] ${err.message}`);
+          process.exit(1);
+        }
+        break;
+      case '--retry-failed':
+        retryFailed = true;
+        break;
+      case '--max-pages-in-flight':
+        maxPagesInFlight = parseInt(localArgs.shift(), 10);
+        if (!(maxPagesInFlight >= 1)) {
+          console.error('[ERROR] --max-pages-in-flight must be at least 1.');
+          process.exit(1);
+        }
+        break;
       default:
-        console.error(`[ERROR] Unknown flag for "transcribe": ${token}`);
-        process.exit(1);
+        if (token.startsWith('--')) {
+          console.error(`[ERROR] Unknown flag for "transcribe": ${token}`);
+          process.exit(1);
+        }
+        inputs.push(token);
     }
   }
+  if (inputs.length === 0) {
+    console.error('[ERROR] No file specified. Expecting a .pdf or .docx file, a directory, or a batch list.');
+    process.exit(1);
+  }
 
-  // Handle batch mode
+  // Work out what to transcribe: a --batch list, a single file, or several
+  // files and directories (which run as a batch).
+  let batchFileList = null;
+  let manifestPath = manifestOverride;
+  let manifestSource;
+  let mirrorBase = null;
   if (batchMode) {
-    let batchFileList;
+    if (inputs.length > 1) {
+      console.error('[ERROR] --batch takes one list file; give files and directories without --batch instead.');
+      process.exit(1);
+    }
+    const listFile = inputs[0];
     try {
-      const batchFileContent = fs.readFileSync(inputFile, 'utf-8');
+      const batchFileContent = fs.readFileSync(listFile, 'utf-8');
       batchFileList = batchFileContent.split('\n')
         .map(line => line.trim())
         .filter(line => line.length > 0);
     } catch (err) {
-      console.error(`[ERROR] Could not read batch file at ${inputFile}: ${err.message}`);
+      console.error(`[ERROR] Could not read batch file at ${listFile}: ${err.message}`);
       process.exit(1);
     }
 
@@ -102,15 +197,155 @@ export async function commandTranscribe(globalFlags, cmdArgs) {
       console.error('[ERROR] Batch file is empty.');
       process.exit(1);
     }
+    manifestPath = manifestPath || manifestPathFor(listFile);
+    manifestSource = { batch_file: path.resolve(listFile) };
+    mirrorBase = commonBaseDir(batchFileList.map(f => path.dirname(f)));
+  } else if (inputs.length > 1 || isDirectory(inputs[0])) {
+    try {
+      batchFileList = expandInputs(inputs, {
+        include: include.length > 0 ? include : DEFAULT_INCLUDE,
+        exclude,
+        recursive,
+        skipDirs: outputDir ? [outputDir] : []
+      });
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      process.exit(1);
+    }
+    if (batchFileList.length === 0) {
+      console.error(`[ERROR] No files to transcribe under ${inputs.join(', ')} ` +
+        `(include: ${(include.length > 0 ? include : DEFAULT_INCLUDE).join(', ')}).`);
+      process.exit(1);
+    }
+    if (!manifestPath) {
+      const manifestDir = outputDir || (inputs.length === 1 ? inputs[0] : '.');
+      manifestPath = path.join(manifestDir, 'charm-transcribe.manifest.json');
+    }
+    manifestSource = { inputs: inputs.map(i => path.resolve(i)) };
+    mirrorBase = commonBaseDir(inputs.map(i => (isDirectory(i) ? i : path.dirname(i))));
+  } else {
+    mirrorBase = path.dirname(inputs[0]);
+  }
+  if (batchFileList && outputPath) {
+    console.error('[ERROR] --output names one file; use --output-dir when transcribing several.');
+    process.exit(1);
+  }
+  if (pages && (batchFileList || path.extname(inputs[0]).toLowerCase() !== '.pdf')) {
+    console.error('[ERROR] --pages needs a single PDF file.');
+    process.exit(1);
+  }
+
+  // With --output-dir, outputs mirror the inputs' layout under it instead of
+  // sitting next to the sources.
+  const outputPathFor = file => {
+    const besideSource = defaultOutputPath(file, outputFormat, pages);
+    if (!outputDir) return besideSource;
+    return path.join(outputDir, path.relative(path.resolve(mirrorBase), path.resolve(besideSource)));
+  };
+
+  // Handle batch mode
+  if (batchFileList) {
+
+    // With --no-wait, stdout carries only the job ids; keep progress chatter on stderr.
+    const log = noWait ? console.error : console.log;
+
+    // The manifest records every file's outcome; files already done with the
+    // same content and model are skipped unless --force.
+    const manifest = loadManifest(manifestPath, manifestSource);
+    const hashes = new Map();
+    const skipped = { done: 0, failed: 0, submitted: 0 };
+    const todo = [];
+    for (const file of batchFileList) {
+      let sha256 = null;
+      try {
+        sha256 = fileSha256(file);
+      } catch {
+        // Unreadable: let the normal path report it.
+      }
+      hashes.set(file, sha256);
+      const skip = force ? null : skipReason(manifest.files[file], {
+        sha256,
+        model: globalFlags.model,
+        outputPath: outputPathFor(file),
+        retryFailed
+      });
+      if (!skip) {
+        todo.push(file);
+        continue;
+      }
+      skipped[skip.reason]++;
+      if (skip.reason === 'submitted') {
+        console.error(`[WARN] ${file} was submitted as job ${skip.entry.job_id} and not collected yet; ` +
+          'run "charm jobs collect", or pass --force to submit it again.');
+      }
+    }
+    const skippedTotal = skipped.done + skipped.failed + skipped.submitted;
+    if (skippedTotal > 0) {
+      log(`Skipping ${skippedTotal} of ${batchFileList.length} files recorded in ${manifestPath}: ` +
+        `${skipped.done} done` +
+        (skipped.failed ? `, ${skipped.failed} failed earlier (--retry-failed to redo)` : '') +
+        (skipped.submitted ? `, ${skipped.submitted} awaiting collection` : '') + '.');
+    }
+    if (todo.length === 0) {
+      log('Nothing to do (pass --force to transcribe everything again).');
+      return;
+    }
+    log(`Processing ${todo.length} files in batch mode...`);
+    const record = (file, fields) => {
+      try {
+        updateManifestEntry(manifestPath, manifest, file, fields);
+      } catch (err) {
+        console.error(`[WARN] Could not update manifest ${manifestPath}: ${err.message}`);
+      }
+    };
+
+    // On Ctrl-C / SIGTERM, write a checkpoint saying where the batch got to.  It
+    // is for people to read; a rerun resumes from the manifest, where detached
+    // jobs are marked submitted.
+    const completedFiles = [];
+    const failedFiles = [];
+    if (!noWait) {
+      onInterruptCheckpoint(reason => {
+        const checkpointPath = manifestPath.replace(/\.manifest\.json$/, '') + '.checkpoint.json';
+        const done = new Set([...completedFiles, ...failedFiles]);
+        const checkpoint = {
+          ...manifestSource,
+          interrupted_at: new Date().toISOString(),
+          reason,
+          completed: completedFiles,
+          failed: failedFiles,
+          in_flight: reason === 'detached'
+            ? activeJobEntries().map(e => ({ file: e.input, job_id: e.job_id, output: e.output }))
+            : [],
+          remaining: todo.filter(f => !done.has(f))
+        };
+        if (reason === 'detached') {
+          try {
+            markDetached(manifestPath, manifest, activeJobEntries().map(e => e.job_id));
+          } catch (err) {
+            console.error(`[WARN] Could not update manifest ${manifestPath}: ${err.message}`);
+          }
+        }
+        fs.writeFileSync(checkpointPath, JSON.stringify(checkpoint, null, 2), 'utf-8');
+        console.error(`Wrote batch checkpoint (${completedFiles.length}/${todo.length} finished) to ${checkpointPath}`);
+      });
+    }
+
+    // Up to --jobs files are converted at once.  With more than one, per-job
+    // progress is folded into one aggregated line.
+    const concurrent = jobs > 1;
+    const progress = createBatchProgress(todo.length, log, pollInterval);
+    const pageGate = !noWait && maxPagesInFlight ? createPageGate(maxPagesInFlight) : null;
+    let stopping = false;
 
-    console.log(`Processing ${batchFileList.length} files in batch mode...`);
+    await runPool(todo, jobs, async (currentFile, i) => {
+      if (stopping) return;
+      log(`\n[${i + 1}/${todo.length}] ${concurrent ? 'Starting' : 'Processing'}: ${currentFile}`);
+      let releasePages = () => {};
+      let startedAt = null;
 
-    for (let i = 0; i < batchFileList.length; i++) {
-      const currentFile = batchFileList[i];
-      console.log(`\n[${i + 1}/${batchFileList.length}] Processing: ${currentFile}`);
-      
       try {
-        await transcribeSingleFile(currentFile, {
+        const outcome = await transcribeSingleFile(currentFile, {
           description,
           intent,
           graphicInstructions,
@@ -121,24 +356,96 @@ export async function commandTranscribe(globalFlags, cmdArgs) {
           continueOnFailure,
           outputFormat,
           inputDocumentType,
-          outputPath: null // Let each file calculate its own output path
+          noWait,
+          noWaitJson,
+          outputPath: outputPathFor(currentFile),
+          beforeSubmit: async fileBuffer => {
+            if (pageGate) releasePages = await pageGate.acquire(currentFile, await estimatePageCount(currentFile, fileBuffer));
+            if (stopping) throw Object.assign(new Error('the batch is stopping'), { notStarted: true });
+            progress.started(currentFile);
+            startedAt = Date.now();
+            record(currentFile, {
+              sha256: hashes.get(currentFile),
+              output: outputPathFor(currentFile),
+              output_format: outputFormat,
+              model: globalFlags.model,
+              status: 'running',
+              job_id: null,
+              pages_total: null,
+              pages_converted: null,
+              started_at: new Date(startedAt).toISOString(),
+              finished_at: null,
+              duration_ms: null,
+              error: null
+            });
+          },
+          onSubmitted: jobId => record(currentFile, { job_id: jobId }),
+          onProgress: concurrent
+            ? s => {
+              if (pageGate) pageGate.update(currentFile, s.pages_total, s.pages_converted);
+              progress.update(currentFile, s);
+            }
+            : s => {
+              if (pageGate) pageGate.update(currentFile, s.pages_total, s.pages_converted);
+              console.log(`Progress: ${s.pages_converted || 0}/${s.pages_total || 0} pages... (status=${s.status})`);
+            }
         }, globalFlags);
+        record(currentFile, {
+          status: outcome.status,
+          pages_total: outcome.pagesTotal,
+          pages_converted: outcome.pagesConverted,
+          ...(noWait ? {} : { finished_at: new Date().toISOString(), duration_ms: Date.now() - startedAt }),
+          error: outcome.error
+        });
+        completedFiles.push(currentFile);
+        progress.finished(currentFile, true);
       } catch (err) {
+        if (err.notStarted) return;
+        record(currentFile, {
+          sha256: hashes.get(currentFile),
+          output: outputPathFor(currentFile),
+          output_format: outputFormat,
+          model: globalFlags.model,
+          status: 'failed',
+          finished_at: new Date().toISOString(),
+          duration_ms: startedAt !== null ? Date.now() - startedAt : null,
+          error: err.message
+        });
+        failedFiles.push(currentFile);
+        progress.finished(currentFile, false);
         if (continueOnFailure) {
           console.error(`[WARN] Failed to process ${currentFile}: ${err.message}`);
-        } else {
+        } else if (!stopping) {
           console.error(`[ERROR] Failed to process ${currentFile}: ${err.message}`);
-          process.exit(1);
+          if (concurrent && progress.running() > 0) {
+            console.error(`[ERROR] Not starting more files; waiting for the ${progress.running()} already running.`);
+          }
+          stopping = true;
         }
+      } finally {
+        releasePages();
       }
+    });
+
+    if (stopping) {
+      const done = new Set([...completedFiles, ...failedFiles]);
+      const notStarted = todo.filter(f => !done.has(f));
+      console.error(`[ERROR] Batch stopped: ${completedFiles.length} succeeded, ${failedFiles.length} failed, ` +
+        `${notStarted.length} not started.`);
+      process.exit(1);
     }
 
-    console.log(`\nBatch processing complete. Processed ${batchFileList.length} files.`);
+    if (noWait) {
+      log(`\nSubmitted ${todo.length} files. Collect the results with "charm jobs collect".`);
+    } else {
+      log(`\nBatch processing complete. Processed ${todo.length} files` +
+        (failedFiles.length > 0 ? ` (${failedFiles.length} failed)` : '') + `. Manifest: ${manifestPath}`);
+    }
     return;
   }
 
   // Single file mode - process the individual file
-  await transcribeSingleFile(inputFile, {
+  await transcribeSingleFile(inputs[0], {
     description,
     intent,
     graphicInstructions,
@@ -149,14 +456,48 @@ export async function commandTranscribe(globalFlags, cmdArgs) {
     continueOnFailure,
     outputFormat,
     inputDocumentType,
-    outputPath
+    noWait,
+    noWaitJson,
+    pages,
+    outputPath: outputPath || outputPathFor(inputs[0])
   }, globalFlags);
 }
 
-// Helper function to transcribe a single file
-async function transcribeSingleFile(inputFile, options, globalFlags) {
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Where a transcription of inputFile goes when --output is not given.  Only
+ * some pages (--pages) go to e.g. long.pdf.p3-7,12.doc.json, so that they do
+ * not overwrite the transcription of the whole file.
+ */
+function defaultOutputPath(inputFile, outputFormat, pages = null) {
+  const suffix = (pages ? `.p${formatPageRanges(pages)}` : '') + (outputFormat === 'md' ? '.md' : '.doc.json');
   const ext = path.extname(inputFile).toLowerCase();
-  
+  if (ext === '.pdf') {
+    return inputFile.replace(/\.pdf$/i, '.pdf' + suffix);
+  } else if (ext === '.docx') {
+    return inputFile.replace(/\.docx$/i, '.docx' + suffix);
+  }
+  return inputFile + suffix;
+}
+
+/**
+ * Transcribe one file.  Resolves to
+ *   { outputPath, jobId, status: 'done' | 'partial' | 'submitted', pagesTotal, pagesConverted, error }
+ * where 'partial' means --continue-on-failure wrote a failure placeholder.
+ *
+ * With options.pages only those pages of a PDF are sent; with
+ * options.spliceInto (a doc.json path) they replace that document's pages
+ * instead of making a new document (see finishTranscription).
+ */
+export async function transcribeSingleFile(inputFile, options, globalFlags) {
+
   let {
     description,
     intent,
@@ -168,7 +509,14 @@ async function transcribeSingleFile(inputFile, options, globalFlags) {
     continueOnFailure,
     outputFormat,
     inputDocumentType,
-    outputPath
+    noWait,
+    noWaitJson,
+    outputPath,
+    pages,
+    spliceInto,
+    beforeSubmit,
+    onSubmitted,
+    onProgress
   } = options;
 
   // Apply document type presets after parsing all arguments
@@ -187,13 +535,7 @@ async function transcribeSingleFile(inputFile, options, globalFlags) {
 
   // Calculate output path after parsing arguments
   if (!outputPath) {
-    if (ext === '.pdf') {
-      outputPath = inputFile.replace(/\.pdf$/i, outputFormat === 'md' ? '.pdf.md' : '.pdf.doc.json');
-    } else if (ext === '.docx') {
-      outputPath = inputFile.replace(/\.docx$/i, outputFormat === 'md' ? '.docx.md' : '.docx.doc.json');
-    } else {
-      outputPath = inputFile + (outputFormat === 'md' ? '.md' : '.doc.json');
-    }
+    outputPath = defaultOutputPath(inputFile, outputFormat, pages);
   }
 
   let fileBuffer;
@@ -203,8 +545,17 @@ async function transcribeSingleFile(inputFile, options, globalFlags) {
     throw new Error(`Could not read file at ${inputFile}: ${err.message}`);
   }
 
+  let uploadBuffer = fileBuffer;
+  if (pages) {
+    try {
+      uploadBuffer = await extractPdfPages(fileBuffer, pages);
+    } catch (err) {
+      throw new Error(`Could not take pages ${formatPageRanges(pages)} from ${inputFile}: ${err.message}`);
+    }
+  }
+
   const form = new FormData();
-  form.append('file', fileBuffer, path.basename(inputFile));
+  form.append('file', uploadBuffer, path.basename(inputFile));
   form.append('model', globalFlags.model);
 
   if (description) form.append('description', description);
@@ -215,102 +566,110 @@ async function transcribeSingleFile(inputFile, options, globalFlags) {
   if (ocrThreshold !== null) form.append('ocr_threshold', ocrThreshold);
   if (continueOnFailure) form.append('continue_on_failure', 'true');
 
-  let length;
-  try {
-    length = form.getLengthSync();
-  } catch (err) {
-    throw new Error(`form.getLengthSync() failed: ${err.message}`);
-  }
-
-  const headers = {
-    ...form.getHeaders(),
-    'Content-Length': length
-  };
-
-  const endpoint = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonizer/v1/conversions/documents`;
+  const jobsPath = '/api/charmonizer/v1/conversions/documents';
   let jobId;
 
+  if (beforeSubmit) {
+    await beforeSubmit(fileBuffer);
+  }
   try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      body: form,
-      headers
-    });
-    if (!response.ok) {
-      const errBody = await response.text();
-      throw new Error(`HTTP ${response.status} => ${errBody}`);
-    }
-    const result = await response.json();
-    if (!result.job_id) {
-      throw new Error('No job_id returned by the server.');
-    }
-    jobId = result.job_id;
+    jobId = await submitJob(globalFlags, jobsPath, { form });
   } catch (err) {
     throw new Error(`Failed to start document conversion: ${err.message}`);
   }
+  const finish = { outputFormat };
+  if (pages) finish.pages = pages;
+  if (spliceInto) {
+    finish.spliceInto = spliceInto;
+    finish.retranscription = {
+      model: globalFlags.model,
+      ...(graphicInstructions ? { graphic_instructions: graphicInstructions } : {}),
+      job_id: jobId
+    };
+  }
+  const ledgerEntry = recordJob(globalFlags, {
+    jobId,
+    kind: spliceInto ? 'retranscribe' : 'transcribe',
+    jobsPath,
+    input: inputFile,
+    output: outputPath,
+    finish
+  });
+  if (onSubmitted) {
+    onSubmitted(jobId);
+  }
+  const outcome = { outputPath, jobId, status: 'done', pagesTotal: null, pagesConverted: null, error: null };
+  if (noWait) {
+    printDetachedJob(ledgerEntry, noWaitJson);
+    return { ...outcome, status: 'submitted' };
+  }
+  trackJob(globalFlags, ledgerEntry);
 
-  const statusUrl = `http://${globalFlags.hostname}:${globalFlags.port}${globalFlags.baseUrlPrefix}/api/charmonizer/v1/conversions/documents/${jobId}`;
-  const resultUrl = `${statusUrl}/result`;
-  
   let finalDoc; // Declare finalDoc here so it's in scope for the entire function
 
-  while (true) {
-    await sleep(pollInterval);
-
-    let statusRes;
-    try {
-      const resp = await fetch(statusUrl);
-      if (!resp.ok) {
-        const errBody = await resp.text();
-        throw new Error(`Polling => HTTP ${resp.status} => ${errBody}`);
+  let statusRes;
+  try {
+    statusRes = await waitForJob(globalFlags, jobsPath, jobId, {
+      pollInterval,
+      onProgress: s => {
+        if (s.pages_total !== undefined) outcome.pagesTotal = s.pages_total;
+        if (s.pages_converted !== undefined) outcome.pagesConverted = s.pages_converted;
+        if (onProgress) {
+          onProgress(s);
+          return;
+        }
+        const pagesTotal = s.pages_total || 0;
+        const pagesConverted = s.pages_converted || 0;
+        console.log(`Progress: ${pagesConverted}/${pagesTotal} pages... (status=${s.status})`);
       }
-      statusRes = await resp.json();
-    } catch (err) {
-      throw new Error(`Polling job status failed: ${err.message}`);
-    }
+    });
+  } catch (err) {
+    throw new Error(`Polling job status failed: ${err.message}`);
+  } finally {
+    untrackJob(jobId);
+  }
 
-    if (statusRes.status === 'error') {
-      if (continueOnFailure) {
-        console.log('[WARN] Job failed, but --continue-on-failure specified. Creating partial result...');
-        finalDoc = await createPartialResultFromError(statusRes, inputFile, globalFlags);
-        break;
-      } else {
-        throw new Error(`Job error: ${statusRes.error}`);
-      }
-    } else if (statusRes.status === 'complete') {
-      console.log('Conversion complete! Fetching final result...');
-      break;
+  if (statusRes.pages_total !== undefined) outcome.pagesTotal = statusRes.pages_total;
+  if (statusRes.pages_converted !== undefined) outcome.pagesConverted = statusRes.pages_converted;
+  if (isJobFailed(statusRes)) {
+    updateJob(jobId, { status: 'failed', error: statusRes.error || null });
+    outcome.status = 'partial';
+    outcome.error = statusRes.error || 'job failed';
+    if (continueOnFailure) {
+      console.log('[WARN] Job failed, but --continue-on-failure specified. Creating partial result...');
+      finalDoc = await createPartialResultFromError(statusRes, inputFile, globalFlags);
     } else {
-      const pagesTotal = statusRes.pages_total || 0;
-      const pagesConverted = statusRes.pages_converted || 0;
-      console.log(`Progress: ${pagesConverted}/${pagesTotal} pages... (status=${statusRes.status})`);
+      throw new Error(`Job error: ${statusRes.error}`);
     }
+  } else {
+    console.log('Conversion complete! Fetching final result...');
   }
 
   if (!finalDoc) { // Only fetch if not already set by error handling
     try {
-      const resp = await fetch(resultUrl);
-      if (!resp.ok && resp.status !== 202) {
-        const errBody = await resp.text();
-        if (continueOnFailure) {
-          console.log('[WARN] Could not retrieve final result, but --continue-on-failure specified. Creating partial result...');
-          finalDoc = await createPartialResultFromHttpError(resp.status, errBody, inputFile, globalFlags);
-        } else {
-          throw new Error(`Could not retrieve final => HTTP ${resp.status} => ${errBody}`);
-        }
-      } else if (resp.status === 202) {
+      const result = await fetchJobResult(globalFlags, jobsPath, jobId);
+      if (result.status === 202) {
         if (continueOnFailure) {
           console.log('[WARN] Still processing, but --continue-on-failure specified. Creating partial result...');
+          outcome.status = 'partial';
+          outcome.error = 'still processing (202)';
           finalDoc = await createPartialResultFromTimeout(inputFile, globalFlags);
         } else {
           throw new Error('Still processing, got 202.');
         }
       } else {
-        finalDoc = await resp.json();
+        finalDoc = result.data;
       }
     } catch (err) {
-      if (continueOnFailure) {
+      if (continueOnFailure && err instanceof ApiError && err.kind === 'http') {
+        console.log('[WARN] Could not retrieve final result, but --continue-on-failure specified. Creating partial result...');
+        outcome.status = 'partial';
+        outcome.error = err.message;
+        finalDoc = await createPartialResultFromHttpError(err.status, err.body, inputFile, globalFlags);
+      } else if (continueOnFailure) {
         console.log('[WARN] Failed to fetch final doc object, but --continue-on-failure specified. Creating partial result...');
+        outcome.status = 'partial';
+        outcome.error = err.message;
         finalDoc = await createPartialResultFromException(err, inputFile, globalFlags);
       } else {
         throw new Error(`Failed to fetch final doc object: ${err.message}`);
@@ -318,7 +677,172 @@ async function transcribeSingleFile(inputFile, options, globalFlags) {
     }
   }
 
+  finishTranscription(finalDoc, inputFile, outputPath, finish);
+  if (!isJobFailed(statusRes)) {
+    updateJob(jobId, { status: 'collected' });
+  }
+  return outcome;
+}
+
+/**
+ * Aggregated progress for a batch: which files are running, how many pages
+ * the running jobs have converted, and how many files are done.  Progress
+ * lines are printed at most once per poll interval.
+ */
+function createBatchProgress(totalFiles, log, pollInterval) {
+  const running = new Map(); // file -> { pagesTotal, pagesConverted }
+  let succeeded = 0;
+  let failed = 0;
+  let lastPrinted = 0;
+
+  function line() {
+    let pagesTotal = 0;
+    let pagesConverted = 0;
+    for (const job of running.values()) {
+      pagesTotal += job.pagesTotal;
+      pagesConverted += job.pagesConverted;
+    }
+    return `Progress: ${succeeded + failed}/${totalFiles} files done` +
+      (failed > 0 ? ` (${failed} failed)` : '') +
+      `, ${running.size} running, ${pagesConverted}/${pagesTotal} pages converted in running jobs`;
+  }
+
+  return {
+    started(file) {
+      running.set(file, { pagesTotal: 0, pagesConverted: 0 });
+    },
+    update(file, status) {
+      running.set(file, { pagesTotal: status.pages_total || 0, pagesConverted: status.pages_converted || 0 });
+      const now = Date.now();
+      if (now - lastPrinted >= pollInterval * 1000) {
+        lastPrinted = now;
+        log(line());
+      }
+    },
+    finished(file, ok) {
+      running.delete(file);
+      if (ok) succeeded++;
+      else failed++;
+      if (totalFiles > 1) log(line());
+    },
+    running() {
+      return running.size;
+    }
+  };
+}
+
+/**
+ * Limit the pages being converted at once.  acquire(file, estimate) waits
+ * until the file's pages fit under maxPages (a file always starts when
+ * nothing else is running) and returns a release function.  Once the server
+ * reports a job's page counts, its unconverted pages replace the estimate.
+ */
+function createPageGate(maxPages) {
+  const inFlight = new Map(); // file -> pages not yet converted
+  const waiters = [];
+
+  const total = () => [...inFlight.values()].reduce((sum, n) => sum + n, 0);
+
+  function wakeWaiters() {
+    while (waiters.length > 0) {
+      const { file, pages, resolve } = waiters[0];
+      if (inFlight.size > 0 && total() + pages > maxPages) break;
+      waiters.shift();
+      inFlight.set(file, pages);
+      resolve();
+    }
+  }
+
+  return {
+    async acquire(file, pages) {
+      await new Promise(resolve => {
+        waiters.push({ file, pages, resolve });
+        wakeWaiters();
+      });
+      return () => {
+        inFlight.delete(file);
+        wakeWaiters();
+      };
+    },
+    update(file, pagesTotal, pagesConverted) {
+      if (inFlight.has(file) && pagesTotal) {
+        inFlight.set(file, Math.max(0, pagesTotal - (pagesConverted || 0)));
+        wakeWaiters();
+      }
+    }
+  };
+}
+
+/**
+ * Page count for gating before the server has counted: the PDF's own count,
+ * or its page objects if it does not parse; 1 for anything else.
+ */
+async function estimatePageCount(file, buffer) {
+  if (path.extname(file).toLowerCase() !== '.pdf') {
+    return 1;
+  }
+  try {
+    return Math.max(1, await pdfPageCount(buffer));
+  } catch {
+    // Page objects inside compressed object streams are not visible here.
+    const matches = buffer.toString('latin1').match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+    return Math.max(1, matches ? matches.length : 1);
+  }
+}
+
+/**
+ * Write out a finished conversion job, given the ledger's finish record.
+ * Plain jobs are written as they are.  A --pages job gets the original page
+ * numbers; a retranscribe job (finish.spliceInto) then replaces those pages
+ * of an existing doc.json, and records them in its metadata.retranscriptions.
+ */
+export function finishTranscription(data, inputFile, outputPath, finish = {}) {
+  const outputFormat = finish.outputFormat || 'doc.json';
+  if (!finish.pages) {
+    writeTranscription(data, outputPath, outputFormat);
+    return;
+  }
+  renumberPages(data, finish.pages);
+  const fileBuffer = fs.readFileSync(inputFile);
+  const original = {
+    sha256: crypto.createHash('sha256').update(fileBuffer).digest('hex'),
+    size: fileBuffer.length,
+    filename: path.basename(inputFile)
+  };
+  if (!finish.spliceInto) {
+    writeTranscription(adoptSubsetDoc(data, finish.pages, original), outputPath, outputFormat);
+    return;
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(finish.spliceInto, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read ${finish.spliceInto}: ${err.message}`);
+  }
+  const meta = doc.metadata = doc.metadata || {};
+  const redone = splicePages(doc, data, {
+    sha256: meta.document_sha256 || original.sha256,
+    filename: meta.originating_filename || original.filename
+  });
+  const record = { pages: redone, ...finish.retranscription, retranscribed_at: new Date().toISOString() };
+  if (Array.isArray(meta.pages_transcribed)) {
+    meta.pages_transcribed = [...new Set([...meta.pages_transcribed, ...redone])].sort((a, b) => a - b);
+  }
+  // A document that failed as a whole is whole again once no placeholder is left.
+  if (meta.transcription_status === 'failed' && !doc.chunks.pages.some(isFailedPage)) {
+    if (meta.transcription_error) record.previous_error = meta.transcription_error;
+    delete meta.transcription_status;
+    delete meta.transcription_error;
+  }
+  meta.retranscriptions = [...(meta.retranscriptions || []), record];
+  writeTranscription(doc, outputPath, 'doc.json');
+}
+
+/** Write a finished transcription as doc.json or markdown. */
+export function writeTranscription(finalDoc, outputPath, outputFormat) {
   try {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
     if (outputFormat === 'md') {
       const markdownContent = convertDocToMarkdown(finalDoc);
       fs.writeFileSync(outputPath, markdownContent, 'utf-8');
@@ -0,0 +1,126 @@
+/* config.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// Default config
+export const defaultConfig = {
+  port: 5002,
+  hostname: 'localhost',
+  baseUrlPrefix: '/charm',
+  model: 'gpt-4o-mini'
+};
+
+// Keys a profile (or the top level of config.json) may set for the server connection.
+const SERVER_KEYS = [
+  'port', 'hostname', 'baseUrlPrefix', 'model',
+  'scheme', 'baseUrl', 'apiKey', 'apiKeyEnv', 'apiKeyHeader', 'caFile',
+  'retries', 'connectTimeout', 'readTimeout'
+];
+
+/** Directory holding config.json and the rest of charm's local state. */
+export function charmConfigDir() {
+  return path.join(os.homedir(), '.config', 'charm');
+}
+
+/** Helper to load user config from ~/.config/charm/config.json */
+export function loadUserConfig() {
+  const configPath = path.join(charmConfigDir(), 'config.json');
+  let userConfig = {};
+  try {
+    if (fs.existsSync(configPath)) {
+      const text = fs.readFileSync(configPath, 'utf-8');
+      userConfig = JSON.parse(text);
+    }
+  } catch (err) {
+    console.warn(`[WARN] Could not parse config at ${configPath}:`, err.message);
+  }
+  return userConfig;
+}
+
+/**
+ * Resolve the settings for a named profile.
+ *
+ * The config file may hold flat top-level settings (the original format), a
+ * "profiles" map and a "defaultProfile" name.  Top-level settings act as a
+ * base that the selected profile overrides.  Returns { name, settings,
+ * commandDefaults }, or throws if the requested profile does not exist.
+ */
+export function resolveProfile(userConfig, requestedName) {
+  const profiles = userConfig.profiles || {};
+  const name = requestedName || userConfig.defaultProfile || null;
+
+  if (name && !Object.prototype.hasOwnProperty.call(profiles, name)) {
+    const known = Object.keys(profiles);
+    throw new Error(
+      `Unknown profile "${name}". ` +
+      (known.length ? `Known profiles: ${known.join(', ')}` : 'No profiles are defined in config.json.')
+    );
+  }
+
+  const settings = { ...defaultConfig };
+  for (const key of SERVER_KEYS) {
+    if (userConfig[key] !== undefined) settings[key] = userConfig[key];
+  }
+  const profile = name ? profiles[name] : {};
+  for (const key of SERVER_KEYS) {
+    if (profile[key] !== undefined) settings[key] = profile[key];
+  }
+  settings.headers = { ...(userConfig.headers || {}), ...(profile.headers || {}) };
+
+  // A profile's own token variable beats the generic one, which beats a key stored in the file.
+  const envKey = (settings.apiKeyEnv && process.env[settings.apiKeyEnv]) || process.env.CHARM_API_KEY;
+  if (envKey) {
+    settings.apiKey = envKey;
+  }
+
+  // Per-command defaults: top-level "commands" first, then the profile's.
+  const commandDefaults = {};
+  for (const source of [userConfig.commands, profile.commands]) {
+    if (!source) continue;
+    for (const [cmd, defaults] of Object.entries(source)) {
+      commandDefaults[cmd] = { ...(commandDefaults[cmd] || {}), ...defaults };
+    }
+  }
+
+  return { name, settings, commandDefaults };
+}
+
+// Commands whose first argument must stay first: a subcommand, or a file read
+// before the flags.  Defaults go after it; for every other command they go at
+// the front, ahead of any message.
+const LEADING_ARGUMENT_COMMANDS = new Set(['jobs', 'sessions', 'prompts', 'extract-markdown', 'convert-server-config']);
+
+/**
+ * Splice per-command defaults from the config into the command's argument list.
+ *
+ * Defaults look like { "poll-interval": 5, "continue-on-failure": true } and
+ * become "--poll-interval 5 --continue-on-failure", placed ahead of the user's
+ * arguments (after the subcommand, for jobs, sessions and prompts).  A
+ * default is skipped when the user already passed that flag, and boolean
+ * false disables a switch.
+ */
+export function applyCommandDefaults(command, cmdArgs, defaults) {
+  if (!defaults || Object.keys(defaults).length === 0) {
+    return cmdArgs;
+  }
+  const extra = [];
+  for (const [name, value] of Object.entries(defaults)) {
+    const flag = name.startsWith('--') ? name : `--${name}`;
+    if (cmdArgs.includes(flag) || value === false || value === null) continue;
+    extra.push(flag);
+    if (value !== true) extra.push(String(value));
+  }
+  const insertAt = LEADING_ARGUMENT_COMMANDS.has(command) && cmdArgs.length > 0 && !cmdArgs[0].startsWith('--') ? 1 : 0;
+  return [...cmdArgs.slice(0, insertAt), ...extra, ...cmdArgs.slice(insertAt)];
+}
+
+/**
+ * Build global flags for a named profile straight from config.json.  Used when
+ * acting on something recorded under another profile (e.g. a submitted job).
+ */
+export function resolveGlobalFlags(profileName) {
+  const { name, settings } = resolveProfile(loadUserConfig(), profileName);
+  return { ...settings, profile: name };
+}
@@ -0,0 +1,152 @@
+/* doc-context.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import { estimateTokens } from './utils.mjs';
+
+/*
+ * Document grounding for "charm chat --doc".  Chunks of a doc.json chunk
+ * group are ranked against each question with BM25 and the best ones that
+ * fit the token budget are handed to the model, labelled with their page
+ * numbers so the answer can cite them.
+ */
+
+const STOPWORDS = new Set((
+  'a an and are as at be but by can did do does for from had has have he her his how i if in into is it its ' +
+  'me my no not of on or our she so than that the their them then there these they this to was we were what ' +
+  'when where which who why will with would you your about any all also been more most should could'
+).split(' '));
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/** Human-readable page reference from a chunk's metadata, or null. */
+export function pageLabel(metadata = {}) {
+  if (metadata.page_number != null) {
+    return `p. ${metadata.page_number}`;
+  }
+  const start = metadata.start_page ?? metadata.page_start;
+  const end = metadata.end_page ?? metadata.page_end;
+  if (start != null) {
+    return end != null && end !== start ? `pp. ${start}-${end}` : `p. ${start}`;
+  }
+  if (Array.isArray(metadata.pages) && metadata.pages.length > 0) {
+    return metadata.pages.length === 1 ? `p. ${metadata.pages[0]}` : `pp. ${metadata.pages.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Load the chunks of one chunk group of a doc.json file; docIndex orders
+ * chunks of several documents.  Throws with a readable message when the file
+ * or group is missing.
+ */
+export function loadDocChunks(docPath, chunkGroup = 'pages', docIndex = 0) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(docPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read doc.json file ${docPath}: ${err.message}`);
+  }
+  const groups = doc.chunks || {};
+  const chunks = groups[chunkGroup];
+  if (!Array.isArray(chunks)) {
+    const available = Object.keys(groups);
+    throw new Error(`${docPath} has no chunk group "${chunkGroup}"` +
+      (available.length ? ` (available: ${available.join(', ')})` : ' (it has no chunk groups)'));
+  }
+  const source = doc.metadata?.originating_filename || path.basename(docPath);
+  return chunks
+    .filter(chunk => chunk && typeof chunk.content === 'string' && chunk.content.trim())
+    .map((chunk, index) => {
+      const metadata = chunk.metadata || {};
+      const terms = tokenize(chunk.content);
+      return {
+        source: metadata.originating_filename || source,
+        docIndex,
+        order: index,
+        label: pageLabel(metadata) || `chunk ${metadata.chunk_index ?? index}` +
+          (metadata.title ? ` "${metadata.title}"` : ''),
+        text: chunk.content.trim(),
+        tokens: estimateTokens(chunk.content),
+        terms,
+        termCounts: countTerms(terms)
+      };
+    });
+}
+
+function countTerms(terms) {
+  const counts = new Map();
+  for (const t of terms) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Pick the chunks most relevant to `query` whose combined size stays within
+ * `tokenBudget`.  Falls back to document order when nothing matches (e.g.
+ * "summarize this").  Returns the chosen chunks in document order.
+ */
+export function selectChunks(chunks, query, tokenBudget) {
+  if (chunks.length === 0) return [];
+  const queryTerms = [...new Set(tokenize(query))];
+  const avgLength = chunks.reduce((n, c) => n + c.terms.length, 0) / chunks.length || 1;
+  const k1 = 1.2;
+  const b = 0.75;
+
+  const idf = new Map();
+  for (const term of queryTerms) {
+    const df = chunks.filter(c => c.termCounts.has(term)).length;
+    idf.set(term, Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5)));
+  }
+  const scored = chunks.map(chunk => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = chunk.termCounts.get(term) || 0;
+      if (tf === 0) continue;
+      score += idf.get(term) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * chunk.terms.length / avgLength));
+    }
+    return { chunk, score };
+  });
+
+  const matching = scored.filter(s => s.score > 0);
+  const ranked = matching.length > 0
+    ? matching.sort((x, y) => y.score - x.score).map(s => s.chunk)
+    : chunks;
+
+  const chosen = [];
+  let used = 0;
+  for (const chunk of ranked) {
+    if (used + chunk.tokens > tokenBudget) continue;
+    chosen.push(chunk);
+    used += chunk.tokens;
+  }
+  if (chosen.length === 0) {
+    // Even the best chunk is over budget: send the start of it.
+    const best = ranked[0];
+    const text = best.text.slice(0, tokenBudget * 4);
+    chosen.push({ ...best, text, tokens: estimateTokens(text) });
+  }
+  return chosen.sort((x, y) => x.docIndex - y.docIndex || x.order - y.order);
+}
+
+/** System-prompt section presenting the chosen chunks to the model. */
+export function formatDocContext(chosen) {
+  let text = 'Answer using the document excerpts below. Cite the page of every fact you use, ' +
+    'e.g. (report.pdf, p. 3). If the excerpts do not contain the answer, say so.\n';
+  for (const chunk of chosen) {
+    text += `\n--- ${chunk.source}, ${chunk.label} ---\n${chunk.text}\n`;
+  }
+  return text;
+}
+
+/** Short "report.pdf p. 2, p. 5" style summary of what was retrieved. */
+export function describeChunks(chosen) {
+  const bySource = new Map();
+  for (const chunk of chosen) {
+    if (!bySource.has(chunk.source)) bySource.set(chunk.source, []);
+    bySource.get(chunk.source).push(chunk.label);
+  }
+  return [...bySource].map(([source, labels]) => `${source} ${labels.join(', ')}`).join('; ');
+}
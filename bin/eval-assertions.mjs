@@ -0,0 +1,161 @@
+/* eval-assertions.mjs */
+
+import { isDeepStrictEqual } from 'util';
+import { validateJsonText } from './json-schema.mjs';
+
+/*
+ * Assertions for "charm eval".  Each checks one run result and returns
+ *   { type, pass, message }
+ * Every assertion accepts "not": true to invert it.
+ *
+ *   { "type": "contains",    "value": "aspirin", "ignore_case": true }
+ *   { "type": "regex",       "pattern": "\\d+ mg", "flags": "i" }
+ *   { "type": "json_schema", "schema": { ... } }
+ *   { "type": "json_path",   "path": "$.medications[0].name", "equals": "aspirin" }
+ *   { "type": "judge",       "rubric": "Mentions the allergy.", "model": "gpt-4o" }
+ *
+ * Judge assertions need a model call, so checkAssertion takes a judge(rubric,
+ * model) callback resolving to { pass, reason }.
+ */
+
+export const ASSERTION_TYPES = ['contains', 'regex', 'json_schema', 'json_path', 'judge'];
+
+/** Throw if an assertion is malformed (so a suite fails before any request). */
+export function checkAssertionShape(assertion, where) {
+  if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+    throw new Error(`${where}: assertion "type" must be one of ${ASSERTION_TYPES.join(', ')}.`);
+  }
+  const need = {
+    contains: 'value',
+    regex: 'pattern',
+    json_schema: 'schema',
+    json_path: 'path',
+    judge: 'rubric'
+  }[assertion.type];
+  if (assertion[need] === undefined) {
+    throw new Error(`${where}: a "${assertion.type}" assertion needs "${need}".`);
+  }
+  if (assertion.type === 'json_path') {
+    if (!('equals' in assertion)) {
+      throw new Error(`${where}: a "json_path" assertion needs "equals".`);
+    }
+    parseJsonPath(assertion.path);
+  }
+  if (assertion.type === 'regex') {
+    try {
+      new RegExp(assertion.pattern, assertion.flags || '');
+    } catch (err) {
+      throw new Error(`${where}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * The JSON in a reply: the validated value when run parsed one, else the text
+ * parsed as JSON (a ```json fence around it is allowed).
+ */
+export function replyJson(result) {
+  if ('json' in result && result.json !== null) {
+    return { value: result.json, error: null };
+  }
+  const fenced = result.text.trim().match(/^```(?:json)?\s*\n([\s\S]*?)\n```$/);
+  try {
+    return { value: JSON.parse(fenced ? fenced[1] : result.text), error: null };
+  } catch (err) {
+    return { value: undefined, error: `the reply is not JSON (${err.message})` };
+  }
+}
+
+export async function checkAssertion(assertion, result, { judge } = {}) {
+  const outcome = await evaluate(assertion, result, judge);
+  if (assertion.not) {
+    return {
+      type: assertion.type,
+      pass: !outcome.pass,
+      message: outcome.pass ? `expected not: ${outcome.message}` : outcome.message
+    };
+  }
+  return { type: assertion.type, ...outcome };
+}
+
+async function evaluate(assertion, result, judge) {
+  const text = result.text;
+  switch (assertion.type) {
+    case 'contains': {
+      const values = Array.isArray(assertion.value) ? assertion.value : [assertion.value];
+      const haystack = assertion.ignore_case ? text.toLowerCase() : text;
+      const missing = values.filter(v => !haystack.includes(assertion.ignore_case ? String(v).toLowerCase() : String(v)));
+      return missing.length === 0
+        ? { pass: true, message: `contains ${values.map(v => JSON.stringify(v)).join(', ')}` }
+        : { pass: false, message: `does not contain ${missing.map(v => JSON.stringify(v)).join(', ')}` };
+    }
+    case 'regex': {
+      const re = new RegExp(assertion.pattern, assertion.flags || '');
+      return re.test(text)
+        ? { pass: true, message: `matches /${assertion.pattern}/` }
+        : { pass: false, message: `does not match /${assertion.pattern}/` };
+    }
+    case 'json_schema': {
+      const json = replyJson(result);
+      if (json.error) return { pass: false, message: json.error };
+      const check = validateJsonText(JSON.stringify(json.value), assertion.schema);
+      return check.valid
+        ? { pass: true, message: 'fits the JSON schema' }
+        : { pass: false, message: `does not fit the JSON schema: ${check.errors.join('; ')}` };
+    }
+    case 'json_path': {
+      const json = replyJson(result);
+      if (json.error) return { pass: false, message: json.error };
+      const found = lookupJsonPath(json.value, assertion.path);
+      if (!found.exists) {
+        return { pass: false, message: `${assertion.path} is missing` };
+      }
+      return isDeepStrictEqual(found.value, assertion.equals)
+        ? { pass: true, message: `${assertion.path} = ${JSON.stringify(assertion.equals)}` }
+        : { pass: false, message: `${assertion.path} is ${JSON.stringify(found.value)}, expected ${JSON.stringify(assertion.equals)}` };
+    }
+    case 'judge': {
+      const verdict = await judge(assertion.rubric, assertion.model || null);
+      return { pass: verdict.pass, message: `judge: ${verdict.reason}` };
+    }
+    default:
+      throw new Error(`Unknown assertion type: ${assertion.type}`);
+  }
+}
+
+/**
+ * Parse a JSON path of the form $.a.b[0]["c d"] (the leading "$." is
+ * optional) into keys and indexes.
+ */
+export function parseJsonPath(pathText) {
+  let rest = String(pathText).trim().replace(/^\$/, '');
+  const parts = [];
+  while (rest.length > 0) {
+    let m;
+    if ((m = rest.match(/^\.?([A-Za-z_$][\w$-]*)/))) {
+      parts.push(m[1]);
+    } else if ((m = rest.match(/^\[(\d+)\]/))) {
+      parts.push(Number(m[1]));
+    } else if ((m = rest.match(/^\[("(?:[^"\\]|\\.)*")\]/))) {
+      parts.push(JSON.parse(m[1]));
+    } else {
+      throw new Error(`Invalid JSON path "${pathText}" near "${rest}".`);
+    }
+    rest = rest.slice(m[0].length);
+  }
+  return parts;
+}
+
+export function lookupJsonPath(value, pathText) {
+  let current = value;
+  for (const part of parseJsonPath(pathText)) {
+    if (current === null || typeof current !== 'object' || !(part in current)) {
+      return { exists: false };
+    }
+    if (typeof part === 'number' && !Array.isArray(current)) {
+      return { exists: false };
+    }
+    current = current[part];
+  }
+  return { exists: true, value: current };
+}
@@ -10,6 +10,15 @@ Global Flags:
   --model <modelName>          (Default: "gpt-4o-mini" or config override)
   --port <number>              (Default: 5002 or config override)
   --hostname <name>            (Default: "localhost" or config override)
+  --profile <name>             (Default: $CHARM_PROFILE or config's "defaultProfile")
+  --scheme <http|https>        (Default: "http" or config override)
+  --base-url <url>             (Full server URL incl. prefix; overrides scheme/hostname/port/prefix)
+  --header "<Name>: <value>"   (Extra request header; may be repeated)
+  --ca-file <file>             (PEM CA bundle to trust for https)
+  --retries <n>                (Retries for idempotent requests; Default: 4)
+  --connect-timeout <seconds>  (Greater than 0; Default: 30)
+  --read-timeout <seconds>     (Time allowed for a complete response; greater than 0; Default: 600)
+  (API key: config "apiKey", the env var named by "apiKeyEnv", or $CHARM_API_KEY)
 
 Commands:
   run [flags] [<user message>]
@@ -24,13 +33,66 @@ Commands:
     --input-template-file <file>
     --input-param <name> <value>
     --input-param-file <name> <file>
+    --stream                     (Print the answer as it is generated)
+    --temperature <number>
+    --strict-templates           (Fail on template variables that are not set)
+    --prompt <name>              (Use a stored prompt; see "prompts")
+    --output-format text|json    (json: text, parsed JSON, model, usage, timing and the raw response)
+    --output <file>              (Write the result to a file instead of stdout)
+    --validation-attempts <n>    (Requests allowed to get JSON that parses and fits the schema; default 3)
+    --transcript <file.json>     (Continue from these messages: {"messages": [...]})
+    --save-transcript <file>     (Write the messages, with the new turn and reply, to a file)
+    --tools <file.json>          (Functions the model may call, run locally; see README "Tool calling")
+    --yes                        (Run tool calls without asking first)
+    --max-tool-rounds <n>        (Rounds of tool calls allowed before giving up; default 10)
+
+  run-batch <rows.jsonl|rows.csv> [flags] [run flags]
+    --output <results.jsonl>     (Default: <rows>.results.jsonl)
+    --key <field>                (Row field identifying a row; default "id", else the row number)
+    --concurrency <n>            (Requests in flight; default 4)
+    --rate <n>                   (At most n requests started per minute)
+    --format jsonl|csv           (Default: from the file extension)
+    (Each row's fields are template params; rows already "ok" in the output are skipped.)
+
+  compare --models <a,b,...> [flags] [run flags] [message]
+    --format text|markdown|json  (text: answers side by side; default text)
+    --output <file>              (Write the report to a file instead of stdout)
+    --judge <model>              (Have this model rank the answers)
+    --judge-criteria <text>      (Extra instructions for the judge)
+
+  eval <suite.json> [flags] [run flags]
+    --models <a,b,...>           (Models to test; default: the suite's "models", else the usual model)
+    --judge <model>              (Model for "judge" assertions without their own)
+    --concurrency <n>            (Cases in flight; default 4)
+    --report <file>              (Write a report: JUnit XML for *.xml, else JSON)
+    --report-format junit|json
+    --case <name>                (Run only this case; repeatable)
+    (Exit status 1 if any case fails.)
 
   chat [flags]
     --system <file>
+    --stream                     (Print answers as they are generated)
+    --session <name>             (Resume or start a saved session in ~/.config/charm/sessions)
+    --doc <file.doc.json>        (Answer from this document; repeatable)
+    --doc-chunk-group <name>     (Chunk group to retrieve from; default "pages")
+    --doc-token-budget <n>       (Max tokens of excerpts per question; default 4000)
+    --context-limit <n>          (Model context size in tokens; default 32000)
+    --keep-turns <n>             (Recent turns never summarized away; default 4)
     (Enters an interactive chat loop. Type "quit" or "exit" to stop.)
+    Slash commands inside the chat:
+      /model [name]  /system [file|off]  /attach <image>  /file <path>
+      /edit [text]  /retry  /undo  /save [file]  /clear  /compact  /tokens  /help
+    Put """ on its own line before and after a multi-line message; pasted
+    text is kept together and sent with the next Enter.
 
-  transcribe <file>.pdf|.docx|batch.txt [flags]
+  transcribe <file|directory>... | <batch.txt> --batch [flags]
     --output <file>
+    --output-dir <dir>           (Write outputs here, mirroring the inputs' directory layout)
+    --include <glob>             (Directories: files to take; repeatable; default *.pdf, *.docx)
+    --exclude <glob>             (Directories: files or directories to leave out; repeatable)
+    --no-recursive               (Directories: do not descend into subdirectories)
+    --manifest <file>            (Batch manifest location; see README "Manifest and resuming")
+    --pages <ranges>             (A single PDF: only these pages, e.g. 3-7,12; default output <file>.p3-7,12.doc.json)
     --description <string>
     --intent <string>
     --graphic-instructions <str>
@@ -42,6 +104,28 @@ Commands:
     --output-format <doc.json|md>
     --input-document-type <medical>
     --batch
+    --jobs <n>                   (Batch: files converted at once; default 1)
+    --max-pages-in-flight <n>    (Batch: hold new files while running jobs have this many pages left)
+    --force                      (Batch: transcribe files the manifest says are done)
+    --retry-failed               (Batch: redo files that only have a failure placeholder)
+    --no-wait                    (Submit, print the job id and exit)
+    --no-wait-json               (Like --no-wait, printing the job as JSON)
+
+  retranscribe <doc.json> [flags]
+    --pages <ranges>             (Pages to redo, e.g. 3-7,12)
+    --failed                     (Redo the pages that failed to transcribe)
+    --source <pdf>               (Default: the PDF beside the doc.json)
+    --output <file>              (Default: rewrite the doc.json in place)
+    --description <string>
+    --intent <string>
+    --graphic-instructions <str>
+    --input-document-type <medical>
+    --no-page-numbering
+    --ocr-threshold <float>
+    --poll-interval <seconds>
+    --no-wait
+    --no-wait-json
+    (Redone pages replace the old ones by page number; the global --model picks the model.)
 
   extract-markdown <file> [flags]
     --output <file>
@@ -57,6 +141,8 @@ Commands:
     --inline
     --output <file>
     --poll-interval <seconds>
+    --no-wait
+    --no-wait-json
 
   summarize [flags]
     --input <doc.json>
@@ -78,6 +164,8 @@ Commands:
     --inline
     --output-file <path>
     --poll-interval <seconds>
+    --no-wait
+    --no-wait-json
 
   list
     (Lists available models from the server.)
@@ -93,8 +181,34 @@ Commands:
     (Converts files between formats. Use --to flag for auto-naming or specify output file.)
     (Supported conversions: .doc.json -> .md, .docx -> .md)
 
+  jobs <subcommand> [<job-id>] [flags]
+    list [--status <status>] [--json]
+    status <job-id> [--json]
+    wait <job-id> [--poll-interval <seconds>]
+    result <job-id> [--output <file>] [--poll-interval <seconds>]
+    collect [--kind <kind>] [--wait] [--poll-interval <seconds>]
+    cancel <job-id>
+    forget <job-id>
+    (Manages transcribe/retranscribe/chunk/summarize/convert jobs recorded in ~/.config/charm/jobs.json.
+     Job ids may be abbreviated to a unique prefix.
+     Ctrl-C while transcribe/chunk/summarize/convert waits offers to cancel or detach the job.)
+
+  sessions <subcommand> [<name>] [flags]
+    list
+    show <name>
+    delete <name>
+    export <name> [--format md|json] [--output <file>]
+
+  prompts <subcommand> [<name>] [flags]
+    list
+    show <name>
+    new <name> [--project] [--description <text>] [--model <name>]
+               [--system-file <file>] [--input-file <file>] [--schema-file <file>] [--force]
+    (Prompts live in ~/.config/charm/prompts and in a project's .charm/prompts.)
+
 Examples:
   charm run "Hello"
+  charm --profile staging list
   charm run --attach cat.png "Here's my cat!"
   charm --model gpt-4o run --system system.md --force-response-format json_object "Time?"
   charm transcribe mydoc.pdf --description "A PDF doc" --poll-interval 5
@@ -104,6 +218,19 @@ Examples:
   charm extract-markdown sample.pdf
   charm convert-server-config /path/to/charmonator/server/config.json
   charm chat --system system.md
+  charm run --stream --input-file long-question.md
+  charm run --output-format json --force-response-format json_object "List three colors" | jq .json
+  charm chat --session case-review
+  charm chat --doc records.doc.json --doc-chunk-group sections
+  charm --model gpt-4o chat --session case-review
+  charm sessions export case-review --output case-review.md
+  charm prompts new note-summary --project --schema-file summary.schema.json
+  charm run --prompt note-summary --input-param-file text note.txt
+  charm run --transcript conv.json --save-transcript conv.json "And the dosage?"
+  charm run --tools tools.json "How many visits are in records/2024?"
+  charm compare --models gpt-4o,gpt-4o-mini --judge gpt-4o --prompt note-summary --input-param-file text note.txt
+  charm eval evals/note-summary.json --models gpt-4o,gpt-4o-mini --report eval-results.xml
+  charm run-batch notes.csv --prompt note-summary --concurrency 8 --rate 120
   charm chunk --input mydoc.doc.json --strategy merge_and_split --chunk-size 1000
   charm summarize --input mydoc.doc.json --method map ...
   charm list
@@ -111,5 +238,14 @@ Examples:
   charm convert document.doc.json output.md
   charm convert document.doc.json --to md
   charm convert document.docx --to md
+  charm transcribe /mnt/evidence --output-dir ~/transcripts --exclude 'drafts/**' --jobs 4
+  charm transcribe batch-files.txt --batch --jobs 8 --max-pages-in-flight 400 --continue-on-failure
+  charm transcribe batch-files.txt --batch --no-wait
+  charm transcribe long.pdf --pages 3-7,12
+  charm --model gpt-4o retranscribe long.pdf.doc.json --failed
+  charm retranscribe long.pdf.doc.json --pages 12 --graphic-instructions "Transcribe the table cell by cell."
+  charm jobs collect
+  charm jobs list --status submitted
+  charm jobs result 3f2a --output mydoc.doc.json
 `);
 }
@@ -0,0 +1,149 @@
+/* input-files.mjs */
+
+import fs from 'fs';
+import path from 'path';
+
+/*
+ * Expanding transcribe's positional arguments (files and directories) into a
+ * list of files, with include/exclude globs for directory walks.
+ *
+ * Globs use "/" separators and are matched against the path relative to the
+ * directory being walked: "*" and "?" stay within a path segment, "**" spans
+ * segments, and "{a,b}" and "[...]" work as in a shell.  A pattern without a
+ * "/" is matched against the file name alone.
+ */
+
+// Either case of extension, as the server accepts both.
+export const DEFAULT_INCLUDE = ['*.[pP][dD][fF]', '*.[dD][oO][cC][xX]'];
+
+/** Compile a glob to a RegExp over relative posix paths. */
+export function globToRegExp(glob) {
+  let re = '';
+  let inGroup = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories; a bare "**" anything.
+        if (glob[i + 2] === '/') {
+          re += '(?:.*/)?';
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        re += '\\[';
+      } else {
+        let cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+        re += `[${cls}]`;
+        i = end;
+      }
+    } else if (c === '{') {
+      inGroup++;
+      re += '(?:';
+    } else if (c === '}' && inGroup > 0) {
+      inGroup--;
+      re += ')';
+    } else if (c === ',' && inGroup > 0) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+function compileGlobs(globs) {
+  return globs.map(glob => ({ nameOnly: !glob.includes('/'), re: globToRegExp(glob.replace(/^\.\//, '')) }));
+}
+
+function matchesAny(compiled, relPath) {
+  const name = relPath.slice(relPath.lastIndexOf('/') + 1);
+  return compiled.some(g => g.re.test(g.nameOnly ? name : relPath));
+}
+
+/**
+ * Expand inputs into a list of files, in a stable order.  Files given
+ * directly are always included; directory entries
+ * must match an include glob and no exclude glob.  Directories in skipDirs
+ * (absolute paths) are not entered.  Throws if an input does not exist.
+ */
+export function expandInputs(inputs, { include = DEFAULT_INCLUDE, exclude = [], recursive = true, skipDirs = [] } = {}) {
+  const includes = compileGlobs(include);
+  const excludes = compileGlobs(exclude);
+  const skip = new Set(skipDirs.map(d => path.resolve(d)));
+  const seen = new Set();
+  const found = [];
+
+  const add = file => {
+    const key = path.resolve(file);
+    if (seen.has(key)) return;
+    seen.add(key);
+    found.push(file);
+  };
+
+  function walk(dir, rel) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+      let isDir = entry.isDirectory();
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        try {
+          const stat = fs.statSync(full);
+          isDir = stat.isDirectory();
+          isFile = stat.isFile();
+        } catch {
+          continue; // dangling link
+        }
+      }
+      if (isDir) {
+        if (recursive && !skip.has(path.resolve(full)) && !matchesAny(excludes, relPath)) {
+          walk(full, relPath);
+        }
+      } else if (isFile && matchesAny(includes, relPath) && !matchesAny(excludes, relPath)) {
+        add(full);
+      }
+    }
+  }
+
+  for (const input of inputs) {
+    let stat;
+    try {
+      stat = fs.statSync(input);
+    } catch {
+      throw new Error(`No such file or directory: ${input}`);
+    }
+    if (stat.isDirectory()) {
+      walk(input, '');
+    } else {
+      add(input);
+    }
+  }
+  return found;
+}
+
+/** The deepest directory containing every given path (directories count as themselves). */
+export function commonBaseDir(paths) {
+  if (paths.length === 0) return process.cwd();
+  const split = paths.map(p => path.resolve(p).split(path.sep));
+  const first = split[0];
+  let length = first.length;
+  for (const parts of split.slice(1)) {
+    let i = 0;
+    while (i < length && i < parts.length && parts[i] === first[i]) i++;
+    length = i;
+  }
+  return first.slice(0, length).join(path.sep) || path.sep;
+}
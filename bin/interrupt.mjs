@@ -0,0 +1,147 @@
+/* interrupt.mjs */
+
+import readline from 'readline';
+import { apiRequest } from './client.mjs';
+import { updateJob } from './ledger.mjs';
+import { questionAsync } from './utils.mjs';
+
+/*
+ * Ctrl-C / SIGTERM handling for commands that wait on server jobs.
+ *
+ * While a job is tracked, SIGINT asks whether to cancel it on the server,
+ * detach (leave it running and resume later with "charm jobs result"), or
+ * keep waiting.  SIGTERM, or SIGINT without a terminal, detaches.  Registered
+ * checkpoint writers run before the process exits either way.
+ */
+
+const activeJobs = new Map();      // job_id -> { globalFlags, entry }
+const checkpointWriters = new Set();
+let installed = false;
+let prompting = false;
+
+function install() {
+  if (installed) return;
+  installed = true;
+  process.on('SIGINT', () => handleSignal('SIGINT'));
+  process.on('SIGTERM', () => handleSignal('SIGTERM'));
+}
+
+/** Track a submitted job (its ledger entry) until untrackJob() is called. */
+export function trackJob(globalFlags, entry) {
+  install();
+  activeJobs.set(entry.job_id, { globalFlags, entry });
+}
+
+export function untrackJob(jobId) {
+  activeJobs.delete(jobId);
+}
+
+/**
+ * Register fn(reason) to persist progress when the process is interrupted;
+ * reason is 'cancelled' or 'detached'.  Returns a function that unregisters it.
+ */
+export function onInterruptCheckpoint(fn) {
+  install();
+  checkpointWriters.add(fn);
+  return () => checkpointWriters.delete(fn);
+}
+
+/** Ledger entries of the jobs currently being waited on. */
+export function activeJobEntries() {
+  return [...activeJobs.values()].map(j => j.entry);
+}
+
+async function askChoice() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    // While readline has the terminal, a second Ctrl-C reaches it rather than
+    // the process: treat it as "detach".
+    const secondInterrupt = new Promise(resolve => rl.once('SIGINT', () => resolve(null)));
+    const answer = await Promise.race([
+      questionAsync(rl, '\n[c]ancel the remote job(s), [d]etach and resume later, or [k]eep waiting? [d]: '),
+      secondInterrupt
+    ]);
+    if (answer === null) {
+      process.stderr.write('\n');
+      return 'detach';
+    }
+    const choice = answer.trim().toLowerCase();
+    if (choice.startsWith('c')) return 'cancel';
+    if (choice.startsWith('k')) return 'keep';
+    return 'detach';
+  } finally {
+    rl.close();
+  }
+}
+
+async function cancelJobs(jobs) {
+  for (const { globalFlags, entry } of jobs) {
+    try {
+      await apiRequest({ ...globalFlags, retries: 1 }, `${entry.jobs_path}/${entry.job_id}`, { method: 'DELETE' });
+      updateJob(entry.job_id, { status: 'cancelled' });
+      console.error(`Cancelled job ${entry.job_id}.`);
+    } catch (err) {
+      console.error(`[WARN] Could not cancel job ${entry.job_id}: ${err.message}`);
+      console.error(`       It is still recorded; try "charm jobs cancel ${entry.job_id}".`);
+    }
+  }
+}
+
+function detachJobs(jobs) {
+  for (const { entry } of jobs) {
+    updateJob(entry.job_id, { detached_at: new Date().toISOString() });
+    console.error(`Detached job ${entry.job_id} (${entry.kind} ${entry.input || ''}).`);
+    console.error(`  Resume with: charm jobs result ${entry.job_id}`);
+  }
+}
+
+function writeCheckpoints(reason) {
+  for (const fn of checkpointWriters) {
+    try {
+      fn(reason);
+    } catch (err) {
+      console.error(`[WARN] Could not write checkpoint: ${err.message}`);
+    }
+  }
+}
+
+async function handleSignal(signal) {
+  const exitCode = signal === 'SIGINT' ? 130 : 143;
+  if (prompting) {
+    // A signal while asking (SIGTERM; a second Ctrl-C goes to the prompt):
+    // leave the jobs running, as recorded in the ledger.
+    detachJobs([...activeJobs.values()]);
+    writeCheckpoints('detached');
+    process.exit(exitCode);
+  }
+
+  if (activeJobs.size === 0) {
+    writeCheckpoints('cancelled');
+    process.exit(exitCode);
+  }
+
+  let choice = 'detach';
+  if (signal === 'SIGINT' && process.stdin.isTTY) {
+    prompting = true;
+    try {
+      choice = await askChoice();
+    } finally {
+      prompting = false;
+    }
+  }
+  if (choice === 'keep') {
+    console.error('Continuing to wait...');
+    return;
+  }
+
+  // The job may have finished while we were asking; act on whatever is still in flight.
+  const jobs = [...activeJobs.values()];
+  if (choice === 'cancel') {
+    await cancelJobs(jobs);
+    writeCheckpoints('cancelled');
+  } else {
+    detachJobs(jobs);
+    writeCheckpoints('detached');
+  }
+  process.exit(exitCode);
+}
@@ -0,0 +1,61 @@
+/* json-schema.mjs */
+
+import Ajv from 'ajv';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+/*
+ * Local JSON-schema validation of model output (draft-07 by default, 2020-12
+ * when the schema's $schema says so).
+ */
+
+const compiled = new WeakMap();
+
+/** Compile (and cache) a schema; throws if the schema itself is invalid. */
+export function compileSchema(schema) {
+  if (compiled.has(schema)) {
+    return compiled.get(schema);
+  }
+  const AjvClass = /2020-12/.test(schema.$schema || '') ? Ajv2020 : Ajv;
+  const ajv = new AjvClass({ allErrors: true, strict: false });
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } catch (err) {
+    throw new Error(`Invalid JSON schema: ${err.message}`);
+  }
+  compiled.set(schema, validate);
+  return validate;
+}
+
+function describeError(e) {
+  const where = e.instancePath || '(root)';
+  let detail = e.message;
+  if (e.keyword === 'additionalProperties') {
+    detail += ` ("${e.params.additionalProperty}")`;
+  } else if (e.keyword === 'enum') {
+    detail += ` (${e.params.allowedValues.map(v => JSON.stringify(v)).join(', ')})`;
+  }
+  return `${where}: ${detail}`;
+}
+
+/**
+ * Parse text as JSON and, if a schema is given, validate it.  Returns
+ *   { valid, value, errors: [string], parseError }
+ * where value is the parsed JSON (null if it did not parse).
+ */
+export function validateJsonText(text, schema = null) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return { valid: false, value: null, errors: [`not valid JSON: ${err.message}`], parseError: err.message };
+  }
+  if (!schema) {
+    return { valid: true, value, errors: [], parseError: null };
+  }
+  const validate = compileSchema(schema);
+  if (validate(value)) {
+    return { valid: true, value, errors: [], parseError: null };
+  }
+  return { valid: false, value, errors: validate.errors.map(describeError), parseError: null };
+}
@@ -0,0 +1,138 @@
+/* ledger.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import { charmConfigDir } from './config.mjs';
+import { serverBaseUrl } from './client.mjs';
+
+/*
+ * Local ledger of charmonizer jobs submitted by this machine, kept in
+ * ~/.config/charm/jobs.json so that a job outlives the terminal that started it.
+ *
+ * Each entry:
+ *   job_id, kind ('transcribe' | 'chunk' | 'summarize' | 'convert'),
+ *   jobs_path (the charmonizer collection the job lives in),
+ *   input, output, profile, server (base URL at submission time),
+ *   status ('submitted' | 'complete' | 'failed' | 'collected' | 'cancelled'),
+ *   submitted_at, updated_at, error, and
+ *   finish (kind-specific options needed to write the result).
+ */
+
+export function ledgerPath() {
+  return path.join(charmConfigDir(), 'jobs.json');
+}
+
+export function loadLedger() {
+  const p = ledgerPath();
+  if (!fs.existsSync(p)) {
+    return [];
+  }
+  let problem;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(p, 'utf-8'));
+    if (parsed && Array.isArray(parsed.jobs)) {
+      return parsed.jobs;
+    }
+    problem = 'no "jobs" list';
+  } catch (err) {
+    problem = err.message;
+  }
+  // Move the bad ledger aside rather than let the next save overwrite it.
+  const aside = fs.existsSync(`${p}.corrupt`) ? `${p}.corrupt-${Date.now()}` : `${p}.corrupt`;
+  try {
+    fs.renameSync(p, aside);
+  } catch (err) {
+    console.error(`[ERROR] Could not read job ledger at ${p} (${problem}), nor move it aside: ${err.message}`);
+    process.exit(1);
+  }
+  console.warn(`[WARN] Could not read job ledger at ${p} (${problem}); moved it to ${aside} and started a new one.`);
+  return [];
+}
+
+function saveLedger(jobs) {
+  const p = ledgerPath();
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ jobs }, null, 2), 'utf-8');
+  fs.renameSync(tmp, p);
+}
+
+/**
+ * Add a freshly submitted job.  Failures to write the ledger only warn: losing
+ * the record must never abort the job itself.
+ */
+export function recordJob(globalFlags, { jobId, kind, jobsPath, input, output, finish = {} }) {
+  const now = new Date().toISOString();
+  const entry = {
+    job_id: jobId,
+    kind,
+    jobs_path: jobsPath,
+    input: input ? path.resolve(input) : null,
+    output: output ? path.resolve(output) : null,
+    profile: globalFlags.profile || null,
+    server: serverBaseUrl(globalFlags),
+    model: globalFlags.model,
+    status: 'submitted',
+    submitted_at: now,
+    updated_at: now,
+    finish
+  };
+  try {
+    const jobs = loadLedger().filter(j => j.job_id !== jobId);
+    jobs.push(entry);
+    saveLedger(jobs);
+  } catch (err) {
+    console.warn(`[WARN] Could not record job ${jobId} in ${ledgerPath()}:`, err.message);
+  }
+  return entry;
+}
+
+/** Merge `changes` into a job's entry; unknown ids are ignored. */
+export function updateJob(jobId, changes) {
+  try {
+    const jobs = loadLedger();
+    const entry = jobs.find(j => j.job_id === jobId);
+    if (!entry) return null;
+    Object.assign(entry, changes, { updated_at: new Date().toISOString() });
+    saveLedger(jobs);
+    return entry;
+  } catch (err) {
+    console.warn(`[WARN] Could not update job ${jobId} in ${ledgerPath()}:`, err.message);
+    return null;
+  }
+}
+
+export function removeJob(jobId) {
+  saveLedger(loadLedger().filter(j => j.job_id !== jobId));
+}
+
+/** Look up a job by id or unique id prefix; throws when none or several match. */
+export function findJob(idOrPrefix) {
+  const jobs = loadLedger();
+  const exact = jobs.find(j => j.job_id === idOrPrefix);
+  if (exact) return exact;
+  const matches = jobs.filter(j => j.job_id.startsWith(idOrPrefix));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) {
+    throw new Error(`No job matching "${idOrPrefix}" in ${ledgerPath()}.`);
+  }
+  throw new Error(`"${idOrPrefix}" is ambiguous: ${matches.map(j => j.job_id).join(', ')}`);
+}
+
+/**
+ * Report a job submitted with --no-wait: just the job id on stdout (so it can
+ * be captured by a script), or the ledger entry as one line of JSON.
+ */
+export function printDetachedJob(entry, asJson) {
+  if (asJson) {
+    console.log(JSON.stringify({
+      job_id: entry.job_id,
+      kind: entry.kind,
+      input: entry.input,
+      output: entry.output,
+      profile: entry.profile
+    }));
+  } else {
+    console.log(entry.job_id);
+  }
+}
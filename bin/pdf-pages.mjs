@@ -0,0 +1,166 @@
+/* pdf-pages.mjs */
+
+import { PDFDocument } from 'pdf-lib';
+
+/*
+ * Transcribing part of a PDF: page range specs ("3-7,12"), cutting the
+ * chosen pages out into a smaller PDF, and fitting the transcription of that
+ * smaller PDF back into the numbering of the original.
+ *
+ * A transcription's pages live in chunks.pages, one chunk per page with
+ * metadata.page_number (1-based).  Failed pages are placeholders with
+ * text_extraction_method "error_placeholder" and transcription_failed.
+ */
+
+/** Parse "3-7,12" into sorted, unique 1-based page numbers. */
+export function parsePageRanges(spec) {
+  const pages = new Set();
+  for (const part of String(spec || '').split(',').map(p => p.trim())) {
+    let m;
+    if ((m = part.match(/^(\d+)$/))) {
+      pages.add(Number(m[1]));
+    } else if ((m = part.match(/^(\d+)\s*-\s*(\d+)$/)) && Number(m[1]) <= Number(m[2])) {
+      for (let n = Number(m[1]); n <= Number(m[2]); n++) pages.add(n);
+    } else {
+      throw new Error(`Invalid page range "${part}" in "${spec}" (expected e.g. 3-7,12).`);
+    }
+  }
+  if (pages.has(0)) {
+    throw new Error(`Invalid page range "${spec}": pages are numbered from 1.`);
+  }
+  return [...pages].sort((a, b) => a - b);
+}
+
+/** The inverse of parsePageRanges: [3,4,5,6,7,12] -> "3-7,12". */
+export function formatPageRanges(pages) {
+  const parts = [];
+  for (let i = 0; i < pages.length; i++) {
+    let j = i;
+    while (j + 1 < pages.length && pages[j + 1] === pages[j] + 1) j++;
+    parts.push(j > i ? `${pages[i]}-${pages[j]}` : String(pages[i]));
+    i = j;
+  }
+  return parts.join(',');
+}
+
+export async function pdfPageCount(buffer) {
+  const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  return pdf.getPageCount();
+}
+
+/** A new PDF holding only the given pages, in order.  Throws if one is past the end. */
+export async function extractPdfPages(buffer, pages) {
+  const source = await PDFDocument.load(buffer, { ignoreEncryption: true });
+  const count = source.getPageCount();
+  const beyond = pages.filter(n => n > count);
+  if (beyond.length > 0) {
+    throw new Error(`Page ${formatPageRanges(beyond)} is beyond the end of the document (${count} pages).`);
+  }
+  const subset = await PDFDocument.create();
+  const copied = await subset.copyPages(source, pages.map(n => n - 1));
+  copied.forEach(page => subset.addPage(page));
+  return Buffer.from(await subset.save());
+}
+
+export function isFailedPage(page) {
+  const meta = page.metadata || {};
+  return meta.text_extraction_method === 'error_placeholder' || meta.transcription_failed === true;
+}
+
+/**
+ * Give the pages of a subset's transcription the page numbers they have in
+ * the original (the i-th page transcribed becomes pages[i]).  A failure
+ * placeholder standing in for the whole subset takes the first page number.
+ */
+export function renumberPages(subsetDoc, pages) {
+  const chunks = (subsetDoc.chunks && subsetDoc.chunks.pages) || [];
+  if (chunks.length === 1 && isFailedPage(chunks[0])) {
+    chunks[0].metadata.page_number = pages[0];
+    return subsetDoc;
+  }
+  if (chunks.length !== pages.length) {
+    throw new Error(`Expected ${pages.length} transcribed pages but the server returned ${chunks.length}.`);
+  }
+  chunks.forEach((chunk, i) => {
+    chunk.metadata = { ...chunk.metadata, page_number: pages[i] };
+  });
+  return subsetDoc;
+}
+
+/**
+ * Make a subset's transcription stand for the original document: its id,
+ * hash and size become the original's, and metadata.pages_transcribed lists
+ * the pages it covers.
+ */
+export function adoptSubsetDoc(subsetDoc, pages, original) {
+  subsetDoc.id = original.sha256;
+  subsetDoc.metadata = {
+    ...subsetDoc.metadata,
+    document_sha256: original.sha256,
+    size_bytes: original.size,
+    originating_filename: original.filename,
+    pages_transcribed: pages
+  };
+  for (const chunk of (subsetDoc.chunks && subsetDoc.chunks.pages) || []) {
+    chunk.parent = original.sha256;
+    fixPageOrigin(chunk, original);
+  }
+  return rebuildPages(subsetDoc);
+}
+
+/**
+ * Replace pages of doc with the (renumbered) pages of redoneDoc, matching on
+ * page_number; pages the doc lacked are added.  Returns the page numbers
+ * spliced in.
+ */
+export function splicePages(doc, redoneDoc, original) {
+  doc.chunks = doc.chunks || {};
+  const byNumber = new Map();
+  for (const chunk of doc.chunks.pages || []) {
+    byNumber.set(chunk.metadata && chunk.metadata.page_number, chunk);
+  }
+  const spliced = [];
+  for (const chunk of redoneDoc.chunks.pages) {
+    const number = chunk.metadata.page_number;
+    chunk.parent = doc.id;
+    fixPageOrigin(chunk, original);
+    byNumber.set(number, chunk);
+    spliced.push(number);
+  }
+  doc.chunks.pages = [...byNumber.values()];
+  rebuildPages(doc);
+  return spliced;
+}
+
+// Pages transcribed from a subset name the subset as their source file.
+function fixPageOrigin(chunk, original) {
+  const meta = chunk.metadata || {};
+  if ('originating_filename' in meta) meta.originating_filename = original.filename;
+  if ('originating_file_sha256' in meta) meta.originating_file_sha256 = original.sha256;
+  if ('isFirstPage' in meta) meta.isFirstPage = meta.page_number === 1;
+}
+
+/**
+ * Sort the pages by page_number and rebuild what depends on their order:
+ * the top-level content (pages joined by blank lines), each page's start and
+ * length within it, and page ids of the form <doc>/pages@<index>.
+ */
+export function rebuildPages(doc) {
+  const pages = doc.chunks.pages;
+  const number = page => (page.metadata && page.metadata.page_number) || 0;
+  pages.sort((a, b) => number(a) - number(b));
+  let offset = 0;
+  pages.forEach((page, i) => {
+    if (typeof page.id !== 'string' || /\/pages@\d+$/.test(page.id)) {
+      page.id = `${doc.id}/pages@${i}`;
+    }
+    const content = page.content || '';
+    if ('start' in page || 'length' in page) {
+      page.start = offset;
+      page.length = content.length;
+    }
+    offset += content.length + 2;
+  });
+  doc.content = pages.map(p => p.content || '').join('\n\n');
+  return doc;
+}
@@ -0,0 +1,165 @@
+/* prompts.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import { charmConfigDir } from './config.mjs';
+import { loadTemplate } from './template.mjs';
+
+/*
+ * The prompt library.  Each prompt is a directory holding a prompt.json
+ * manifest and the files it names:
+ *
+ *   {
+ *     "description": "Summarize a clinical note",
+ *     "model": "gpt-4o",              (optional)
+ *     "temperature": 0.2,             (optional)
+ *     "system": "system.md",          (optional system template)
+ *     "input": "input.md",            (optional input template)
+ *     "params": { "tone": "concise" },(defaults for both templates)
+ *     "response_schema": "schema.json" (optional; a file or an inline schema)
+ *   }
+ *
+ * Prompts live in ~/.config/charm/prompts/<name>/ and, for a project, in
+ * .charm/prompts/<name>/ in the current directory or one of its parents.
+ * A project prompt hides a user prompt of the same name.
+ */
+
+export const MANIFEST = 'prompt.json';
+
+export function userPromptsDir() {
+  return path.join(charmConfigDir(), 'prompts');
+}
+
+/** The nearest .charm/prompts directory at or above `from`, or null. */
+export function projectPromptsDir(from = process.cwd()) {
+  let dir = path.resolve(from);
+  while (true) {
+    const candidate = path.join(dir, '.charm', 'prompts');
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+export function validatePromptName(name) {
+  if (!name || !/^[A-Za-z0-9._-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid prompt name "${name}". Use letters, digits, ".", "_" and "-".`);
+  }
+}
+
+// Search order: project first, then user.
+function storeDirs() {
+  const dirs = [];
+  const project = projectPromptsDir();
+  if (project) dirs.push({ scope: 'project', dir: project });
+  dirs.push({ scope: 'user', dir: userPromptsDir() });
+  return dirs;
+}
+
+function readPrompt(name, scope, dir) {
+  const promptDir = path.join(dir, name);
+  const manifestPath = path.join(promptDir, MANIFEST);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read ${manifestPath}: ${err.message}`);
+  }
+  const resolve = file => (file ? path.resolve(promptDir, file) : null);
+  return {
+    name,
+    scope,
+    dir: promptDir,
+    manifest,
+    description: manifest.description || '',
+    model: manifest.model || null,
+    temperature: manifest.temperature ?? null,
+    systemTemplate: resolve(manifest.system),
+    inputTemplate: resolve(manifest.input),
+    params: manifest.params || {},
+    responseSchema: manifest.response_schema ?? null
+  };
+}
+
+/** Load a prompt by name, or throw if no store has it. */
+export function loadPrompt(name) {
+  validatePromptName(name);
+  for (const { scope, dir } of storeDirs()) {
+    if (fs.existsSync(path.join(dir, name, MANIFEST))) {
+      return readPrompt(name, scope, dir);
+    }
+  }
+  throw new Error(`No prompt named "${name}" in ${storeDirs().map(s => s.dir).join(' or ')}.`);
+}
+
+/** The prompt's response schema as an object, or null. */
+export function promptResponseSchema(prompt) {
+  const schema = prompt.responseSchema;
+  if (schema === null || typeof schema === 'object') {
+    return schema;
+  }
+  const schemaPath = path.resolve(prompt.dir, String(schema));
+  try {
+    return JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read response schema ${schemaPath}: ${err.message}`);
+  }
+}
+
+/** Parameters the prompt's templates list as required in their front-matter. */
+export function promptRequiredParams(prompt) {
+  const required = new Set();
+  for (const file of [prompt.systemTemplate, prompt.inputTemplate]) {
+    if (!file) continue;
+    for (const name of loadTemplate(file).frontMatter.required || []) {
+      required.add(name);
+    }
+  }
+  return [...required];
+}
+
+/** All prompts, project ones first; shadowed user prompts are marked. */
+export function listPrompts() {
+  const prompts = [];
+  const seen = new Set();
+  for (const { scope, dir } of storeDirs()) {
+    if (!fs.existsSync(dir)) continue;
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!fs.existsSync(path.join(dir, name, MANIFEST))) continue;
+      try {
+        const prompt = readPrompt(name, scope, dir);
+        prompt.shadowed = seen.has(name);
+        prompts.push(prompt);
+      } catch (err) {
+        console.warn(`[WARN] Skipping unreadable prompt ${name}: ${err.message}`);
+      }
+      seen.add(name);
+    }
+  }
+  return prompts;
+}
+
+/**
+ * Create a prompt directory.  files maps file names to contents; the
+ * manifest is written as prompt.json.  Returns the new directory.
+ */
+export function createPrompt(name, { project = false, manifest, files = {}, force = false }) {
+  validatePromptName(name);
+  let root = userPromptsDir();
+  if (project) {
+    root = projectPromptsDir() || path.join(process.cwd(), '.charm', 'prompts');
+  }
+  const promptDir = path.join(root, name);
+  if (fs.existsSync(path.join(promptDir, MANIFEST)) && !force) {
+    throw new Error(`Prompt "${name}" already exists in ${promptDir} (use --force to overwrite).`);
+  }
+  fs.mkdirSync(promptDir, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(promptDir, file), content, 'utf-8');
+  }
+  fs.writeFileSync(path.join(promptDir, MANIFEST), JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+  return promptDir;
+}
@@ -0,0 +1,99 @@
+/* rows.mjs */
+
+import fs from 'fs';
+import path from 'path';
+
+/*
+ * Input rows for batch commands: JSON Lines (one object per line) or CSV
+ * with a header row.  Every row is returned as a plain object.
+ */
+
+/** "jsonl" or "csv", from the file extension. */
+export function rowsFormatFor(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  return null;
+}
+
+/** Read rows from a file; throws with the offending line on malformed input. */
+export function readRows(file, format = rowsFormatFor(file)) {
+  const text = fs.readFileSync(file, 'utf-8');
+  if (format === 'csv') return parseCsv(text, file);
+  if (format === 'jsonl') return parseJsonl(text, file);
+  throw new Error(`Cannot tell the format of ${file}; use --format jsonl|csv.`);
+}
+
+function parseJsonl(text, file) {
+  const rows = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: invalid JSON: ${err.message}`);
+    }
+    if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`${file}:${i + 1}: each line must be a JSON object`);
+    }
+    rows.push(row);
+  });
+  return rows;
+}
+
+/** RFC 4180 CSV: quoted fields may hold commas, quotes ("") and newlines. */
+export function parseCsv(text, file = 'CSV') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      line++;
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) {
+    throw new Error(`${file}:${line}: unterminated quoted field`);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => !(r.length === 1 && r[0] === ''));
+  if (nonEmpty.length === 0) return [];
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map((values, i) => {
+    if (values.length !== header.length) {
+      throw new Error(`${file}: row ${i + 2} has ${values.length} fields; the header has ${header.length}`);
+    }
+    return Object.fromEntries(header.map((h, j) => [h, values[j]]));
+  });
+}
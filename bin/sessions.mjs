@@ -0,0 +1,96 @@
+/* sessions.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import { charmConfigDir } from './config.mjs';
+
+/*
+ * Saved chat sessions, one JSON file per session in ~/.config/charm/sessions:
+ *   { name, model, models_used, system, summary, transcript: { messages }, created_at, updated_at }
+ * The transcript is exactly what is sent to /transcript/extension; summary
+ * holds turns that were folded out of it to fit the context window.
+ */
+
+export function sessionsDir() {
+  return path.join(charmConfigDir(), 'sessions');
+}
+
+export function validateSessionName(name) {
+  if (!name || !/^[A-Za-z0-9._-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid session name "${name}". Use letters, digits, ".", "_" and "-".`);
+  }
+}
+
+export function sessionPath(name) {
+  validateSessionName(name);
+  return path.join(sessionsDir(), `${name}.json`);
+}
+
+export function sessionExists(name) {
+  return fs.existsSync(sessionPath(name));
+}
+
+/** Load a session, or throw if it does not exist or cannot be parsed. */
+export function loadSession(name) {
+  const p = sessionPath(name);
+  if (!fs.existsSync(p)) {
+    throw new Error(`No session named "${name}" in ${sessionsDir()}.`);
+  }
+  const session = JSON.parse(fs.readFileSync(p, 'utf-8'));
+  session.transcript = session.transcript || { messages: [] };
+  session.models_used = session.models_used || (session.model ? [session.model] : []);
+  return session;
+}
+
+export function newSession(name, { model, system }) {
+  validateSessionName(name);
+  const now = new Date().toISOString();
+  return {
+    name,
+    model,
+    models_used: model ? [model] : [],
+    system: system || null,
+    summary: null,
+    transcript: { messages: [] },
+    created_at: now,
+    updated_at: now
+  };
+}
+
+export function saveSession(session) {
+  const p = sessionPath(session.name);
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  session.updated_at = new Date().toISOString();
+  if (session.model && !session.models_used.includes(session.model)) {
+    session.models_used.push(session.model);
+  }
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(session, null, 2), 'utf-8');
+  fs.renameSync(tmp, p);
+}
+
+export function deleteSession(name) {
+  const p = sessionPath(name);
+  if (!fs.existsSync(p)) {
+    throw new Error(`No session named "${name}" in ${sessionsDir()}.`);
+  }
+  fs.unlinkSync(p);
+}
+
+/** All saved sessions, most recently updated first. */
+export function listSessions() {
+  const dir = sessionsDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const sessions = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      sessions.push(loadSession(file.slice(0, -'.json'.length)));
+    } catch (err) {
+      console.warn(`[WARN] Skipping unreadable session ${file}: ${err.message}`);
+    }
+  }
+  return sessions.sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || ''));
+}
@@ -0,0 +1,414 @@
+/* template.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+/*
+ * Prompt templates for "charm run".
+ *
+ *   {{name}}                  value of a parameter (objects/arrays as JSON)
+ *   {{name | fallback}}       with a default ("quoted" if it has spaces at the ends)
+ *   {{patient.name}}          path into a JSON parameter
+ *   {{env.HOME}}              environment variable
+ *   {{#if name}}..{{else}}..{{/if}}, {{#unless name}}..{{/unless}}
+ *   {{#each items}}..{{this}} {{@index}} {{field}}..{{else}}..{{/each}}
+ *   {{> partial.md}}          include, relative to the including file
+ *   {{! comment }}
+ *   \{{name}}                 a literal "{{name}}"
+ *
+ * Outside strict mode, {{...}} that is not a tag (JSON, code) is left as written.
+ *
+ * A template may start with YAML front-matter between "---" lines:
+ *   required: [name, ...]     parameters that must be given
+ *   defaults: { name: value } values for parameters that are not
+ *   model, temperature        settings for the request
+ *   strict: true              fail on any missing variable
+ *
+ * Parameters are strings from the command line; a string that holds a JSON
+ * array or object is parsed when a template looks inside it or loops over it.
+ */
+
+export class TemplateError extends Error {
+  constructor(message, { file = null, line = null } = {}) {
+    super(file ? `${file}${line ? `:${line}` : ''}: ${message}` : message);
+    this.name = 'TemplateError';
+  }
+}
+
+const TAG = /\\?\{\{([\s\S]*?)\}\}/g;
+const VARIABLE = /^(@\w+|this|\.|[A-Za-z_][\w-]*)(\.[\w-]+)*$/;
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Split "---\nyaml\n---\nbody" into { data, body, bodyLine }; data is {}
+ * without front-matter.  bodyLine is the file line the body starts on.
+ */
+export function parseFrontMatter(text, file = null) {
+  const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: text, bodyLine: 1 };
+  }
+  let data;
+  try {
+    data = YAML.parse(match[1]) ?? {};
+  } catch (err) {
+    throw new TemplateError(`Invalid YAML front-matter: ${err.message}`, { file });
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new TemplateError('Front-matter must be a YAML mapping.', { file });
+  }
+  const bodyLine = match[0].split('\n').length + (match[0].endsWith('\n') ? 0 : 1);
+  return { data, body: text.slice(match[0].length), bodyLine };
+}
+
+/** Read a template file: { path, baseDir, frontMatter, body, bodyLine }. */
+export function loadTemplate(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    throw new TemplateError(`Could not read template: ${err.message}`, { file });
+  }
+  const { data, body, bodyLine } = parseFrontMatter(text, file);
+  return { path: file, baseDir: path.dirname(path.resolve(file)), frontMatter: data, body, bodyLine };
+}
+
+/**
+ * Expand a template file with params, applying its front-matter defaults and
+ * required list.  Returns { text, frontMatter }.  Throws TemplateError.
+ */
+export function expandTemplateFile(file, params, { strict = false } = {}) {
+  const template = loadTemplate(file);
+  const fm = template.frontMatter;
+  const merged = { ...(fm.defaults || {}), ...params };
+
+  const required = fm.required || [];
+  if (!Array.isArray(required)) {
+    throw new TemplateError('Front-matter "required" must be a list of parameter names.', { file });
+  }
+  const missing = required.filter(name => merged[name] === undefined);
+  if (missing.length > 0) {
+    throw new TemplateError(`Missing required parameter(s): ${missing.join(', ')}`, { file });
+  }
+
+  const text = renderTemplate(template.body, merged, {
+    file,
+    baseDir: template.baseDir,
+    firstLine: template.bodyLine,
+    strict: strict || fm.strict === true
+  });
+  return { text, frontMatter: fm };
+}
+
+/** Render template text.  Missing variables are errors in strict mode, else empty (with a warning). */
+export function renderTemplate(text, params, { file = null, baseDir = process.cwd(), strict = false, firstLine = 1 } = {}) {
+  const ctx = { root: params, frames: [], strict, file, baseDir, depth: 0, warned: new Set() };
+  return renderNodes(parse(text, file, firstLine, strict), ctx);
+}
+
+// ---------------------------------------------------------------------------
+// Parsing
+
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+function tagKind(tag) {
+  if (tag.startsWith('#')) return 'open';
+  if (tag.startsWith('/')) return 'close';
+  if (tag === 'else') return 'else';
+  if (tag.startsWith('!')) return 'comment';
+  if (tag.startsWith('>')) return 'partial';
+  return 'variable';
+}
+
+function tokenize(text, firstLine) {
+  const tokens = [];
+  let last = 0;
+  let m;
+  TAG.lastIndex = 0;
+  while ((m = TAG.exec(text))) {
+    if (m[0].startsWith('\\')) {
+      // \{{...}} is literal text; merge it into the text around it.
+      tokens.push({ type: 'text', value: text.slice(last, m.index) + m[0].slice(1) });
+      tokens.push({ type: 'tag', value: '', kind: 'literal', raw: '' });
+      last = TAG.lastIndex;
+      continue;
+    }
+    tokens.push({ type: 'text', value: text.slice(last, m.index) });
+    const tag = m[1].trim();
+    tokens.push({ type: 'tag', value: tag, raw: m[0], kind: tagKind(tag), line: lineAt(text, m.index) + firstLine - 1 });
+    last = TAG.lastIndex;
+  }
+  tokens.push({ type: 'text', value: text.slice(last) });
+
+  // A block, comment or partial tag alone on its line takes the line with it,
+  // so that templates can be laid out one tag per line without blank lines.
+  const standalone = tokens.map((t, i) => {
+    if (t.type !== 'tag' || t.kind === 'variable' || t.kind === 'literal') return false;
+    const before = tokens[i - 1].value;
+    const after = tokens[i + 1].value;
+    const lineStart = before.slice(before.lastIndexOf('\n') + 1);
+    const startsLine = /^[ \t]*$/.test(lineStart) && (before.includes('\n') || i === 1);
+    const endsLine = /^[ \t]*(\r?\n|$)/.test(after) && (/^[ \t]*\r?\n/.test(after) || i === tokens.length - 2);
+    return startsLine && endsLine;
+  });
+  standalone.forEach((isStandalone, i) => {
+    if (!isStandalone) return;
+    tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, '');
+    tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*\r?\n?/, '');
+  });
+  return tokens;
+}
+
+function unquote(s) {
+  const m = s.match(/^(["'])([\s\S]*)\1$/);
+  return m ? m[2] : s;
+}
+
+function parse(text, file, firstLine = 1, strict = false) {
+  const root = { type: 'root', children: [] };
+  const stack = [{ node: root, list: root.children }];
+  const top = () => stack[stack.length - 1];
+
+  for (const t of tokenize(text, firstLine)) {
+    if (t.type === 'text') {
+      if (t.value) top().list.push({ type: 'text', value: t.value });
+      continue;
+    }
+    const where = { file, line: t.line };
+    const tag = t.value;
+    switch (t.kind) {
+      case 'comment':
+        break;
+      case 'literal':
+        break;
+      case 'open': {
+        const m = tag.match(/^#(\w+)\s+(.+)$/);
+        if (!m || !['if', 'unless', 'each'].includes(m[1])) {
+          throw new TemplateError(`Unknown block tag {{${tag}}} (use #if, #unless or #each)`, where);
+        }
+        if (!VARIABLE.test(m[2].trim())) {
+          throw new TemplateError(`Invalid variable in {{${tag}}}`, where);
+        }
+        const node = { type: m[1], expr: m[2].trim(), children: [], elseChildren: [], line: t.line };
+        top().list.push(node);
+        stack.push({ node, list: node.children });
+        break;
+      }
+      case 'else':
+        if (stack.length === 1) {
+          throw new TemplateError('{{else}} outside of a block', where);
+        }
+        top().list = top().node.elseChildren;
+        break;
+      case 'close': {
+        const name = tag.slice(1).trim();
+        if (stack.length === 1 || top().node.type !== name) {
+          const open = stack.length > 1 ? ` (expected {{/${top().node.type}}})` : '';
+          throw new TemplateError(`Unexpected {{${tag}}}${open}`, where);
+        }
+        stack.pop();
+        break;
+      }
+      case 'partial': {
+        const partialPath = tag.slice(1).trim();
+        if (!partialPath) {
+          throw new TemplateError('{{>}} needs a file name', where);
+        }
+        top().list.push({ type: 'partial', path: unquote(partialPath), line: t.line });
+        break;
+      }
+      default: {
+        const bar = tag.indexOf('|');
+        const expr = (bar === -1 ? tag : tag.slice(0, bar)).trim();
+        if (!VARIABLE.test(expr)) {
+          if (strict) {
+            throw new TemplateError(`Invalid tag {{${tag}}}`, where);
+          }
+          top().list.push({ type: 'text', value: t.raw });
+          break;
+        }
+        const fallback = bar === -1 ? undefined : unquote(tag.slice(bar + 1).trim());
+        top().list.push({ type: 'variable', expr, fallback, line: t.line });
+      }
+    }
+  }
+  if (stack.length > 1) {
+    const open = top().node;
+    throw new TemplateError(`{{#${open.type} ${open.expr}}} is never closed`, { file, line: open.line });
+  }
+  return root.children;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+
+// Parse strings that hold JSON arrays/objects; leave everything else alone.
+function structured(value) {
+  if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function dig(value, parts) {
+  for (const part of parts) {
+    value = structured(value);
+    if (!isObject(value) || !Object.prototype.hasOwnProperty.call(value, part)) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+function lookup(expr, ctx) {
+  const frame = ctx.frames[ctx.frames.length - 1];
+  if (expr.startsWith('@')) {
+    return frame ? frame.vars[expr.slice(1)] : undefined;
+  }
+  if (expr === '.' || expr === 'this') {
+    return frame ? frame.item : ctx.root;
+  }
+  const parts = expr.split('.');
+  if (parts[0] === 'this') {
+    return dig(frame ? frame.item : ctx.root, parts.slice(1));
+  }
+  // Innermost loop item first, then the parameters, then the environment.
+  for (let i = ctx.frames.length - 1; i >= 0; i--) {
+    const item = structured(ctx.frames[i].item);
+    if (isObject(item) && Object.prototype.hasOwnProperty.call(item, parts[0])) {
+      return dig(item, parts);
+    }
+  }
+  if (Object.prototype.hasOwnProperty.call(ctx.root, parts[0])) {
+    return dig(ctx.root, parts);
+  }
+  if (parts[0] === 'env' && parts.length === 2) {
+    return process.env[parts[1]];
+  }
+  return undefined;
+}
+
+function missing(expr, node, ctx, what = 'variable') {
+  if (ctx.strict) {
+    throw new TemplateError(`Missing ${what} "${expr}"`, { file: ctx.file, line: node.line });
+  }
+  if (!ctx.warned.has(expr)) {
+    ctx.warned.add(expr);
+    console.warn(`[WARN] ${ctx.file ? ctx.file + ': ' : ''}template ${what} "${expr}" is not set; using "".`);
+  }
+}
+
+function truthy(value) {
+  value = structured(value);
+  if (Array.isArray(value)) return value.length > 0;
+  if (isObject(value)) return Object.keys(value).length > 0;
+  return !(value === undefined || value === null || value === false || value === '' || value === 'false');
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (isObject(value)) return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+function renderNodes(nodes, ctx) {
+  let out = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+      case 'variable': {
+        const value = lookup(node.expr, ctx);
+        if (value === undefined) {
+          if (node.fallback !== undefined) {
+            out += node.fallback;
+          } else {
+            missing(node.expr, node, ctx);
+          }
+        } else {
+          out += stringify(value);
+        }
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const yes = truthy(lookup(node.expr, ctx)) === (node.type === 'if');
+        out += renderNodes(yes ? node.children : node.elseChildren, ctx);
+        break;
+      }
+      case 'each':
+        out += renderEach(node, ctx);
+        break;
+      case 'partial':
+        out += renderPartial(node, ctx);
+        break;
+    }
+  }
+  return out;
+}
+
+function renderEach(node, ctx) {
+  const value = structured(lookup(node.expr, ctx));
+  let entries;
+  if (Array.isArray(value)) {
+    entries = value.map((item, index) => [index, item]);
+  } else if (isObject(value)) {
+    entries = Object.entries(value);
+  } else {
+    if (value === undefined) {
+      missing(node.expr, node, ctx, 'list');
+    } else if (ctx.strict) {
+      throw new TemplateError(`"${node.expr}" is not a JSON array or object`, { file: ctx.file, line: node.line });
+    }
+    entries = [];
+  }
+  if (entries.length === 0) {
+    return renderNodes(node.elseChildren, ctx);
+  }
+  let out = '';
+  entries.forEach(([key, item], index) => {
+    ctx.frames.push({
+      item,
+      vars: { index, key, first: index === 0, last: index === entries.length - 1 }
+    });
+    try {
+      out += renderNodes(node.children, ctx);
+    } finally {
+      ctx.frames.pop();
+    }
+  });
+  return out;
+}
+
+function renderPartial(node, ctx) {
+  if (ctx.depth >= MAX_PARTIAL_DEPTH) {
+    throw new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep (an include cycle?)`,
+      { file: ctx.file, line: node.line });
+  }
+  const partialFile = path.resolve(ctx.baseDir, node.path);
+  let text;
+  try {
+    text = fs.readFileSync(partialFile, 'utf-8');
+  } catch (err) {
+    throw new TemplateError(`Could not include ${node.path}: ${err.message}`, { file: ctx.file, line: node.line });
+  }
+  const { body, bodyLine } = parseFrontMatter(text, partialFile);
+  const inner = {
+    ...ctx,
+    file: partialFile,
+    baseDir: path.dirname(partialFile),
+    depth: ctx.depth + 1
+  };
+  return renderNodes(parse(body, partialFile, bodyLine, ctx.strict), inner);
+}
@@ -0,0 +1,304 @@
+/* tools.mjs */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+
+/*
+ * Client-side tools for "charm run --tools <file.json>".
+ *
+ * The tools file lists functions the model may call, each with a local
+ * executor:
+ *
+ *   { "tools": [
+ *       { "name": "search_notes", "description": "...",
+ *         "input_schema": { "type": "object", "properties": { "query": { "type": "string" } } },
+ *         "executor": { "type": "shell", "command": "grep -ri \"$CHARM_ARG_query\" notes/" } },
+ *       { "name": "bmi", "executor": { "type": "node", "module": "./tools/bmi.mjs", "export": "bmi" } },
+ *       { "name": "read_record", "executor": { "type": "file", "root": "./records" } }
+ *   ] }
+ *
+ * Paths are relative to the tools file.  The server sees only name,
+ * description and input_schema.  Tool calls arrive as assistant content
+ * segments { type: "tool_call", toolName, callId, arguments }, and results
+ * go back as a { role: "tool_response" } message with one
+ * { type: "tool_response", toolName, callId, response } segment per call.
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_BYTES = 200000;
+
+const FILE_TOOL_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', description: 'File or directory path, relative to the lookup root' }
+  },
+  required: ['path']
+};
+
+/** Load and check a tools file: { definitions, byName }.  Throws on errors. */
+export function loadToolsFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read tools file ${file}: ${err.message}`);
+  }
+  const list = Array.isArray(data) ? data : data && data.tools;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`Tools file ${file} must hold {"tools": [...]} with at least one tool.`);
+  }
+  const baseDir = path.dirname(path.resolve(file));
+  const byName = new Map();
+  for (const tool of list) {
+    if (!tool || !/^[A-Za-z0-9_-]+$/.test(tool.name || '')) {
+      throw new Error(`Tools file ${file}: every tool needs a "name" of letters, digits, "_" and "-".`);
+    }
+    if (byName.has(tool.name)) {
+      throw new Error(`Tools file ${file}: tool "${tool.name}" is defined twice.`);
+    }
+    const executor = tool.executor || {};
+    if (executor.type === 'shell') {
+      if (!executor.command) throw new Error(`Tool "${tool.name}": a shell executor needs a "command".`);
+    } else if (executor.type === 'node') {
+      if (!executor.module) throw new Error(`Tool "${tool.name}": a node executor needs a "module".`);
+    } else if (executor.type === 'file') {
+      if (!executor.root) throw new Error(`Tool "${tool.name}": a file executor needs a "root" directory.`);
+    } else {
+      throw new Error(`Tool "${tool.name}": executor "type" must be "shell", "node" or "file".`);
+    }
+    byName.set(tool.name, { ...tool, executor, baseDir });
+  }
+  const definitions = [...byName.values()].map(tool => ({
+    name: tool.name,
+    description: tool.description || '',
+    input_schema: tool.input_schema || (tool.executor.type === 'file' ? FILE_TOOL_SCHEMA : { type: 'object', properties: {} })
+  }));
+  return { definitions, byName };
+}
+
+/** Tool calls requested by assistant messages: [{ toolName, callId, arguments }]. */
+export function findToolCalls(messages) {
+  const calls = [];
+  for (const msg of messages) {
+    if (!Array.isArray(msg.content)) continue;
+    for (const segment of msg.content) {
+      if (!segment || segment.type !== 'tool_call') continue;
+      let args = segment.arguments ?? segment.input ?? {};
+      if (typeof args === 'string') {
+        try {
+          args = JSON.parse(args);
+        } catch {
+          args = { input: args };
+        }
+      }
+      calls.push({
+        toolName: segment.toolName || segment.name,
+        callId: segment.callId || segment.id,
+        arguments: args
+      });
+    }
+  }
+  return calls;
+}
+
+/** The message carrying the results of one round of tool calls. */
+export function toolResponseMessage(outcomes) {
+  return {
+    role: 'tool_response',
+    content: outcomes.map(({ call, response }) => ({
+      type: 'tool_response',
+      toolName: call.toolName,
+      callId: call.callId,
+      response
+    }))
+  };
+}
+
+/**
+ * Run one tool call.  Returns { ok, response } where response is the text
+ * (or JSON value) handed back to the model; failures are reported to the
+ * model rather than thrown.
+ */
+export async function runTool(tools, call) {
+  const tool = tools.byName.get(call.toolName);
+  if (!tool) {
+    return { ok: false, response: `Error: there is no tool named "${call.toolName}".` };
+  }
+  try {
+    switch (tool.executor.type) {
+      case 'shell':
+        return await runShellTool(tool, call.arguments);
+      case 'node':
+        return await runNodeTool(tool, call.arguments);
+      default:
+        return runFileTool(tool, call.arguments);
+    }
+  } catch (err) {
+    return { ok: false, response: `Error: ${err.message}` };
+  }
+}
+
+// Arguments go to the command as JSON on stdin and in $CHARM_TOOL_ARGS, and
+// scalar top-level ones also as $CHARM_ARG_<name>; they are never spliced
+// into the command line.
+function runShellTool(tool, args) {
+  const env = { ...process.env, CHARM_TOOL_NAME: tool.name, CHARM_TOOL_ARGS: JSON.stringify(args) };
+  for (const [key, value] of Object.entries(args || {})) {
+    if (value === null || typeof value !== 'object') env[`CHARM_ARG_${key}`] = String(value);
+  }
+  const timeoutMs = tool.executor.timeout_ms || DEFAULT_TIMEOUT_MS;
+  const maxBytes = tool.executor.max_bytes || DEFAULT_MAX_BYTES;
+  return new Promise(resolve => {
+    // In its own process group, so a timeout stops everything the shell started.
+    const child = spawn(tool.executor.command, {
+      shell: true,
+      cwd: tool.executor.cwd ? path.resolve(tool.baseDir, tool.executor.cwd) : tool.baseDir,
+      env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: process.platform !== 'win32'
+    });
+    trackChild(child);
+    const stdout = capture(child.stdout, maxBytes);
+    const stderr = capture(child.stderr, maxBytes);
+    let settled = false;
+    const settle = outcome => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      untrackChild(child);
+      resolve(outcome);
+    };
+    const timer = setTimeout(() => {
+      killTree(child);
+      // Do not wait for "close": a process that ignores SIGTERM may hold the pipes open.
+      child.stdout.destroy();
+      child.stderr.destroy();
+      settle({ ok: false, response: `Error: the command timed out after ${timeoutMs} ms.\n${(stderr.text() || stdout.text()).trim()}`.trim() });
+    }, timeoutMs);
+    child.on('error', err => settle({ ok: false, response: `Error: ${err.message}` }));
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        settle({ ok: true, response: stdout.text().trim() });
+      } else {
+        const why = signal ? `was stopped (${signal})` : `exited with status ${code}`;
+        settle({ ok: false, response: `Error: the command ${why}.\n${(stderr.text() || stdout.text()).trim()}`.trim() });
+      }
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(args ?? {}));
+  });
+}
+
+// Keep the first maxBytes of a stream, noting how much was dropped.
+function capture(stream, maxBytes) {
+  const chunks = [];
+  let kept = 0;
+  let total = 0;
+  stream.on('data', d => {
+    total += d.length;
+    if (kept < maxBytes) {
+      const part = d.subarray(0, maxBytes - kept);
+      chunks.push(part);
+      kept += part.length;
+    }
+  });
+  return {
+    text() {
+      const text = Buffer.concat(chunks).toString('utf-8');
+      return total > kept ? `${text}\n[truncated: showing ${kept} of ${total} bytes]` : text;
+    }
+  };
+}
+
+// Shell tools run in their own process group, out of reach of a Ctrl-C at the
+// terminal, so the ones still running are stopped when charm is interrupted
+// or exits.
+const liveChildren = new Set();
+let exitHookInstalled = false;
+
+function trackChild(child) {
+  if (!exitHookInstalled) {
+    exitHookInstalled = true;
+    process.on('exit', killLiveChildren);
+  }
+  if (liveChildren.size === 0) {
+    process.on('SIGINT', onInterrupt);
+    process.on('SIGTERM', onInterrupt);
+  }
+  liveChildren.add(child);
+}
+
+function untrackChild(child) {
+  if (!liveChildren.delete(child) || liveChildren.size > 0) return;
+  process.off('SIGINT', onInterrupt);
+  process.off('SIGTERM', onInterrupt);
+}
+
+function killLiveChildren() {
+  for (const child of liveChildren) killTree(child);
+}
+
+function onInterrupt(signal) {
+  killLiveChildren();
+  // With no other handler, exit as the signal would have.
+  if (process.listenerCount(signal) === 1) {
+    process.exit(signal === 'SIGINT' ? 130 : 143);
+  }
+}
+
+function killTree(child) {
+  try {
+    process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+}
+
+async function runNodeTool(tool, args) {
+  const modulePath = path.resolve(tool.baseDir, tool.executor.module);
+  const mod = await import(pathToFileURL(modulePath).href);
+  const exportName = tool.executor.export || 'default';
+  const fn = mod[exportName];
+  if (typeof fn !== 'function') {
+    throw new Error(`${tool.executor.module} has no function export "${exportName}".`);
+  }
+  const value = await fn(args ?? {}, { toolName: tool.name });
+  return { ok: true, response: value === undefined ? '' : value };
+}
+
+function runFileTool(tool, args) {
+  const root = fs.realpathSync(path.resolve(tool.baseDir, tool.executor.root));
+  const requested = String((args && (args.path ?? args.file)) || '.');
+  const target = path.resolve(root, requested);
+  let real;
+  try {
+    real = fs.realpathSync(target);
+  } catch {
+    return { ok: false, response: `Error: ${requested} does not exist.` };
+  }
+  if (real !== root && !real.startsWith(root + path.sep)) {
+    return { ok: false, response: `Error: ${requested} is outside the lookup root.` };
+  }
+  const stat = fs.statSync(real);
+  if (stat.isDirectory()) {
+    const entries = fs.readdirSync(real, { withFileTypes: true })
+      .map(e => (e.isDirectory() ? `${e.name}/` : e.name))
+      .sort();
+    return { ok: true, response: entries.join('\n') };
+  }
+  const maxBytes = tool.executor.max_bytes || DEFAULT_MAX_BYTES;
+  const fd = fs.openSync(real, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.min(stat.size, maxBytes));
+    fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const text = buffer.toString('utf-8');
+    return {
+      ok: true,
+      response: stat.size > maxBytes ? `${text}\n[truncated: showing ${maxBytes} of ${stat.size} bytes]` : text
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
@@ -56,3 +56,82 @@ export function makeImageAttachment(filePath) {
     url: `data:${mime};base64,${b64}`
   };
 }
+
+/**
+ * Print an assistant message's content.  With skipText, only non-text
+ * segments are shown (their text was already printed while streaming).
+ */
+export function printMessageContent(msg, { skipText = false } = {}) {
+  if (typeof msg.content === 'string') {
+    if (!skipText) console.log(msg.content);
+  } else if (Array.isArray(msg.content)) {
+    msg.content.forEach(segment => {
+      if (typeof segment === 'string') {
+        if (!skipText) console.log(segment);
+      } else {
+        console.log(`[Attachment returned: ${JSON.stringify(segment)}]`);
+      }
+    });
+  } else {
+    console.log(String(msg.content));
+  }
+}
+
+/** Plain text of a message's content, with non-text segments as placeholders. */
+export function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.map(segment => {
+      if (typeof segment === 'string') return segment;
+      if (segment && segment.type === 'image') return '[image attachment]';
+      return `[${(segment && segment.type) || 'attachment'}]`;
+    }).join('\n');
+  }
+  return content == null ? '' : String(content);
+}
+
+/**
+ * Rough token count for text (about four characters per token).  Good enough
+ * for budgeting context; the server's tokenizer is the real authority.
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+/**
+ * Call worker(item, index) for every item, with at most `concurrency` calls
+ * in flight.  The worker should handle its own errors.
+ */
+export async function runPool(items, concurrency, worker) {
+  let next = 0;
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  }
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+}
+
+/**
+ * Returns an async function that resolves when the next request may start,
+ * spacing starts evenly to stay under perMinute (no limit when falsy).
+ */
+export function createRateLimiter(perMinute) {
+  if (!perMinute) {
+    return async () => {};
+  }
+  const interval = 60000 / perMinute;
+  let nextSlot = 0;
+  return async function acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) {
+      await sleep((slot - now) / 1000);
+    }
+  };
+}
@@ -0,0 +1,132 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  manifestPathFor, loadManifest, updateManifestEntry, markDetached, fileSha256, skipReason
+} from '../bin/batch-manifest.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-manifest-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(root, 'case-'));
+}
+
+test('manifestPathFor sits next to the batch list', () => {
+  assert.equal(manifestPathFor('/data/list.txt'), '/data/list.txt.manifest.json');
+});
+
+test('loadManifest starts empty without a file', () => {
+  const file = path.join(tmpDir(), 'm.json');
+  assert.deepEqual(loadManifest(file, { batch_file: '/l.txt' }), { batch_file: '/l.txt', updated_at: null, files: {} });
+});
+
+test('loadManifest ignores unreadable and malformed manifests with a warning', t => {
+  const warnings = [];
+  t.mock.method(console, 'error', message => warnings.push(message));
+  const dir = tmpDir();
+  const corrupt = path.join(dir, 'corrupt.json');
+  fs.writeFileSync(corrupt, '{"files": ');
+  const malformed = path.join(dir, 'malformed.json');
+  fs.writeFileSync(malformed, '{"files": null}');
+
+  assert.deepEqual(loadManifest(corrupt, { inputs: ['a'] }).files, {});
+  assert.deepEqual(loadManifest(malformed, { inputs: ['a'] }).files, {});
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /^\[WARN\] Ignoring unreadable manifest /);
+  assert.match(warnings[1], /^\[WARN\] Ignoring malformed manifest /);
+});
+
+test('updateManifestEntry merges fields and round-trips through loadManifest', () => {
+  const file = path.join(tmpDir(), 'sub', 'm.json');
+  const manifest = loadManifest(file, { batch_file: '/l.txt' });
+  updateManifestEntry(file, manifest, 'a.pdf', { status: 'running', sha256: 'abc' });
+  updateManifestEntry(file, manifest, 'a.pdf', { status: 'done', pages_total: 3 });
+
+  const loaded = loadManifest(file, { batch_file: '/other.txt' });
+  assert.equal(loaded.batch_file, '/l.txt');
+  assert.deepEqual(loaded.files['a.pdf'], { status: 'done', sha256: 'abc', pages_total: 3 });
+  assert.ok(loaded.updated_at);
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('fileSha256 hashes the file contents', () => {
+  const file = path.join(tmpDir(), 'a.txt');
+  fs.writeFileSync(file, 'abc');
+  assert.equal(fileSha256(file), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('skipReason skips finished files only when nothing changed', () => {
+  const outputPath = path.join(tmpDir(), 'a.pdf.doc.json');
+  fs.writeFileSync(outputPath, '{}');
+  const entry = { sha256: 'abc', model: 'm1', output: outputPath, status: 'done' };
+  const current = { sha256: 'abc', model: 'm1', outputPath };
+
+  assert.deepEqual(skipReason(entry, current), { reason: 'done', entry });
+  assert.equal(skipReason(undefined, current), null);
+  assert.equal(skipReason(entry, { ...current, sha256: null }), null);
+  assert.equal(skipReason(entry, { ...current, sha256: 'def' }), null);
+  assert.equal(skipReason(entry, { ...current, model: 'm2' }), null);
+  assert.equal(skipReason({ ...entry, output: 'elsewhere.json' }, current), null);
+  assert.equal(skipReason({ ...entry, status: 'running' }, current), null);
+
+  fs.rmSync(outputPath);
+  assert.equal(skipReason(entry, current), null);
+});
+
+test('skipReason skips failures unless retrying them', () => {
+  const outputPath = path.join(tmpDir(), 'a.pdf.doc.json');
+  fs.writeFileSync(outputPath, '{}');
+  const current = { sha256: 'abc', model: null, outputPath };
+  for (const status of ['partial', 'failed']) {
+    const entry = { sha256: 'abc', model: null, output: outputPath, status };
+    assert.deepEqual(skipReason(entry, current), { reason: 'failed', entry });
+    assert.equal(skipReason(entry, { ...current, retryFailed: true }), null);
+  }
+});
+
+test('skipReason treats a submitted job as done once its output is newer', () => {
+  const outputPath = path.join(tmpDir(), 'a.pdf.doc.json');
+  const current = { sha256: 'abc', model: 'm1', outputPath };
+  const entry = { sha256: 'abc', model: 'm1', output: outputPath, status: 'submitted', started_at: new Date().toISOString() };
+
+  assert.deepEqual(skipReason(entry, current), { reason: 'submitted', entry });
+
+  fs.writeFileSync(outputPath, '{}');
+  const stale = new Date(Date.parse(entry.started_at) - 60000);
+  fs.utimesSync(outputPath, stale, stale);
+  assert.deepEqual(skipReason(entry, current), { reason: 'submitted', entry });
+
+  const fresh = new Date(Date.parse(entry.started_at) + 60000);
+  fs.utimesSync(outputPath, fresh, fresh);
+  assert.deepEqual(skipReason(entry, current), { reason: 'done', entry });
+});
+
+test('a job detached at Ctrl-C is skipped until collected, then done', () => {
+  const dir = tmpDir();
+  const manifestPath = path.join(dir, 'list.txt.manifest.json');
+  const outputPath = path.join(dir, 'a.pdf.doc.json');
+  const manifest = loadManifest(manifestPath, { batch_file: '/l.txt' });
+  const startedAt = new Date(Date.now() - 60000).toISOString();
+  for (const [file, jobId] of [['a.pdf', 'job-a'], ['b.pdf', 'job-b'], ['c.pdf', null]]) {
+    updateManifestEntry(manifestPath, manifest, file, {
+      sha256: 'abc', model: 'm1', output: outputPath, status: 'running', job_id: jobId, started_at: startedAt
+    });
+  }
+  const current = { sha256: 'abc', model: 'm1', outputPath };
+  assert.equal(skipReason(manifest.files['a.pdf'], current), null);
+
+  assert.deepEqual(markDetached(manifestPath, manifest, ['job-a', 'job-z']), ['a.pdf']);
+  const entry = loadManifest(manifestPath, {}).files['a.pdf'];
+  assert.equal(entry.status, 'submitted');
+  assert.equal(entry.job_id, 'job-a');
+  assert.equal(manifest.files['b.pdf'].status, 'running');
+  assert.equal(manifest.files['c.pdf'].status, 'running');
+  assert.deepEqual(skipReason(entry, current), { reason: 'submitted', entry });
+
+  // "charm jobs collect" writes the output after the job started.
+  fs.writeFileSync(outputPath, '{}');
+  assert.deepEqual(skipReason(entry, current), { reason: 'done', entry });
+});
@@ -0,0 +1,136 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiRequest, backoffDelay, setFetch, ApiError } from '../bin/client.mjs';
+
+const flags = { hostname: 'charm.test', port: 5002, baseUrlPrefix: '/charm', retries: 2 };
+
+let restoreFetch = null;
+afterEach(() => {
+  if (restoreFetch) restoreFetch();
+  restoreFetch = null;
+});
+
+// Answer the calls in turn from replies: a status (with Retry-After: 0, so
+// retries do not wait), [status, body], or an Error to throw.
+function stubFetch(t, replies) {
+  const calls = [];
+  t.mock.method(console, 'warn', () => {});
+  restoreFetch = setFetch(async (url, init) => {
+    calls.push({ url, method: init.method, headers: init.headers });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) throw reply;
+    const [status, body] = Array.isArray(reply) ? reply : [reply, JSON.stringify({ status: reply })];
+    return new Response(body, { status, headers: { 'Retry-After': '0' } });
+  });
+  return calls;
+}
+
+test('a retryable status is retried until the server answers', async t => {
+  const calls = stubFetch(t, [503, 429, [200, '{"ok":true}']]);
+  const { status, data } = await apiRequest({ ...flags, apiKey: 'secret' }, '/api/models');
+  assert.equal(status, 200);
+  assert.deepEqual(data, { ok: true });
+  assert.equal(calls.length, 3);
+  assert.equal(calls[0].url, 'http://charm.test:5002/charm/api/models');
+  assert.equal(calls[0].headers.Authorization, 'Bearer secret');
+  assert.match(console.warn.mock.calls[0].arguments[0],
+    /^\[WARN\] GET \/api\/models => HTTP 503 => .*; retrying in 0\.0s \(attempt 2\/3\)\.\.\.$/);
+});
+
+test('each retryable status is retried and other statuses are not', async t => {
+  for (const status of [408, 429, 500, 502, 503, 504]) {
+    const calls = stubFetch(t, [status, 200]);
+    await apiRequest(flags, '/x');
+    assert.equal(calls.length, 2, `HTTP ${status}`);
+  }
+  for (const status of [400, 401, 403, 404, 422, 501]) {
+    const calls = stubFetch(t, [[status, 'nope'], 200]);
+    await assert.rejects(apiRequest(flags, '/x'), err => {
+      assert.ok(err instanceof ApiError);
+      assert.equal(err.kind, 'http');
+      assert.equal(err.status, status);
+      assert.equal(err.body, 'nope');
+      assert.equal(err.attempts, 1);
+      assert.equal(err.message, `GET /x => HTTP ${status} => nope`);
+      return true;
+    });
+    assert.equal(calls.length, 1, `HTTP ${status}`);
+  }
+});
+
+test('only idempotent requests are retried', async t => {
+  let calls = stubFetch(t, [503, 200]);
+  await assert.rejects(apiRequest(flags, '/jobs', { method: 'POST', json: {} }), { kind: 'http', status: 503 });
+  assert.equal(calls.length, 1);
+
+  calls = stubFetch(t, [503, 200]);
+  await apiRequest(flags, '/jobs', { method: 'POST', json: {}, idempotent: true });
+  assert.equal(calls.length, 2);
+
+  calls = stubFetch(t, [503, 200]);
+  await apiRequest(flags, '/jobs/1', { method: 'DELETE' });
+  assert.equal(calls.length, 2);
+});
+
+test('the request gives up after the last retry', async t => {
+  const calls = stubFetch(t, [[500, 'down']]);
+  await assert.rejects(apiRequest(flags, '/x'), err => {
+    assert.equal(err.kind, 'http');
+    assert.equal(err.attempts, 3);
+    assert.equal(err.message, 'GET /x => HTTP 500 => down (gave up after 3 attempts)');
+    return true;
+  });
+  assert.equal(calls.length, 3);
+
+  stubFetch(t, [[500, 'down']]);
+  await assert.rejects(apiRequest({ ...flags, retries: 0 }, '/x'), { message: 'GET /x => HTTP 500 => down', attempts: 1 });
+});
+
+test('network errors and connect timeouts are retried', async t => {
+  t.mock.method(Math, 'random', () => 0);
+  const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5002'), { code: 'ECONNREFUSED' });
+  const slow = Object.assign(new Error('connect timeout after 30s'), { code: 'ETIMEDOUT' });
+
+  let calls = stubFetch(t, [refused, 200]);
+  await apiRequest({ ...flags, retries: 1 }, '/x');
+  assert.equal(calls.length, 2);
+
+  calls = stubFetch(t, [refused, slow]);
+  await assert.rejects(apiRequest({ ...flags, retries: 1 }, '/x'), err => {
+    assert.equal(err.kind, 'timeout');
+    assert.equal(err.message, 'GET /x => connect timeout after 30s (gave up after 2 attempts)');
+    return true;
+  });
+  assert.equal(calls.length, 2);
+
+  stubFetch(t, [refused]);
+  await assert.rejects(apiRequest({ ...flags, retries: 0 }, '/x'), { kind: 'network', cause: refused });
+});
+
+test('a response that does not arrive in time is a timeout', async t => {
+  t.mock.method(console, 'warn', () => {});
+  restoreFetch = setFetch((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  }));
+  await assert.rejects(apiRequest({ ...flags, retries: 0, readTimeout: 0.05 }, '/slow'), {
+    kind: 'timeout',
+    message: 'GET /slow => no complete response within 0.05s'
+  });
+});
+
+test('a body that is not JSON is not retried', async t => {
+  const calls = stubFetch(t, [[200, 'not json']]);
+  await assert.rejects(apiRequest(flags, '/x'), { kind: 'response', status: 200, body: 'not json' });
+  assert.equal(calls.length, 1);
+});
+
+test('backoffDelay doubles with jitter up to a cap, or follows Retry-After', t => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual([1, 2, 3, 4, 8, 20].map(n => backoffDelay(n)), [0.25, 0.5, 1, 2, 15, 15]);
+  assert.equal(backoffDelay(2, 'Wed, 21 Oct 2015 07:28:00 GMT'), 0.5);
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.deepEqual([1, 2, 8].map(n => Math.round(backoffDelay(n) * 1000) / 1000), [0.5, 1, 30]);
+  assert.equal(backoffDelay(1, '7'), 7);
+  assert.equal(backoffDelay(1, '0'), 0);
+  assert.equal(backoffDelay(1, '120'), 30);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCompareArgs } from '../bin/commands/compare.mjs';
+
+test('parseCompareArgs takes its own flags anywhere before the message', () => {
+  const parsed = parseCompareArgs(['--temperature', '0', '--models', 'a, b', '--format', 'json',
+    '--judge', 'c', '--output', 'out.json', 'Summarize', 'this']);
+  assert.deepEqual(parsed, {
+    models: ['a', 'b'],
+    format: 'json',
+    outputPath: 'out.json',
+    judgeModel: 'c',
+    judgeCriteria: null,
+    runArgs: ['--temperature', '0', 'Summarize', 'this']
+  });
+});
+
+test('parseCompareArgs leaves a run flag value that looks like a compare flag to run', () => {
+  const parsed = parseCompareArgs(['--models', 'a,b', '--system', '--output',
+    '--input-param', 'name', '--judge', 'hello']);
+  assert.equal(parsed.outputPath, null);
+  assert.equal(parsed.judgeModel, null);
+  assert.deepEqual(parsed.runArgs, ['--system', '--output', '--input-param', 'name', '--judge', 'hello']);
+});
+
+test('parseCompareArgs keeps flag-like words in the message', () => {
+  const parsed = parseCompareArgs(['--models', 'a,b', 'Explain', '--format', 'and', '--models']);
+  assert.equal(parsed.format, 'text');
+  assert.deepEqual(parsed.models, ['a', 'b']);
+  assert.deepEqual(parsed.runArgs, ['Explain', '--format', 'and', '--models']);
+});
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultConfig, resolveProfile, applyCommandDefaults } from '../bin/config.mjs';
+
+let savedKey;
+beforeEach(() => {
+  savedKey = process.env.CHARM_API_KEY;
+  delete process.env.CHARM_API_KEY;
+});
+afterEach(() => {
+  if (savedKey === undefined) delete process.env.CHARM_API_KEY;
+  else process.env.CHARM_API_KEY = savedKey;
+});
+
+test('resolveProfile uses the defaults without a config', () => {
+  assert.deepEqual(resolveProfile({}), {
+    name: null,
+    settings: { ...defaultConfig, headers: {} },
+    commandDefaults: {}
+  });
+});
+
+test('resolveProfile layers the profile over the top level', () => {
+  const config = {
+    hostname: 'top',
+    model: 'top-model',
+    headers: { 'X-A': '1', 'X-B': '1' },
+    commands: { transcribe: { 'poll-interval': 5, 'continue-on-failure': true }, chunk: { strategy: 'merge' } },
+    defaultProfile: 'staging',
+    profiles: {
+      staging: {
+        hostname: 'staging',
+        port: 443,
+        headers: { 'X-B': '2' },
+        commands: { transcribe: { 'poll-interval': 10 } },
+        unknownKey: 'ignored'
+      },
+      local: {}
+    }
+  };
+  const { name, settings, commandDefaults } = resolveProfile(config);
+  assert.equal(name, 'staging');
+  assert.equal(settings.hostname, 'staging');
+  assert.equal(settings.port, 443);
+  assert.equal(settings.model, 'top-model');
+  assert.equal(settings.baseUrlPrefix, defaultConfig.baseUrlPrefix);
+  assert.equal(settings.unknownKey, undefined);
+  assert.deepEqual(settings.headers, { 'X-A': '1', 'X-B': '2' });
+  assert.deepEqual(commandDefaults, {
+    transcribe: { 'poll-interval': 10, 'continue-on-failure': true },
+    chunk: { strategy: 'merge' }
+  });
+
+  assert.equal(resolveProfile(config, 'local').settings.hostname, 'top');
+});
+
+test('resolveProfile rejects an unknown profile', () => {
+  assert.throws(() => resolveProfile({ profiles: { a: {} } }, 'b'), /^Error: Unknown profile "b"\. Known profiles: a$/);
+  assert.throws(() => resolveProfile({ defaultProfile: 'b' }), /No profiles are defined in config\.json\./);
+});
+
+test('resolveProfile takes the API key from the environment', () => {
+  const config = { apiKey: 'from-file', profiles: { p: { apiKeyEnv: 'CHARM_TEST_P_KEY' } } };
+  assert.equal(resolveProfile(config).settings.apiKey, 'from-file');
+  process.env.CHARM_API_KEY = 'generic';
+  assert.equal(resolveProfile(config).settings.apiKey, 'generic');
+  process.env.CHARM_TEST_P_KEY = 'specific';
+  try {
+    assert.equal(resolveProfile(config, 'p').settings.apiKey, 'specific');
+  } finally {
+    delete process.env.CHARM_TEST_P_KEY;
+  }
+});
+
+test('applyCommandDefaults puts defaults ahead of the arguments', () => {
+  const defaults = { 'poll-interval': 5, 'continue-on-failure': true, 'no-page-numbering': false, jobs: null };
+  assert.deepEqual(applyCommandDefaults('transcribe', ['--pages', '3', 'f.pdf'], defaults),
+    ['--poll-interval', '5', '--continue-on-failure', '--pages', '3', 'f.pdf']);
+  assert.deepEqual(applyCommandDefaults('run', ['Summarize', '--this'], { temperature: 0 }),
+    ['--temperature', '0', 'Summarize', '--this']);
+  assert.deepEqual(applyCommandDefaults('run', [], { temperature: 0 }), ['--temperature', '0']);
+});
+
+test('applyCommandDefaults skips flags the user passed', () => {
+  assert.deepEqual(applyCommandDefaults('transcribe', ['f.pdf', '--poll-interval', '1'], { 'poll-interval': 5, '--jobs': 2 }),
+    ['--jobs', '2', 'f.pdf', '--poll-interval', '1']);
+  const args = ['f.pdf'];
+  assert.equal(applyCommandDefaults('transcribe', args, {}), args);
+  assert.equal(applyCommandDefaults('transcribe', args, undefined), args);
+});
+
+test('applyCommandDefaults keeps a subcommand or leading file first', () => {
+  assert.deepEqual(applyCommandDefaults('jobs', ['result', 'job-1'], { 'poll-interval': 5 }),
+    ['result', '--poll-interval', '5', 'job-1']);
+  assert.deepEqual(applyCommandDefaults('sessions', ['export', 'notes'], { format: 'json' }),
+    ['export', '--format', 'json', 'notes']);
+  assert.deepEqual(applyCommandDefaults('extract-markdown', ['a.pdf'], { output: 'a.md' }),
+    ['a.pdf', '--output', 'a.md']);
+  assert.deepEqual(applyCommandDefaults('jobs', [], { 'poll-interval': 5 }), ['--poll-interval', '5']);
+});
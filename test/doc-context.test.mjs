@@ -0,0 +1,78 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pageLabel, loadDocChunks, selectChunks, describeChunks } from '../bin/doc-context.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-doc-context-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function writeDoc(doc) {
+  const dir = fs.mkdtempSync(path.join(root, 'doc-'));
+  const file = path.join(dir, 'records.pdf.doc.json');
+  fs.writeFileSync(file, JSON.stringify(doc));
+  return file;
+}
+
+const pages = [
+  'Patient intake form. Name, address and insurance details.',
+  'Medication list: aspirin 81 mg daily, metformin 500 mg twice daily.',
+  'Allergy history: penicillin causes a rash. No other known allergies.',
+  'Discharge summary and follow-up appointments.'
+];
+
+function loadPages() {
+  return loadDocChunks(writeDoc({
+    metadata: { originating_filename: 'records.pdf' },
+    chunks: { pages: pages.map((content, i) => ({ content, metadata: { page_number: i + 1 } })) }
+  }));
+}
+
+test('pageLabel reads page numbers and ranges', () => {
+  assert.equal(pageLabel({ page_number: 3 }), 'p. 3');
+  assert.equal(pageLabel({ start_page: 2, end_page: 4 }), 'pp. 2-4');
+  assert.equal(pageLabel({ page_start: 5, page_end: 5 }), 'p. 5');
+  assert.equal(pageLabel({ pages: [1, 3] }), 'pp. 1, 3');
+  assert.equal(pageLabel({}), null);
+});
+
+test('loadDocChunks labels chunks and skips empty ones', () => {
+  const file = writeDoc({
+    chunks: { sections: [{ content: 'Alpha', metadata: { title: 'Intro' } }, { content: '  ' }, { content: 'Beta' }] }
+  });
+  const chunks = loadDocChunks(file, 'sections');
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0].source, 'records.pdf.doc.json');
+  assert.equal(chunks[0].label, 'chunk 0 "Intro"');
+  assert.equal(chunks[1].label, 'chunk 1');
+});
+
+test('loadDocChunks names the available groups when one is missing', () => {
+  const file = writeDoc({ chunks: { pages: [] } });
+  assert.throws(() => loadDocChunks(file, 'sections'), /no chunk group "sections" \(available: pages\)/);
+});
+
+test('selectChunks ranks matching chunks first and returns them in document order', () => {
+  const chosen = selectChunks(loadPages(), 'Which allergies and medication?', 1000);
+  assert.deepEqual(chosen.map(c => c.label), ['p. 2', 'p. 3']);
+  assert.equal(describeChunks(chosen), 'records.pdf p. 2, p. 3');
+});
+
+test('selectChunks keeps to the token budget, preferring the best match', () => {
+  const chunks = loadPages();
+  const budget = chunks[2].tokens;
+  const chosen = selectChunks(chunks, 'penicillin rash', budget);
+  assert.deepEqual(chosen.map(c => c.label), ['p. 3']);
+});
+
+test('selectChunks falls back to document order when nothing matches', () => {
+  const chosen = selectChunks(loadPages(), 'summarize this', 1000);
+  assert.deepEqual(chosen.map(c => c.label), ['p. 1', 'p. 2', 'p. 3', 'p. 4']);
+});
+
+test('selectChunks truncates a single chunk that is over budget', () => {
+  const chosen = selectChunks(loadPages(), 'metformin', 2);
+  assert.equal(chosen.length, 1);
+  assert.equal(chosen[0].text.length, 8);
+});
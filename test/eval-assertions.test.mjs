@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkAssertionShape, checkAssertion, replyJson, parseJsonPath, lookupJsonPath
+} from '../bin/eval-assertions.mjs';
+
+const reply = text => ({ text });
+
+test('contains checks every value, optionally ignoring case', async () => {
+  const result = reply('Take Aspirin 100 mg daily.');
+  assert.equal((await checkAssertion({ type: 'contains', value: 'Aspirin' }, result)).pass, true);
+  assert.equal((await checkAssertion({ type: 'contains', value: 'aspirin' }, result)).pass, false);
+  assert.equal((await checkAssertion({ type: 'contains', value: ['aspirin', 'DAILY'], ignore_case: true }, result)).pass, true);
+  const missing = await checkAssertion({ type: 'contains', value: ['mg', 'ibuprofen'] }, result);
+  assert.equal(missing.pass, false);
+  assert.equal(missing.message, 'does not contain "ibuprofen"');
+});
+
+test('regex honours flags', async () => {
+  const result = reply('Dose: 100 MG');
+  assert.equal((await checkAssertion({ type: 'regex', pattern: '\\d+ mg' }, result)).pass, false);
+  assert.equal((await checkAssertion({ type: 'regex', pattern: '\\d+ mg', flags: 'i' }, result)).pass, true);
+});
+
+test('not inverts the outcome', async () => {
+  const result = reply('no allergies');
+  const passed = await checkAssertion({ type: 'contains', value: 'penicillin', not: true }, result);
+  assert.deepEqual(passed, { type: 'contains', pass: true, message: 'does not contain "penicillin"' });
+  const failed = await checkAssertion({ type: 'contains', value: 'allergies', not: true }, result);
+  assert.equal(failed.pass, false);
+  assert.equal(failed.message, 'expected not: contains "allergies"');
+});
+
+test('replyJson prefers the parsed value, then the text, then a json fence', () => {
+  assert.deepEqual(replyJson({ text: 'ignored', json: { a: 1 } }), { value: { a: 1 }, error: null });
+  assert.deepEqual(replyJson({ text: '[1, 2]', json: null }), { value: [1, 2], error: null });
+  assert.deepEqual(replyJson(reply('```json\n{"b": true}\n```')).value, { b: true });
+  assert.deepEqual(replyJson(reply('```\n"x"\n```')).value, 'x');
+  const bad = replyJson(reply('not json'));
+  assert.equal(bad.value, undefined);
+  assert.match(bad.error, /^the reply is not JSON/);
+});
+
+test('json_schema validates the reply JSON', async () => {
+  const schema = { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] };
+  assert.equal((await checkAssertion({ type: 'json_schema', schema }, reply('{"name": "aspirin"}'))).pass, true);
+  assert.equal((await checkAssertion({ type: 'json_schema', schema }, reply('{"name": 3}'))).pass, false);
+  const notJson = await checkAssertion({ type: 'json_schema', schema }, reply('aspirin'));
+  assert.equal(notJson.pass, false);
+  assert.match(notJson.message, /not JSON/);
+});
+
+test('json_path compares the value found by deep equality', async () => {
+  const result = reply('{"medications": [{"name": "aspirin", "dose": {"mg": 100}}]}');
+  const check = (path, equals) => checkAssertion({ type: 'json_path', path, equals }, result);
+  assert.equal((await check('$.medications[0].name', 'aspirin')).pass, true);
+  assert.equal((await check('$.medications[0].dose', { mg: 100 })).pass, true);
+  const wrong = await check('$.medications[0].name', 'ibuprofen');
+  assert.equal(wrong.pass, false);
+  assert.equal(wrong.message, '$.medications[0].name is "aspirin", expected "ibuprofen"');
+  const missing = await check('$.medications[1].name', 'aspirin');
+  assert.equal(missing.message, '$.medications[1].name is missing');
+});
+
+test('judge asks the callback with the rubric and model', async () => {
+  const calls = [];
+  const judge = async (rubric, model) => {
+    calls.push([rubric, model]);
+    return { pass: rubric.includes('allergy'), reason: 'looked at it' };
+  };
+  const yes = await checkAssertion({ type: 'judge', rubric: 'Mentions the allergy.', model: 'gpt-4o' }, reply('x'), { judge });
+  assert.deepEqual(yes, { type: 'judge', pass: true, message: 'judge: looked at it' });
+  const no = await checkAssertion({ type: 'judge', rubric: 'Is short.' }, reply('x'), { judge });
+  assert.equal(no.pass, false);
+  assert.deepEqual(calls, [['Mentions the allergy.', 'gpt-4o'], ['Is short.', null]]);
+});
+
+test('parseJsonPath splits keys, indexes and quoted keys', () => {
+  assert.deepEqual(parseJsonPath('$.a.b[0]["c d"]'), ['a', 'b', 0, 'c d']);
+  assert.deepEqual(parseJsonPath('a[2]'), ['a', 2]);
+  assert.deepEqual(parseJsonPath('$'), []);
+  assert.throws(() => parseJsonPath('$.a[x]'), /Invalid JSON path/);
+});
+
+test('lookupJsonPath reports missing keys and indexes into non-arrays', () => {
+  const value = { a: [{ b: null }], o: { 0: 'zero' } };
+  assert.deepEqual(lookupJsonPath(value, '$.a[0].b'), { exists: true, value: null });
+  assert.deepEqual(lookupJsonPath(value, '$.a[0].b.c'), { exists: false });
+  assert.deepEqual(lookupJsonPath(value, '$.a[3]'), { exists: false });
+  assert.deepEqual(lookupJsonPath(value, '$.o[0]'), { exists: false });
+  assert.deepEqual(lookupJsonPath(value, '$'), { exists: true, value });
+});
+
+test('checkAssertionShape rejects malformed assertions', () => {
+  assert.throws(() => checkAssertionShape({ type: 'equals' }, 'case 1'), /^Error: case 1: assertion "type" must be one of/);
+  assert.throws(() => checkAssertionShape(null, 'case 1'), /must be one of/);
+  assert.throws(() => checkAssertionShape({ type: 'contains' }, 'case 1'), /needs "value"/);
+  assert.throws(() => checkAssertionShape({ type: 'judge' }, 'case 1'), /needs "rubric"/);
+  assert.throws(() => checkAssertionShape({ type: 'json_path', path: '$.a' }, 'case 1'), /needs "equals"/);
+  assert.throws(() => checkAssertionShape({ type: 'json_path', path: '$.a[', equals: 1 }, 'case 1'), /Invalid JSON path/);
+  assert.throws(() => checkAssertionShape({ type: 'regex', pattern: '(' }, 'case 1'), /^Error: case 1: /);
+  assert.doesNotThrow(() => checkAssertionShape({ type: 'json_path', path: '$.a', equals: null }, 'case 1'));
+});
@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRunArgs, buildRunRequest } from '../bin/commands/run.mjs';
+import { loadSuite, caseOptions } from '../bin/commands/eval.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-eval-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeJson(name, value) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(value));
+  return file;
+}
+
+test('a transcript-only case is sent without reading stdin', { timeout: 5000 }, async () => {
+  const messages = [
+    { role: 'user', content: 'What is the dose?' },
+    { role: 'assistant', content: '100 mg.' },
+    { role: 'user', content: 'Daily?' }
+  ];
+  writeJson('transcript.json', { messages });
+  const suite = loadSuite(writeJson('suite.json', {
+    cases: [{ name: 'follow-up', transcript: 'transcript.json', assert: [{ type: 'contains', value: 'daily' }] }]
+  }));
+  const options = caseOptions(parseRunArgs([]), suite.cases[0].fields);
+  assert.equal(options.noStdin, true);
+
+  // stdin stays open here, so a read from it would never finish.
+  const request = await buildRunRequest({ model: 'm1' }, options);
+  assert.deepEqual(request.payload.transcript.messages, messages);
+  assert.equal(request.model, 'm1');
+});
+
+test('a case with nothing to send is rejected before any request', () => {
+  const suite = loadSuite(writeJson('empty-case.json', { cases: [{ name: 'nothing' }] }));
+  assert.throws(() => caseOptions(parseRunArgs([]), suite.cases[0].fields),
+    /The case has no "message", input template, transcript or attachments\./);
+});
@@ -0,0 +1,80 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { globToRegExp, expandInputs, commonBaseDir } from '../bin/input-files.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-inputs-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function tree(files) {
+  const dir = fs.mkdtempSync(path.join(root, 'tree-'));
+  for (const file of files) {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), '');
+  }
+  return dir;
+}
+
+const rel = (dir, files) => files.map(f => path.relative(dir, f).split(path.sep).join('/'));
+
+test('globToRegExp keeps * and ? within a segment', () => {
+  assert.ok(globToRegExp('*.pdf').test('a.pdf'));
+  assert.ok(!globToRegExp('*.pdf').test('sub/a.pdf'));
+  assert.ok(!globToRegExp('*.pdf').test('apdf'));
+  assert.ok(globToRegExp('scan?.pdf').test('scan1.pdf'));
+  assert.ok(!globToRegExp('scan?.pdf').test('scan/.pdf'));
+});
+
+test('globToRegExp lets ** span directories', () => {
+  const re = globToRegExp('**/drafts/*.pdf');
+  assert.ok(re.test('drafts/a.pdf'));
+  assert.ok(re.test('x/y/drafts/a.pdf'));
+  assert.ok(!re.test('x/drafts/y/a.pdf'));
+  assert.ok(globToRegExp('a/**').test('a/b/c.pdf'));
+});
+
+test('globToRegExp supports classes, negated classes and alternatives', () => {
+  assert.ok(globToRegExp('*.[pP][dD][fF]').test('a.PdF'));
+  assert.ok(globToRegExp('v[!0-9].pdf').test('va.pdf'));
+  assert.ok(!globToRegExp('v[!0-9].pdf').test('v1.pdf'));
+  assert.ok(globToRegExp('*.{pdf,docx}').test('a.docx'));
+  assert.ok(!globToRegExp('*.{pdf,docx}').test('a.doc'));
+  assert.ok(globToRegExp('a[b').test('a[b'));
+  assert.ok(globToRegExp('a+(1).pdf').test('a+(1).pdf'));
+});
+
+test('expandInputs walks directories in order with the default includes', () => {
+  const dir = tree(['b.pdf', 'a.PDF', 'notes.txt', 'sub/c.docx', 'sub/deeper/d.pdf']);
+  assert.deepEqual(rel(dir, expandInputs([dir])), ['a.PDF', 'b.pdf', 'sub/c.docx', 'sub/deeper/d.pdf']);
+  assert.deepEqual(rel(dir, expandInputs([dir], { recursive: false })), ['a.PDF', 'b.pdf']);
+});
+
+test('expandInputs applies include and exclude globs to names and relative paths', () => {
+  const dir = tree(['a.pdf', 'a.txt', 'drafts/b.pdf', 'keep/c.pdf', 'keep/draft-d.pdf']);
+  assert.deepEqual(rel(dir, expandInputs([dir], { include: ['*.txt'] })), ['a.txt']);
+  assert.deepEqual(rel(dir, expandInputs([dir], { exclude: ['drafts'] })), ['a.pdf', 'keep/c.pdf', 'keep/draft-d.pdf']);
+  assert.deepEqual(rel(dir, expandInputs([dir], { exclude: ['draft*'] })), ['a.pdf', 'keep/c.pdf']);
+  assert.deepEqual(rel(dir, expandInputs([dir], { exclude: ['./keep/*.pdf'] })), ['a.pdf', 'drafts/b.pdf']);
+});
+
+test('expandInputs keeps files given directly, skips skipDirs and drops duplicates', () => {
+  const dir = tree(['a.pdf', 'notes.txt', 'out/a.pdf.doc.json', 'out/old.pdf']);
+  const files = expandInputs([path.join(dir, 'notes.txt'), dir, path.join(dir, 'a.pdf')], { skipDirs: [path.join(dir, 'out')] });
+  assert.deepEqual(rel(dir, files), ['notes.txt', 'a.pdf']);
+});
+
+test('expandInputs throws for a missing input', () => {
+  const dir = tree([]);
+  assert.throws(() => expandInputs([path.join(dir, 'nope.pdf')]), /^Error: No such file or directory: .*nope\.pdf$/);
+});
+
+test('commonBaseDir finds the deepest shared directory', () => {
+  const root = path.resolve('/data');
+  assert.equal(commonBaseDir([path.join(root, 'a', 'x'), path.join(root, 'a', 'y', 'z')]), path.join(root, 'a'));
+  assert.equal(commonBaseDir([path.join(root, 'a')]), path.join(root, 'a'));
+  assert.equal(commonBaseDir([path.join(root, 'ab'), path.join(root, 'a')]), root);
+  assert.equal(commonBaseDir([path.resolve('/x'), path.resolve('/y')]), path.resolve('/'));
+  assert.equal(commonBaseDir([]), process.cwd());
+});
@@ -0,0 +1,124 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compileSchema, validateJsonText } from '../bin/json-schema.mjs';
+import { setFetch } from '../bin/client.mjs';
+import { parseRunArgs, buildRunRequest, executeRun } from '../bin/commands/run.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-schema-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const schema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    route: { enum: ['oral', 'iv'] }
+  },
+  required: ['name'],
+  additionalProperties: false
+};
+
+function schemaFile(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('validateJsonText accepts output that fits the schema', () => {
+  assert.deepEqual(validateJsonText('{"name": "aspirin", "route": "oral"}', schema),
+    { valid: true, value: { name: 'aspirin', route: 'oral' }, errors: [], parseError: null });
+  assert.deepEqual(validateJsonText('[1]'), { valid: true, value: [1], errors: [], parseError: null });
+});
+
+test('validateJsonText describes where output fails the schema', () => {
+  const check = validateJsonText('{"route": "rectal", "dose": 5}', schema);
+  assert.equal(check.valid, false);
+  assert.deepEqual(check.value, { route: 'rectal', dose: 5 });
+  assert.equal(check.parseError, null);
+  assert.deepEqual(check.errors.sort(), [
+    '(root): must NOT have additional properties ("dose")',
+    "(root): must have required property 'name'",
+    '/route: must be equal to one of the allowed values ("oral", "iv")'
+  ]);
+});
+
+test('validateJsonText reports output that is not JSON', () => {
+  const check = validateJsonText('Sure! {"name": "aspirin"}', schema);
+  assert.equal(check.valid, false);
+  assert.equal(check.value, null);
+  assert.match(check.errors[0], /^not valid JSON: /);
+  assert.ok(check.parseError);
+});
+
+test('compileSchema caches schemas, picks the draft and rejects invalid ones', () => {
+  assert.equal(compileSchema(schema), compileSchema(schema));
+  const draft2020 = { $schema: 'https://json-schema.org/draft/2020-12/schema', prefixItems: [{ type: 'string' }], items: false };
+  assert.equal(validateJsonText('["a"]', draft2020).valid, true);
+  assert.equal(validateJsonText('["a", 1]', draft2020).valid, false);
+  assert.throws(() => compileSchema({ type: 'nonsense' }), /^Error: Invalid JSON schema: /);
+});
+
+test('buildRunRequest loads a schema file into the request', async () => {
+  const options = parseRunArgs(['--force-response-json-schema', schemaFile('ok.json', JSON.stringify(schema)), 'Name a drug']);
+  const request = await buildRunRequest({ model: 'm' }, options);
+  assert.deepEqual(request.schema, schema);
+  assert.equal(request.forceFormat, 'json_schema');
+  assert.deepEqual(request.payload.options.response_format,
+    { type: 'json_schema', json_schema: { name: 'forced-schema', schema } });
+});
+
+test('buildRunRequest rejects a schema file that is not JSON or not a schema', async () => {
+  const notJson = schemaFile('not-json.json', '{ type: object }');
+  await assert.rejects(buildRunRequest({ model: 'm' }, parseRunArgs(['--force-response-json-schema', notJson, 'hi'])),
+    { message: `Could not parse JSON schema from file ${notJson}` });
+  const invalid = schemaFile('invalid.json', '{"type": "nonsense"}');
+  await assert.rejects(buildRunRequest({ model: 'm' }, parseRunArgs(['--force-response-json-schema', invalid, 'hi'])),
+    /^Error: Invalid JSON schema: /);
+});
+
+// A server that answers with the given replies in turn.
+function stubReplies(t, replies) {
+  const payloads = [];
+  t.after(setFetch(async (url, init) => {
+    payloads.push(JSON.parse(init.body));
+    const content = replies[payloads.length - 1];
+    return new Response(JSON.stringify({ messages: [{ role: 'assistant', content }] }), { status: 200 });
+  }));
+  return payloads;
+}
+
+test('executeRun asks again with the errors until the reply fits the schema', async t => {
+  const payloads = stubReplies(t, ['{"name": 1}', '{"name": "aspirin"}']);
+  const request = await buildRunRequest({ model: 'm' },
+    parseRunArgs(['--force-response-json-schema', schemaFile('retry.json', JSON.stringify(schema)), 'Name a drug']));
+  const invalid = [];
+  const result = await executeRun({ hostname: 'charm.test', port: 1 }, request, {
+    maxAttempts: 3,
+    onInvalid: (attempt, errors) => invalid.push([attempt, errors])
+  });
+
+  assert.deepEqual(result.json, { name: 'aspirin' });
+  assert.deepEqual(result.validation, { valid: true, attempts: 2, errors: [] });
+  assert.deepEqual(invalid, [[1, ['/name: must be string']]]);
+  assert.equal(payloads.length, 2);
+  const retried = payloads[1].transcript.messages;
+  assert.deepEqual(retried.slice(0, 2), [
+    { role: 'user', content: 'Name a drug' },
+    { role: 'assistant', content: '{"name": 1}' }
+  ]);
+  assert.match(retried[2].content, /^Your reply was not valid against the required JSON schema:\n- \/name: must be string\n/);
+});
+
+test('executeRun returns the last invalid reply when attempts run out', async t => {
+  const payloads = stubReplies(t, ['not json', '{"route": "iv"}', '{"name": "x"}']);
+  const request = await buildRunRequest({ model: 'm' },
+    parseRunArgs(['--force-response-json-schema', schemaFile('give-up.json', JSON.stringify(schema)), 'Name a drug']));
+  const result = await executeRun({ hostname: 'charm.test', port: 1 }, request, { maxAttempts: 2 });
+
+  assert.equal(payloads.length, 2);
+  assert.equal(result.text, '{"route": "iv"}');
+  assert.deepEqual(result.json, { route: 'iv' });
+  assert.deepEqual(result.validation, { valid: false, attempts: 2, errors: ["(root): must have required property 'name'"] });
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import {
+  parsePageRanges, formatPageRanges, pdfPageCount, extractPdfPages, isFailedPage,
+  renumberPages, adoptSubsetDoc, splicePages, rebuildPages
+} from '../bin/pdf-pages.mjs';
+
+// A PDF whose n pages are 100 + i points wide, so pages can be told apart.
+async function makePdf(n) {
+  const pdf = await PDFDocument.create();
+  for (let i = 1; i <= n; i++) pdf.addPage([100 + i, 200]);
+  return Buffer.from(await pdf.save());
+}
+
+function page(number, content, extra = {}) {
+  return { id: `doc/pages@${number - 1}`, content, start: 0, length: 0, metadata: { page_number: number, ...extra } };
+}
+
+function doc(pages) {
+  return rebuildPages({ id: 'doc', content: '', metadata: {}, chunks: { pages } });
+}
+
+test('parsePageRanges sorts, dedupes and expands ranges', () => {
+  assert.deepEqual(parsePageRanges('12, 3-5,4'), [3, 4, 5, 12]);
+  assert.deepEqual(parsePageRanges('7 - 7'), [7]);
+  assert.throws(() => parsePageRanges('5-3'), /Invalid page range "5-3"/);
+  assert.throws(() => parsePageRanges('1,,2'), /Invalid page range ""/);
+  assert.throws(() => parsePageRanges('a'), /expected e\.g\. 3-7,12/);
+  assert.throws(() => parsePageRanges('0-2'), /numbered from 1/);
+  assert.throws(() => parsePageRanges(undefined), /Invalid page range/);
+});
+
+test('formatPageRanges collapses runs', () => {
+  assert.equal(formatPageRanges([3, 4, 5, 6, 7, 12]), '3-7,12');
+  assert.equal(formatPageRanges([1, 3, 5, 6]), '1,3,5-6');
+  assert.equal(formatPageRanges([]), '');
+  assert.equal(formatPageRanges(parsePageRanges('9,2-4')), '2-4,9');
+});
+
+test('extractPdfPages keeps the chosen pages in order', async () => {
+  const buffer = await makePdf(6);
+  assert.equal(await pdfPageCount(buffer), 6);
+  const subset = await PDFDocument.load(await extractPdfPages(buffer, [2, 5, 6]));
+  assert.deepEqual(subset.getPages().map(p => p.getWidth()), [102, 105, 106]);
+  await assert.rejects(extractPdfPages(buffer, [5, 7, 8]), /^Error: Page 7-8 is beyond the end of the document \(6 pages\)\.$/);
+  await assert.rejects(pdfPageCount(Buffer.from('not a pdf')));
+});
+
+test('isFailedPage recognises placeholders', () => {
+  assert.equal(isFailedPage(page(1, '', { text_extraction_method: 'error_placeholder' })), true);
+  assert.equal(isFailedPage(page(1, '', { transcription_failed: true })), true);
+  assert.equal(isFailedPage(page(1, 'text')), false);
+  assert.equal(isFailedPage({}), false);
+});
+
+test('renumberPages maps subset pages onto the original numbers', () => {
+  const subset = doc([page(1, 'b'), page(2, 'e')]);
+  renumberPages(subset, [2, 5]);
+  assert.deepEqual(subset.chunks.pages.map(p => p.metadata.page_number), [2, 5]);
+
+  const failed = doc([page(1, '', { transcription_failed: true })]);
+  renumberPages(failed, [4, 5, 6]);
+  assert.equal(failed.chunks.pages[0].metadata.page_number, 4);
+
+  assert.throws(() => renumberPages(doc([page(1, 'b')]), [2, 5]), /Expected 2 transcribed pages but the server returned 1/);
+});
+
+test('rebuildPages sorts pages and recomputes content, offsets and ids', () => {
+  const d = doc([page(3, 'ccc'), page(1, 'a'), { id: 'custom', content: 'bb', metadata: { page_number: 2 } }]);
+  assert.equal(d.content, 'a\n\nbb\n\nccc');
+  assert.deepEqual(d.chunks.pages.map(p => p.id), ['doc/pages@0', 'custom', 'doc/pages@2']);
+  assert.deepEqual(d.chunks.pages.map(p => [p.start, p.length]), [[0, 1], [undefined, undefined], [7, 3]]);
+});
+
+test('adoptSubsetDoc makes the subset stand for the original', () => {
+  const original = { sha256: 'orig', size: 1234, filename: 'long.pdf' };
+  const subset = doc([
+    page(1, 'two', { originating_filename: 'subset.pdf', originating_file_sha256: 'sub', isFirstPage: true }),
+    page(2, 'five', { isFirstPage: false })
+  ]);
+  subset.id = 'sub';
+  renumberPages(subset, [2, 5]);
+  adoptSubsetDoc(subset, [2, 5], original);
+
+  assert.equal(subset.id, 'orig');
+  assert.deepEqual(subset.metadata, { document_sha256: 'orig', size_bytes: 1234, originating_filename: 'long.pdf', pages_transcribed: [2, 5] });
+  const [first, second] = subset.chunks.pages;
+  assert.equal(first.parent, 'orig');
+  assert.equal(first.id, 'orig/pages@0');
+  assert.deepEqual(first.metadata, { page_number: 2, originating_filename: 'long.pdf', originating_file_sha256: 'orig', isFirstPage: false });
+  assert.equal(second.metadata.isFirstPage, false);
+  assert.equal(subset.content, 'two\n\nfive');
+});
+
+test('splicePages replaces pages by number and adds missing ones', () => {
+  const original = { sha256: 'doc', size: 10, filename: 'long.pdf' };
+  const target = doc([page(1, 'one'), page(2, 'bad', { text_extraction_method: 'error_placeholder' }), page(3, 'three')]);
+  const redone = doc([page(1, 'TWO', { originating_filename: 'subset.pdf' }), page(2, 'FOUR')]);
+  renumberPages(redone, [2, 4]);
+
+  assert.deepEqual(splicePages(target, redone, original), [2, 4]);
+  assert.deepEqual(target.chunks.pages.map(p => p.content), ['one', 'TWO', 'three', 'FOUR']);
+  assert.equal(target.content, 'one\n\nTWO\n\nthree\n\nFOUR');
+  assert.equal(target.chunks.pages[1].parent, 'doc');
+  assert.equal(target.chunks.pages[1].metadata.originating_filename, 'long.pdf');
+  assert.deepEqual(target.chunks.pages.map(p => p.start), [0, 5, 10, 17]);
+  assert.equal(target.chunks.pages.some(isFailedPage), false);
+});
@@ -0,0 +1,62 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { rowsFormatFor, readRows, parseCsv } from '../bin/rows.mjs';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-rows-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function tmpFile(name, text) {
+  const dir = fs.mkdtempSync(path.join(root, 'case-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('rowsFormatFor goes by extension', () => {
+  assert.equal(rowsFormatFor('a.CSV'), 'csv');
+  assert.equal(rowsFormatFor('a.jsonl'), 'jsonl');
+  assert.equal(rowsFormatFor('a.ndjson'), 'jsonl');
+  assert.equal(rowsFormatFor('a.txt'), null);
+});
+
+test('parseCsv handles quotes, embedded commas, quotes and newlines', () => {
+  const rows = parseCsv('id,note\r\n1,"a, b"\r\n2,"say ""hi"""\n3,"two\nlines"\n');
+  assert.deepEqual(rows, [
+    { id: '1', note: 'a, b' },
+    { id: '2', note: 'say "hi"' },
+    { id: '3', note: 'two\nlines' }
+  ]);
+});
+
+test('parseCsv strips a BOM, trims headers and skips blank lines', () => {
+  assert.deepEqual(parseCsv('\ufeff id , text \n\n1,x\n\n'), [{ id: '1', text: 'x' }]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('parseCsv keeps a last line without a newline and empty fields', () => {
+  assert.deepEqual(parseCsv('a,b\n1,'), [{ a: '1', b: '' }]);
+});
+
+test('parseCsv reports ragged rows and unterminated quotes', () => {
+  assert.throws(() => parseCsv('a,b\n1,2,3\n', 'r.csv'), /r\.csv: row 2 has 3 fields; the header has 2/);
+  assert.throws(() => parseCsv('a\n"open\n', 'r.csv'), /r\.csv:\d+: unterminated quoted field/);
+});
+
+test('readRows reads JSON Lines, skipping blank lines', () => {
+  const file = tmpFile('rows.jsonl', '{"id": 1}\n\n{"id": 2, "tags": ["x"]}\n');
+  assert.deepEqual(readRows(file), [{ id: 1 }, { id: 2, tags: ['x'] }]);
+});
+
+test('readRows points at the bad JSON line', () => {
+  assert.throws(() => readRows(tmpFile('bad.jsonl', '{"id": 1}\n{oops\n')), /bad\.jsonl:2: invalid JSON/);
+  assert.throws(() => readRows(tmpFile('arr.jsonl', '[1, 2]\n')), /arr\.jsonl:1: each line must be a JSON object/);
+});
+
+test('readRows needs a known format', () => {
+  const file = tmpFile('rows.txt', 'a\n1\n');
+  assert.throws(() => readRows(file), /use --format jsonl\|csv/);
+  assert.deepEqual(readRows(file, 'csv'), [{ a: '1' }]);
+});
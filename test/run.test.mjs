@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRunArgs, runFlagValueCount } from '../bin/commands/run.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-run-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Every flag parseRunArgs handles, read from its source.
+const RUN_FLAGS = [...parseRunArgs.toString().matchAll(/token === '(--[a-z-]+)'/g)].map(m => m[1]);
+
+test('runFlagValueCount matches the values parseRunArgs takes for every flag', () => {
+  const file = path.join(dir, 'value.png');
+  fs.writeFileSync(file, 'not really a png');
+  const samples = { '--temperature': '0.5', '--output-format': 'json', '--max-tool-rounds': '2', '--validation-attempts': '2' };
+
+  assert.ok(RUN_FLAGS.length > 20);
+  for (const flag of RUN_FLAGS) {
+    const count = runFlagValueCount(flag);
+    const values = count === 2 ? ['name', file] : count === 1 ? [samples[flag] || file] : [];
+    const options = parseRunArgs([flag, ...values, 'the', 'message']);
+    assert.equal(options.leftoverMessage, 'the message', `${flag} takes ${count} value(s)`);
+  }
+});
+
+test('runFlagValueCount is 0 for flags run does not take values for', () => {
+  for (const flag of ['--stream', '--yes', '--strict-templates', '--unknown', 'message']) {
+    assert.equal(runFlagValueCount(flag), 0);
+  }
+  assert.equal(runFlagValueCount('--input-param'), 2);
+});
+
+test('parseRunArgs takes everything from the first positional as the message', () => {
+  const options = parseRunArgs(['--temperature', '0', 'Summarize', '--stream', 'this']);
+  assert.equal(options.temperature, 0);
+  assert.equal(options.stream, false);
+  assert.equal(options.leftoverMessage, 'Summarize --stream this');
+});
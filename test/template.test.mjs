@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { renderTemplate, parseFrontMatter, expandTemplateFile, TemplateError } from '../bin/template.mjs';
+
+const quiet = (fn) => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('variables, fallbacks and paths into JSON parameters', () => {
+  const params = { name: 'Ada', patient: '{"name": "J. Doe", "ids": [7, 8]}' };
+  assert.equal(renderTemplate('Hi {{ name }}', params), 'Hi Ada');
+  assert.equal(renderTemplate('{{missing | "  none  "}}', params), '  none  ');
+  assert.equal(renderTemplate('{{patient.name}} #{{patient.ids.1}}', params), 'J. Doe #8');
+  assert.equal(renderTemplate('{{list}}', { list: [1, 2] }), '[\n  1,\n  2\n]');
+});
+
+test('a missing variable is empty, or an error in strict mode', () => {
+  assert.equal(quiet(() => renderTemplate('[{{nope}}]', {})), '[]');
+  assert.throws(() => renderTemplate('[{{nope}}]', {}, { strict: true }), TemplateError);
+});
+
+test('if, unless and each blocks', () => {
+  const tpl = '{{#if items}}{{#each items}}{{@index}}:{{name}}{{#unless @last}}, {{/unless}}{{/each}}{{else}}none{{/if}}';
+  assert.equal(renderTemplate(tpl, { items: '[{"name": "a"}, {"name": "b"}]' }), '0:a, 1:b');
+  assert.equal(renderTemplate(tpl, { items: '[]' }), 'none');
+  assert.equal(renderTemplate('{{#each m}}{{@key}}={{this}};{{/each}}', { m: { x: 1, y: 2 } }), 'x=1;y=2;');
+  assert.equal(renderTemplate('{{#if flag}}yes{{else}}no{{/if}}', { flag: 'false' }), 'no');
+});
+
+test('standalone block tags do not leave blank lines', () => {
+  assert.equal(renderTemplate('a\n{{#if x}}\ny\n{{/if}}\nb', { x: '1' }), 'a\ny\nb');
+  assert.equal(renderTemplate('a\n{{! note }}\nb', {}), 'a\nb');
+});
+
+test('braces that are not tags are left as written', () => {
+  assert.equal(renderTemplate('Reply as {{"a": 1}} for {{name}}', { name: 'Bo' }), 'Reply as {{"a": 1}} for Bo');
+  assert.equal(renderTemplate('{{"a": {"b": 1}}} x', {}), '{{"a": {"b": 1}}} x');
+  assert.throws(() => renderTemplate('{{"a": 1}}', {}, { strict: true }), /Invalid tag/);
+});
+
+test('an escaped tag is literal', () => {
+  assert.equal(renderTemplate('\\{{name}} is {{name}}', { name: 'Bo' }), '{{name}} is Bo');
+});
+
+test('malformed blocks are errors with a line number', () => {
+  assert.throws(() => renderTemplate('x\n{{#if a}}', {}, { file: 't.md' }), /t\.md:2: \{\{#if a\}\} is never closed/);
+  assert.throws(() => renderTemplate('{{/each}}', {}), /Unexpected/);
+  assert.throws(() => renderTemplate('{{#with a}}{{/with}}', {}), /Unknown block tag/);
+});
+
+test('front-matter is split from the body', () => {
+  const { data, body, bodyLine } = parseFrontMatter('---\nmodel: m\n---\nHello\n');
+  assert.deepEqual(data, { model: 'm' });
+  assert.equal(body, 'Hello\n');
+  assert.equal(bodyLine, 4);
+  assert.deepEqual(parseFrontMatter('No front-matter').data, {});
+  assert.throws(() => parseFrontMatter('---\n- a\n---\n'), /YAML mapping/);
+});
+
+test('template files apply defaults, required parameters and partials', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-template-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'partials'));
+  fs.writeFileSync(path.join(dir, 'partials', 'sign.md'), '-- {{who}}');
+  const file = path.join(dir, 'main.md');
+  fs.writeFileSync(file, '---\nrequired: [topic]\ndefaults:\n  who: charm\n---\nAbout {{topic}}\n{{> partials/sign.md}}\n');
+
+  const { text, frontMatter } = expandTemplateFile(file, { topic: 'tests' });
+  assert.equal(text, 'About tests\n-- charm');
+  assert.deepEqual(frontMatter.required, ['topic']);
+  assert.throws(() => expandTemplateFile(file, {}), /Missing required parameter\(s\): topic/);
+});
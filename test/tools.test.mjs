@@ -0,0 +1,172 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadToolsFile, runTool, findToolCalls } from '../bin/tools.mjs';
+import { setFetch } from '../bin/client.mjs';
+import { executeRun } from '../bin/commands/run.mjs';
+
+const toolsModule = fileURLToPath(new URL('../bin/tools.mjs', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'charm-tools-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function toolsFile(name, tools) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify({ tools }));
+  return loadToolsFile(file);
+}
+
+const shell = (command, extra = {}) => toolsFile(`shell-${Math.random()}.json`,
+  [{ name: 'sh', executor: { type: 'shell', command, ...extra } }]);
+const call = (args = {}, toolName = 'sh') => ({ toolName, callId: 'c1', arguments: args });
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitFor(check, ms = 3000) {
+  for (const until = Date.now() + ms; Date.now() < until;) {
+    if (check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return check();
+}
+
+test('loadToolsFile checks names and executors', () => {
+  const { definitions } = toolsFile('ok.json', [
+    { name: 'a', description: 'A', executor: { type: 'shell', command: 'true' } },
+    { name: 'b', executor: { type: 'file', root: '.' } }
+  ]);
+  assert.deepEqual(definitions[0], { name: 'a', description: 'A', input_schema: { type: 'object', properties: {} } });
+  assert.deepEqual(definitions[1].input_schema.required, ['path']);
+  assert.throws(() => toolsFile('bad-name.json', [{ name: 'a b', executor: { type: 'shell', command: 'x' } }]), /needs a "name"/);
+  assert.throws(() => toolsFile('twice.json', [
+    { name: 'a', executor: { type: 'shell', command: 'x' } },
+    { name: 'a', executor: { type: 'shell', command: 'x' } }
+  ]), /tool "a" is defined twice/);
+  assert.throws(() => toolsFile('no-command.json', [{ name: 'a', executor: { type: 'shell' } }]), /needs a "command"/);
+  assert.throws(() => toolsFile('no-type.json', [{ name: 'a' }]), /must be "shell", "node" or "file"/);
+  assert.throws(() => toolsFile('empty.json', []), /at least one tool/);
+});
+
+test('a shell tool gets its arguments in the environment and on stdin', async () => {
+  const tools = shell('echo "$CHARM_TOOL_NAME $CHARM_ARG_query"; cat');
+  assert.deepEqual(await runTool(tools, call({ query: 'a; rm -rf /', n: [1] })),
+    { ok: true, response: 'sh a; rm -rf /\n{"query":"a; rm -rf /","n":[1]}' });
+  assert.deepEqual(await runTool(tools, call({}, 'missing')), { ok: false, response: 'Error: there is no tool named "missing".' });
+});
+
+test('a shell tool that fails reports its status and stderr', async () => {
+  assert.deepEqual(await runTool(shell('echo partial; echo broken >&2; exit 3'), call()),
+    { ok: false, response: 'Error: the command exited with status 3.\nbroken' });
+});
+
+test('shell tool output is capped at max_bytes', async () => {
+  const result = await runTool(shell('head -c 5000 /dev/zero | tr "\\0" x', { max_bytes: 100 }), call());
+  assert.equal(result.ok, true);
+  assert.equal(result.response, `${'x'.repeat(100)}\n[truncated: showing 100 of 5000 bytes]`);
+});
+
+test('a timed-out shell tool is stopped with everything it started', async () => {
+  const pidFile = path.join(dir, 'timeout.pid');
+  const started = Date.now();
+  const result = await runTool(shell(`sleep 30 & echo $! > "${pidFile}"; trap "" TERM; echo waiting; wait`, { timeout_ms: 300 }), call());
+  assert.ok(Date.now() - started < 5000);
+  assert.deepEqual(result, { ok: false, response: 'Error: the command timed out after 300 ms.\nwaiting' });
+  const pid = Number(fs.readFileSync(pidFile, 'utf-8'));
+  assert.ok(await waitFor(() => !isRunning(pid)), `sleep ${pid} is still running`);
+});
+
+test('interrupting charm stops a running shell tool', { skip: process.platform === 'win32' }, async () => {
+  const pidFile = path.join(dir, 'interrupt.pid');
+  const script = path.join(dir, 'interrupt.mjs');
+  const command = `sleep 30 & echo $! > "${pidFile}"; wait`;
+  fs.writeFileSync(script, [
+    `import { runTool } from ${JSON.stringify(toolsModule)};`,
+    `const tool = { name: 'sh', baseDir: ${JSON.stringify(dir)}, executor: { type: 'shell', command: ${JSON.stringify(command)} } };`,
+    `await runTool({ byName: new Map([['sh', tool]]) }, { toolName: 'sh', arguments: {} });`
+  ].join('\n'));
+  const child = spawn(process.execPath, [script], { stdio: 'ignore' });
+  const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve({ code, signal })));
+  assert.ok(await waitFor(() => fs.existsSync(pidFile) && fs.readFileSync(pidFile, 'utf-8').trim()), 'the tool did not start');
+  const pid = Number(fs.readFileSync(pidFile, 'utf-8'));
+  child.kill('SIGINT');
+  assert.deepEqual(await exited, { code: 130, signal: null });
+  assert.ok(await waitFor(() => !isRunning(pid)), `sleep ${pid} is still running`);
+});
+
+test('a node tool calls the named export', async () => {
+  fs.writeFileSync(path.join(dir, 'bmi.mjs'),
+    'export function bmi({ kg, m }, { toolName }) { return { toolName, bmi: Math.round(kg / m / m) }; }\n');
+  const tools = toolsFile('node.json', [
+    { name: 'bmi', executor: { type: 'node', module: './bmi.mjs', export: 'bmi' } },
+    { name: 'nope', executor: { type: 'node', module: './bmi.mjs' } }
+  ]);
+  assert.deepEqual(await runTool(tools, call({ kg: 80, m: 2 }, 'bmi')), { ok: true, response: { toolName: 'bmi', bmi: 20 } });
+  assert.deepEqual(await runTool(tools, call({}, 'nope')),
+    { ok: false, response: 'Error: ./bmi.mjs has no function export "default".' });
+});
+
+test('a file tool reads and lists only inside its root', async () => {
+  const root = path.join(dir, 'records');
+  fs.mkdirSync(path.join(root, 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'a.txt'), 'alpha');
+  fs.writeFileSync(path.join(root, 'long.txt'), 'x'.repeat(50));
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+  fs.symlinkSync(path.join(dir, 'secret.txt'), path.join(root, 'link.txt'));
+  fs.symlinkSync(dir, path.join(root, 'up'));
+  fs.symlinkSync(path.join(root, 'a.txt'), path.join(root, 'sub', 'inside.txt'));
+  const tools = toolsFile('file.json', [{ name: 'read', executor: { type: 'file', root: './records', max_bytes: 10 } }]);
+  const read = p => runTool(tools, call({ path: p }, 'read'));
+
+  assert.deepEqual(await read('a.txt'), { ok: true, response: 'alpha' });
+  assert.deepEqual(await read('sub/inside.txt'), { ok: true, response: 'alpha' });
+  assert.deepEqual(await read('.'), { ok: true, response: 'a.txt\nlink.txt\nlong.txt\nsub/\nup' });
+  assert.deepEqual(await read('long.txt'), { ok: true, response: 'xxxxxxxxxx\n[truncated: showing 10 of 50 bytes]' });
+  assert.deepEqual(await read('missing.txt'), { ok: false, response: 'Error: missing.txt does not exist.' });
+  for (const escape of ['../secret.txt', 'sub/../../secret.txt', path.join(dir, 'secret.txt'), 'link.txt', 'up/secret.txt', '..']) {
+    assert.deepEqual(await read(escape), { ok: false, response: `Error: ${escape} is outside the lookup root.` });
+  }
+});
+
+test('executeRun answers tool calls until the model stops calling them', async t => {
+  const tools = shell('echo "result for $CHARM_ARG_q"');
+  const payloads = [];
+  const replies = [
+    { messages: [{ role: 'assistant', content: [{ type: 'tool_call', toolName: 'sh', callId: 'c1', arguments: '{"q":"one"}' }] }], usage: { input_tokens: 5 } },
+    { messages: [{ role: 'assistant', content: [{ type: 'tool_call', name: 'sh', id: 'c2', input: { q: 'two' } }] }], usage: { input_tokens: 7 } },
+    { messages: [{ role: 'assistant', content: 'Done.' }], usage: { input_tokens: 9 } }
+  ];
+  const restore = setFetch(async (url, init) => {
+    payloads.push(JSON.parse(init.body));
+    return new Response(JSON.stringify(replies[payloads.length - 1]), { status: 200 });
+  });
+  t.after(restore);
+
+  const request = { model: 'm', payload: { model: 'm', transcript: { messages: [{ role: 'user', content: 'go' }] } }, tools };
+  const result = await executeRun({ hostname: 'charm.test', port: 1 }, request);
+  assert.equal(result.text, 'Done.');
+  assert.deepEqual(result.usage, { input_tokens: 21 });
+  assert.deepEqual(result.tool_calls.map(c => [c.round, c.call_id, c.arguments, c.ok]),
+    [[1, 'c1', { q: 'one' }, true], [2, 'c2', { q: 'two' }, true]]);
+  const last = payloads[2].transcript.messages;
+  assert.equal(last.length, 5);
+  assert.deepEqual(last[2], {
+    role: 'tool_response',
+    content: [{ type: 'tool_response', toolName: 'sh', callId: 'c1', response: 'result for one' }]
+  });
+  assert.equal(last[4].content[0].response, 'result for two');
+  assert.deepEqual(findToolCalls(result.newMessages).map(c => c.callId), ['c1', 'c2']);
+
+  payloads.length = 0;
+  await assert.rejects(executeRun({ hostname: 'charm.test', port: 1 }, request, { maxToolRounds: 1 }),
+    /still calling tools after 1 round\(s\)/);
+});